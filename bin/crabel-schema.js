@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+"use strict";
+
+require("../schema/cli").main(process.argv.slice(2));
@@ -83,4 +83,4 @@ TradeToOrderList._refs = {
 // Exports
 
 module.exports.TradeToOrder = TradeToOrder;
-module.exports.TradeToOrderLine = TradeToOrderList;
+module.exports.TradeToOrderList = TradeToOrderList;
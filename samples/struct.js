@@ -2,7 +2,6 @@
 
 const objs = require("./data/gen-objects");
 const schema = require("../schema");
-const rs = require("restructure");
 const fs = require("fs");
 
 const obj = {
@@ -33,11 +32,13 @@ const obj = {
     }
 };
 
-let tol = schema.struct.getStructType(objs.TradeToOrderList);
-let tot_struct = new rs.Struct(tol);
+const struct = schema.struct;
+const opts = { byte_order: struct.ByteOrder.LittleEndian };
 
-var stream = new rs.EncodeStream();
-stream.pipe(fs.createWriteStream('out.bin'));
-let tol_bin = tot_struct.encode(stream, obj.TradeToOrderList);
-stream.end();
+let tol_bin = struct.fromObj(obj.TradeToOrderList, objs.TradeToOrderList, opts);
+console.log(struct.toObj(tol_bin, objs.TradeToOrderList, opts));
 
+// Every object written to the stream is preceded by its size.
+let encoder = struct.createEncodeStream(objs.TradeToOrderList, opts);
+encoder.pipe(fs.createWriteStream('out.bin'));
+encoder.end(obj.TradeToOrderList);
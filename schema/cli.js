@@ -0,0 +1,669 @@
+"use strict";
+
+/**
+ * Implementation of the 'crabel-schema' command-line tool. Every command loads the
+ * schema named by its first argument, prints its result as text, or as a single JSON
+ * document with '--json', and returns one of the ExitCode values.
+ * @module schema/cli
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+//
+const str_util = require("../str_util");
+const schema = require("./index");
+const gen = require("./generators/common");
+const Severity = require("./validate").Severity;
+
+
+/**
+ * Exit codes of the tool.
+ * @enum {Number}
+ */
+const ExitCode = {
+    /** The command succeeded and found no problems. */
+    Ok: 0,
+    /** Validation errors, invalid messages or breaking schema changes were found. */
+    Problems: 1,
+    /** The command line is not valid. */
+    Usage: 2,
+    /** The command failed, e.g. a file could not be read or a name is not defined. */
+    Failure: 3
+};
+
+const usage = [
+    "Usage: crabel-schema <command> [options] <arguments>",
+    "",
+    "Commands:",
+    "    inspect <schema> [name]            Prints the group tree, or the details of",
+    "                                       a group, object or type.",
+    "    validate <schema> [message...]     Validates the schema, or the given",
+    "                                       message files against '--object'.",
+    "    diff <old schema> <new schema>     Lists the changes between two schemas.",
+    "    gen <schema> <generator...>        Runs the generators: " +
+        "js, ts, json-schema,",
+    "                                       docs and graph.",
+    "    convert <schema> <message>         Converts a message file between XML,",
+    "                                       JSON and binary.",
+    "",
+    "Options:",
+    "    --json             Prints the result as JSON.",
+    "    --out, -o <path>   Output folder of 'gen', output file of 'convert'.",
+    "    --object <name>    Object definition of the messages.",
+    "    --from <format>    Format of the message, from its extension by default:",
+    "                       xml, json or bin.",
+    "    --to <format>      Format 'convert' writes, json by default.",
+    "    --format <format>  Format of the 'docs' generator, html or markdown, or of",
+    "                       the 'graph' generator, dot or mermaid.",
+    "    --strict           Warnings fail 'validate' as well.",
+    "    --help, -h         Prints this help.",
+    "",
+    "Exit codes: 0 success, 1 problems found, 2 invalid command line, 3 failure."
+].join(os.EOL);
+
+// Options taking a value, with their aliases.
+const value_options = { out: "out", o: "out", object: "object", from: "from", to: "to",
+    format: "format" };
+const flag_options = { json: "json", strict: "strict", help: "help", h: "help" };
+
+// Generator modules, with the values of '--format' they accept, if any.
+const generators = {
+    "js": { module: "./generators/js" },
+    "ts": { module: "./generators/ts" },
+    "json-schema": { module: "./generators/json_schema" },
+    "docs": { module: "./generators/docs", formats: [ "html", "markdown" ] },
+    "graph": { module: "./generators/graph", formats: [ "dot", "mermaid" ] }
+};
+
+const formats = {
+    xml: { converter: "xml", ext: ".xml" },
+    json: { converter: "json", ext: ".json" },
+    bin: { converter: "struct", ext: ".bin" }
+};
+
+
+/**
+ * Error thrown for invalid command lines.
+ * @param {String} message
+ * @returns {UsageError}
+ * @constructor
+ */
+function UsageError(message) {
+    if (!this)
+        return new UsageError(message);
+
+    this.message = message;
+    Error.captureStackTrace(this, UsageError);
+}
+
+require("util").inherits(UsageError, Error);
+
+UsageError.prototype.name = "UsageError";
+
+
+/**
+ * Parses the given command-line arguments.
+ * @param {Array.<String>} argv Arguments, without the node and script names.
+ * @returns {{ command: String, args: Array.<String>, opts: Object }}
+ */
+function parseArgs(argv) {
+    let res = { command: undefined, args: [], opts: {} };
+
+    for (let i = 0; i < argv.length; ++i) {
+        let arg = argv[i];
+        let m = /^--?([^=]+)(?:=(.*))?$/.exec(arg);
+
+        if (!m || "-" === arg) {
+            if (undefined === res.command)
+                res.command = arg;
+            else
+                res.args.push(arg);
+
+            continue;
+        }
+
+        let name = m[1];
+        if (flag_options[name])
+            res.opts[flag_options[name]] = true;
+        else if (value_options[name]) {
+            let val = (undefined !== m[2]) ? m[2] : argv[++i];
+            if (undefined === val)
+                throw new UsageError("The option '" + arg + "' requires a value.");
+
+            res.opts[value_options[name]] = val;
+        }
+        else
+            throw new UsageError("Unknown option '" + arg + "'.");
+    }
+
+    return res;
+}
+
+/**
+ * Runs the tool with the given arguments.
+ * @param {Array.<String>} argv Arguments, without the node and script names.
+ * @param {Object} [io] Output functions, the process streams by default.
+ * @param {Function} [io.out] Writes to the standard output.
+ * @param {Function} [io.err] Writes to the standard error.
+ * @param {Number} [io.width] Width of the text output.
+ * @returns {ExitCode}
+ */
+function run(argv, io) {
+    io = Object.assign({
+        out: function (str) { process.stdout.write(str); },
+        err: function (str) { process.stderr.write(str); },
+        width: process.stdout.columns || 100
+    }, io);
+
+    let json = argv.indexOf("--json") >= 0;
+
+    try {
+        let cmd = parseArgs(argv);
+        json = Boolean(cmd.opts.json);
+
+        if (cmd.opts.help || undefined === cmd.command) {
+            io.out(usage + os.EOL);
+            return cmd.opts.help ? ExitCode.Ok : ExitCode.Usage;
+        }
+
+        let command = commands[cmd.command];
+        if (!command)
+            throw new UsageError("Unknown command '" + cmd.command + "'.");
+
+        let res = command(cmd.args, cmd.opts, io);
+        if (json)
+            io.out(JSON.stringify(res.json, null, 4) + os.EOL);
+        else
+            io.out(res.text);
+
+        return res.code;
+    }
+    catch (e) {
+        let code = (e instanceof UsageError) ? ExitCode.Usage : ExitCode.Failure;
+
+        if (json)
+            io.out(JSON.stringify({ error: e.message, code: code }, null, 4) + os.EOL);
+        else
+            io.err("crabel-schema: " + e.message + os.EOL +
+                (code === ExitCode.Usage ? "Run 'crabel-schema --help' for usage." +
+                    os.EOL : ""));
+
+        return code;
+    }
+}
+
+/**
+ * Entry point of the 'crabel-schema' executable, sets the exit code of the process.
+ * @param {Array.<String>} argv Arguments, without the node and script names.
+ */
+function main(argv) {
+    // Output piped to commands such as 'head' may be closed early.
+    process.stdout.on("error", function (err) {
+        if (err.code !== "EPIPE")
+            throw err;
+    });
+
+    process.exitCode = run(argv);
+}
+
+
+//
+
+const commands = {
+    inspect: function (args, opts, io) {
+        checkArgs(args, 1, 2, "inspect <schema> [name]");
+
+        let s = loadSchema(args[0], opts);
+        if (args.length === 1)
+            return result(ExitCode.Ok, groupTree(s, io.width), { version: s.version,
+                groups: rootGroups(s).map(groupJson) });
+
+        let def = s.group_map[args[1]] || s.getObject(args[1]) ||
+            s.resolve(args[1], null, undefined, { loose: true });
+        if (def instanceof schema.GroupDef)
+            return result(ExitCode.Ok, groupTree(s, io.width, def), groupJson(def));
+
+        if (def instanceof schema.TypeDef)
+            return result(ExitCode.Ok, typeDetails(def, io.width), typeJson(def));
+
+        if (def instanceof schema.ObjectDef)
+            return result(ExitCode.Ok, objectDetails(def, io.width), objectJson(def));
+
+        throw new Error("The name '" + args[1] + "' is not a group, object or type of " +
+            "the schema.");
+    },
+
+    validate: function (args, opts) {
+        checkArgs(args, 1, Infinity, "validate <schema> [message...]");
+
+        let s = loadSchema(args[0], opts);
+        if (args.length > 1)
+            return validateMessages(s, args.slice(1), opts);
+
+        let diags = s.validate();
+        let errors = diags.filter(function (d) { return d.severity === Severity.Error; });
+        let failed = errors.length > 0 || (opts.strict && diags.length > 0);
+
+        let text = diags.map(function (d) { return d.toString() + os.EOL; }).join("") +
+            errors.length + " error(s), " + (diags.length - errors.length) +
+            " warning(s)." + os.EOL;
+
+        return result(failed ? ExitCode.Problems : ExitCode.Ok, text, {
+            valid: !failed,
+            diagnostics: diags.map(function (d) {
+                return { severity: d.severity, code: d.code, file: d.file, line: d.line,
+                    message: d.message };
+            })
+        });
+    },
+
+    diff: function (args, opts) {
+        checkArgs(args, 2, 2, "diff <old schema> <new schema>");
+
+        let d = loadSchema(args[1], opts).diff(loadSchema(args[0], opts));
+        return result(d.isCompatible() ? ExitCode.Ok : ExitCode.Problems, d.report(), {
+            old_version: d.old_version,
+            new_version: d.new_version,
+            compatible: d.isCompatible(),
+            changes: d.changes
+        });
+    },
+
+    gen: function (args, opts) {
+        checkArgs(args, 2, Infinity, "gen <schema> <generator...>");
+
+        let names = args.slice(1);
+        names.forEach(function (name) {
+            let generator = generators[name];
+            if (!generator)
+                throw new UsageError("Unknown generator '" + name + "', expected one " +
+                    "of: " + Object.keys(generators).join(", ") + ".");
+
+            if (undefined === opts.format)
+                return;
+
+            if (!generator.formats)
+                throw new UsageError("The generator '" + name + "' does not take a " +
+                    "format.");
+
+            if (generator.formats.indexOf(opts.format) < 0)
+                throw new UsageError("Unknown format '" + opts.format + "' of " +
+                    "generator '" + name + "', expected one of: " +
+                    generator.formats.join(", ") + ".");
+        });
+
+        let s = loadSchema(args[0], opts, opts.out || "gen");
+        let files = {};
+        let warnings = [];
+
+        // Problems found while generating, such as references without a class.
+        s.on("warning", function (d) { warnings.push(d); });
+
+        // Generators use their default format unless one is given.
+        let gen_opts = { path: s.options.path };
+        if (undefined !== opts.format)
+            gen_opts.format = opts.format;
+
+        names.forEach(function (name) {
+            files[name] = require(generators[name].module).generate(s, gen_opts);
+        });
+
+        let text = warnings.map(function (d) { return d.toString() + os.EOL; }).join("");
+        names.forEach(function (name) {
+            text += name + ": " + files[name].length + " file(s) written to '" +
+                s.options.path + "'." + os.EOL;
+        });
+
+        return result(ExitCode.Ok, text, {
+            path: s.options.path,
+            files: files,
+            warnings: warnings.map(function (d) {
+                return { severity: d.severity, code: d.code, file: d.file, line: d.line,
+                    message: d.message };
+            })
+        });
+    },
+
+    convert: function (args, opts) {
+        checkArgs(args, 2, 2, "convert <schema> <message>");
+
+        let s = loadSchema(args[0], opts);
+        let from = messageFormat(opts.from, args[1], "from");
+        let to = messageFormat(opts.to || "json", null, "to");
+
+        let data = fs.readFileSync(args[1]);
+        let msg = readMessage(s, data, from, opts.object);
+        let out = writeMessage(msg.obj, msg.obj_class, to);
+
+        if (opts.out) {
+            fs.writeFileSync(opts.out, out);
+            return result(ExitCode.Ok, "Converted '" + msg.obj_def.fullName() + "' to '" +
+                opts.out + "'." + os.EOL, { object: msg.obj_def.fullName(), format: to,
+                file: opts.out });
+        }
+
+        let text = Buffer.isBuffer(out) ? out.toString("base64") + os.EOL : out;
+        return result(ExitCode.Ok, text, { object: msg.obj_def.fullName(), format: to,
+            data: Buffer.isBuffer(out) ? out.toString("base64") : out });
+    }
+};
+
+function result(code, text, json) {
+    return { code: code, text: text, json: json };
+}
+
+function checkArgs(args, min, max, syntax) {
+    if (args.length < min || args.length > max)
+        throw new UsageError("Invalid arguments, expected: " + syntax);
+}
+
+function loadSchema(file_name, opts, out_path) {
+    // Schemas create their output folder, keep it out of the way unless generating.
+    let s = new schema.Schema({ path: out_path || os.tmpdir() });
+    return s.loadSync(file_name);
+}
+
+function findObject(s, name) {
+    let res = s.getObject(name) || s.findObject(name);
+    if (!res)
+        throw new Error("The object '" + name + "' is not defined.");
+
+    return res;
+}
+
+function validateMessages(s, files, opts) {
+    let lines = [];
+    let messages = files.map(function (f) {
+        let msg;
+        try {
+            msg = readMessage(s, fs.readFileSync(f), messageFormat(opts.from, f, "from"),
+                opts.object);
+        }
+        catch (e) {
+            if (e instanceof UsageError)
+                throw e;
+
+            lines.push(f + ": error: " + e.message);
+            return { file: f, valid: false, errors: [ { path: "", code: "invalid-message",
+                message: e.message } ] };
+        }
+
+        let errors = s.validateObject(msg.obj, msg.obj_def);
+        errors.forEach(function (e) {
+            lines.push(f + ": " + (e.path ? e.path + ": " : "") + e.message);
+        });
+
+        return { file: f, object: msg.obj_def.fullName(), valid: errors.length === 0,
+            errors: errors };
+    });
+
+    let invalid = messages.filter(function (m) { return !m.valid; }).length;
+    lines.push(invalid + " of " + messages.length + " message(s) invalid.");
+
+    return result(invalid ? ExitCode.Problems : ExitCode.Ok, lines.join(os.EOL) + os.EOL,
+        { valid: invalid === 0, messages: messages });
+}
+
+function messageFormat(name, file_name, option) {
+    if (!name && file_name) {
+        let ext = path.extname(file_name).toLowerCase();
+        name = Object.keys(formats).find(function (k) { return formats[k].ext === ext; });
+        if (!name)
+            throw new UsageError("Unknown message format of '" + file_name + "', use " +
+                "the '--" + option + "' option.");
+    }
+
+    if (!formats[name])
+        throw new UsageError("Unknown message format '" + name + "', expected one of: " +
+            Object.keys(formats).join(", ") + ".");
+
+    return name;
+}
+
+function readMessage(s, data, format, object_name) {
+    let converter = schema[formats[format].converter];
+
+    if ("xml" === format && !object_name) {
+        // XML messages are rooted at the name of their object.
+        let m = /<([A-Za-z_][\w.-]*)/.exec(data.toString().replace(/<\?[^>]*\?>/g, ""));
+        object_name = m && m[1];
+    }
+
+    if (!object_name)
+        throw new UsageError("The object of the message is unknown, use the '--object' " +
+            "option.");
+
+    let obj_def = findObject(s, object_name);
+    let obj_class = obj_def.getObjClass();
+
+    let obj;
+    if ("xml" === format)
+        obj = converter.toObj(data.toString(), obj_class)[obj_class._name];
+    else if ("json" === format)
+        obj = converter.toObj(data.toString(), obj_class);
+    else
+        obj = converter.toObj(data, obj_class);
+
+    return { obj: typed(obj, obj_class), obj_def: obj_def, obj_class: obj_class };
+}
+
+function writeMessage(obj, obj_class, format) {
+    let converter = schema[formats[format].converter];
+    if ("xml" !== format)
+        return converter.fromObj(obj, obj_class);
+
+    let doc = {};
+    doc[obj_class._name] = obj;
+    return converter.fromObj(doc, obj_class);
+}
+
+// Converts the attribute values to their JS types, XML messages hold strings only and
+// empty elements are read as empty strings.
+function typed(obj, obj_class) {
+    if ("" === obj)
+        return {};
+
+    if (null === obj || typeof obj !== "object")
+        return obj;
+
+    if (Array.isArray(obj))
+        return obj.map(function (o) { return typed(o, obj_class); });
+
+    let res = {};
+    for (let k in obj)
+        if (obj.hasOwnProperty(k)) {
+            if (obj_class._attrs[k])
+                res[k] = schema.util.convertAttr(obj_class._attrs[k], obj[k]);
+            else if (obj_class._refs[k])
+                res[k] = typed(obj[k], obj_class._refs[k].ref_class);
+            else
+                res[k] = obj[k];
+        }
+
+    return res;
+}
+
+function rootGroups(s) {
+    return s.groups.filter(function (g) { return !g.parent; });
+}
+
+function childGroups(group) {
+    return group.schema.groups.filter(function (g) { return g.parent === group; });
+}
+
+function groupObjects(group) {
+    return group.schema.objects.filter(function (o) { return o.parent === group; });
+}
+
+function groupJson(group) {
+    return {
+        name: group.fullName(),
+        is_interface: group.is_interface,
+        objects: groupObjects(group).map(function (o) { return o.name; }),
+        groups: childGroups(group).map(groupJson)
+    };
+}
+
+function typeJson(type_def) {
+    return {
+        name: type_def.name,
+        type: type_def.type,
+        size: type_def.size,
+        min: type_def.min,
+        max: type_def.max,
+        external_unit: type_def.external_unit,
+        intent: type_def.intent,
+        values: type_def.values.map(function (v) {
+            return { value: v.value, meaning: v.meaning };
+        })
+    };
+}
+
+function objectJson(obj_def) {
+    return {
+        name: obj_def.fullName(),
+        msg_type: obj_def.msg_type,
+        inherits_from: obj_def.inherits_from,
+        is_event: obj_def.is_event,
+        intent: obj_def.intent,
+        attrs: (obj_def.all_attrs || obj_def.attrs).map(function (a) {
+            return { name: a.name, type: a.type, optional: Boolean(a.optional),
+                min_value: a.min_value, max_value: a.max_value, origin: a.origin };
+        }),
+        refs: (obj_def.all_refs || obj_def.refs).map(function (r) {
+            return { name: r.name, type: schema.util.getRefTypeName(r),
+                min_count: r.min_count, max_count: r.max_count, origin: r.origin };
+        })
+    };
+}
+
+function groupTree(s, width, root) {
+    let rows = [];
+    (root ? [ root ] : rootGroups(s)).forEach(function add(g, i, arr, depth) {
+        depth = depth || 0;
+
+        let objects = groupObjects(g);
+        rows.push([ indent(depth) + g.getShortName(), objects.length + " object(s)",
+            g.is_interface ? "interface" : "" ]);
+
+        if (root)
+            objects.forEach(function (o) {
+                rows.push([ indent(depth + 1) + o.name, o.msg_type || "",
+                    o.intent || "" ]);
+            });
+
+        childGroups(g).forEach(function (c, i, arr) { add(c, i, arr, depth + 1); });
+    });
+
+    let title = root ? "Group " + root.fullName() : "Schema version " + s.version;
+    return table([ title, "=" ].concat(rows), width);
+}
+
+// Tables trim leading spaces, nesting is shown with tree lines instead.
+function indent(depth) {
+    if (!depth)
+        return "";
+
+    return str_util.fill((depth - 1) * 4, " ").replace(/ {4}/g, "|   ") + "|-- ";
+}
+
+function typeDetails(type_def, width) {
+    let rows = [
+        "Type " + type_def.name, "=",
+        [ "Type", type_def.type, "" ],
+        [ "Range", range(type_def.min, type_def.max), "" ],
+        [ "Size", type_def.size, "" ],
+        [ "Unit", type_def.external_unit, "" ],
+        [ "Intent", type_def.intent, "" ]
+    ].filter(function (r) { return typeof r === "string" || !empty(r[1]); });
+
+    if (type_def.values.length > 0) {
+        rows.push("Allowed values", "=");
+        type_def.values.forEach(function (v) {
+            rows.push([ String(v.value), v.meaning || "", v.intent || "" ]);
+        });
+    }
+
+    return table(rows, width);
+}
+
+function objectDetails(obj_def, width) {
+    let rows = [
+        "Object " + obj_def.fullName(), "=",
+        [ "Message type", obj_def.msg_type, "" ],
+        [ "Inherits from", obj_def.inherits_from, "" ],
+        [ "Intent", obj_def.intent, "" ]
+    ].filter(function (r) { return typeof r === "string" || !empty(r[1]); });
+
+    let attrs = obj_def.all_attrs || obj_def.attrs;
+    if (attrs.length > 0) {
+        rows.push("Attributes", "=");
+        attrs.forEach(function (a) {
+            rows.push([ a.name, a.type + (a.optional ? " (optional)" : ""),
+                [ range(a.min_value, a.max_value), inherited(obj_def, a) ]
+                    .filter(function (s) { return s; }).join(", ") ]);
+        });
+    }
+
+    let refs = obj_def.all_refs || obj_def.refs;
+    if (refs.length > 0) {
+        rows.push("References", "=");
+        refs.forEach(function (r) {
+            rows.push([ r.name, schema.util.getRefTypeName(r) + " [" +
+                gen.multiplicity(r) + "]", inherited(obj_def, r) ]);
+        });
+    }
+
+    return table(rows, width);
+}
+
+function inherited(obj_def, member) {
+    return (member.origin && member.origin !== obj_def.fullName()) ?
+        "from " + member.origin : "";
+}
+
+function range(min, max) {
+    if (undefined === min && undefined === max)
+        return "";
+
+    return "[" + (undefined === min ? "" : min) + ", " + (undefined === max ? "" : max) +
+        "]";
+}
+
+function empty(val) {
+    return undefined === val || null === val || "" === val;
+}
+
+function table(rows, width) {
+    rows = rows.map(function (r) {
+        return Array.isArray(r) ? r.map(function (c) {
+            return empty(c) ? "" : String(c);
+        }) : r;
+    });
+
+    // The first columns fit their content, the last one takes the rest of the width.
+    let widths = [ 0, 0 ];
+    rows.forEach(function (r) {
+        if (Array.isArray(r))
+            widths.forEach(function (w, i) {
+                widths[i] = Math.max(w, Math.min(r[i].length, 48));
+            });
+    });
+
+    widths.push(Math.max(width - widths[0] - widths[1] - 2, 24));
+
+    return str_util.buildTable({
+        columns: widths.map(function (w) { return { width: w, align: "left" }; }),
+        rows: rows
+    }, widths[0] + widths[1] + widths[2] + 2);
+}
+
+module.exports = {
+    ExitCode: ExitCode,
+    UsageError: UsageError,
+    parseArgs: parseArgs,
+    run: run,
+    main: main
+};
@@ -1,5 +1,7 @@
 "use strict";
 
+const units = require("./units");
+
 /**
  * @typedef {Function} ObjClass
  * @property {String} _name
@@ -52,10 +54,129 @@
         rs.float | rs.double | rs.Array | rs.String } NativeType
  */
 
-
 /** @type {ObjClass} */
 exports.def_class = { _name: "Anonymous", _attrs: {}, _refs: {} };
 
+/**
+ * Returns the object class of a reference descriptor. Descriptors either hold the class
+ * in 'ref_class' or are object classes themselves, 'def_class' is returned when the
+ * descriptor is missing.
+ * @param {Object} [ref]
+ * @returns {ObjClass}
+ */
+exports.refClass = function (ref) {
+    if (!ref)
+        return exports.def_class;
+
+    let obj_class = ref.ref_class || ref;
+    if (!obj_class._refs)
+        return Object.assign({}, exports.def_class, obj_class, { _refs: {} });
+
+    return obj_class;
+};
+
+/**
+ * Returns the canonical value of an attribute, 'val' being either one of the allowed
+ * values of the attribute or the meaning of one. The 'enum' property of enumerated
+ * attribute descriptors maps meanings to values, other attributes are returned as is.
+ * @param {Object} [attr] Attribute descriptor.
+ * @param {*} val
+ * @returns {*}
+ */
+exports.enumValue = function (attr, val) {
+    if (!attr || !attr.enum || undefined === val || null === val)
+        return val;
+
+    let meanings = Object.keys(attr.enum);
+    for (let i = 0; i < meanings.length; ++i)
+        if (String(attr.enum[meanings[i]]) === String(val))
+            return attr.enum[meanings[i]];
+
+    if (attr.enum.hasOwnProperty(val))
+        return attr.enum[val];
+
+    throw new Error("Invalid value '" + val + "', it is not an allowed value of '" +
+        (attr.type_name || attr.schema_type) + "' nor the meaning of one.");
+};
+
+/**
+ * Converts the value of an attribute from the external unit of its type, the 'unit'
+ * property of the descriptor, into the internal unit. Values of attributes without a
+ * unit are returned as is.
+ * @param {Object} [attr] Attribute descriptor.
+ * @param {*} val
+ * @returns {*}
+ */
+exports.toInternal = function (attr, val) {
+    if (!attr || !attr.unit)
+        return val;
+
+    return units.registry.toInternal(val, attr.unit);
+};
+
+/**
+ * Converts the value of an attribute from the internal unit into the external unit of
+ * its type. Values of attributes without a unit are returned as is.
+ * @param {Object} [attr] Attribute descriptor.
+ * @param {*} val
+ * @returns {*}
+ */
+exports.toExternal = function (attr, val) {
+    if (!attr || !attr.unit)
+        return val;
+
+    return units.registry.toExternal(val, attr.unit);
+};
+
+/**
+ * Returns the canonical value of an attribute converted with 'convert', either
+ * 'toInternal' or 'toExternal'. Allowed values are held in the internal unit, values
+ * are converted into it before they are matched and matched before they are converted
+ * out of it. Every converter goes through here, so that values round-trip alike.
+ * @param {Object} [attr] Attribute descriptor.
+ * @param {*} val
+ * @param {Function} [convert]
+ * @returns {*}
+ */
+exports.attrValue = function (attr, val, convert) {
+    if (convert === exports.toExternal)
+        return exports.toExternal(attr, exports.enumValue(attr, val));
+
+    return exports.enumValue(attr, convert ? convert(attr, val) : val);
+};
+
+/**
+ * Returns a copy of 'obj' with the enumerated attributes, of the object and its
+ * references, in canonical form. The object is returned as is when the class is missing.
+ * @param {Object} obj
+ * @param {ObjClass} [obj_class]
+ * @param {Function} [convert] Unit conversion applied to the attributes, either
+ * 'toInternal' or 'toExternal'.
+ * @returns {Object}
+ */
+exports.canonical = function (obj, obj_class, convert) {
+    if (!exports.validObjClass(obj_class) || null === obj || typeof obj !== "object")
+        return obj;
+
+    if (Array.isArray(obj))
+        return obj.map(function (o) { return exports.canonical(o, obj_class, convert); });
+
+    let res = {};
+    for (let k in obj)
+        if (obj.hasOwnProperty(k)) {
+            let attr = obj_class._attrs[k];
+            if (attr)
+                res[k] = exports.attrValue(attr, obj[k], convert);
+            else if (obj_class._refs[k])
+                res[k] = exports.canonical(obj[k], exports.refClass(obj_class._refs[k]),
+                    convert);
+            else
+                res[k] = obj[k];
+        }
+
+    return res;
+};
+
 exports.validObjClass = function (obj_class) {
     return obj_class &&
         typeof obj_class._name === "string" &&
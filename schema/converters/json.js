@@ -1,5 +1,8 @@
 "use strict";
 
+const common = require("../common");
+
+
 /** * @type {Converter} */
 module.exports = {
 
@@ -10,7 +13,7 @@ module.exports = {
      * @returns {Object}
      */
     toObj: function (json, obj_class) {
-        return JSON.parse(json);
+        return common.canonical(JSON.parse(json), obj_class, common.toInternal);
     },
 
 
@@ -21,7 +24,7 @@ module.exports = {
      * @returns {String}
      */
     fromObj: function (obj, obj_class) {
-        return JSON.stringify(obj);
+        return JSON.stringify(common.canonical(obj, obj_class, common.toExternal));
     }
 
 };
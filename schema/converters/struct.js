@@ -1,5 +1,21 @@
 "use strict";
 
+/**
+ * Binary converter, objects are encoded as packed structures built with 'restructure'.
+ * Attributes are written in the order of the object class, followed by its references:
+ * - Integer and Numeric attributes take the size of their type, Integer attributes with
+ *   a non-negative minimum are unsigned.
+ * - Boolean attributes take one byte.
+ * - Alpha attributes with a size take exactly that many bytes, padded with zeros, other
+ *   Alpha attributes are preceded by their length in bytes as a uint16.
+ * - Optional attributes and single references are preceded by a byte telling whether
+ *   they are present, containers by their number of objects as a uint32.
+ * Missing values of required attributes are written as zero, false or empty strings.
+ * @module schema/converters/struct
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const stream = require("stream");
 /** @type {Restructure} */
 const rs = require("restructure");
 //
@@ -7,102 +23,504 @@ const common = require("../common");
 
 
 /**
- *
- * @param {TypeDef} type_def
+ * Byte order of the numbers of a structure.
+ * @enum {String}
+ */
+const ByteOrder = {
+    BigEndian: "BE",
+    LittleEndian: "LE"
+};
+
+module.exports.ByteOrder = ByteOrder;
+
+/**
+ * @typedef {Object} StructOptions
+ * @property {String} [byte_order] See {@link ByteOrder}, big endian by default.
+ */
+
+// Structures of the object classes per byte order, built once.
+const structs = {
+    BE: new WeakMap(),
+    LE: new WeakMap()
+};
+
+
+/**
+ * Returns the binary type of the given attribute descriptor, or TypeDef. Integers are
+ * unsigned when their MinValue is not negative, or when none of their allowed values is.
+ * @param {Object|TypeDef} type_def
+ * @param {String} [byte_order] See {@link ByteOrder}, big endian by default.
  * @returns {NativeType}
  */
-module.exports.getBinaryType = function (type_def) {
+module.exports.getBinaryType = function (type_def, byte_order) {
     if (type_def.native)
         return type_def.native;
 
-    if (type_def.type === "Integer") {
-        let unsigned = (undefined !== type_def.min && type_def.min >= 0);
+    let endian = byteOrder(byte_order);
+    let type = type_def.schema_type || type_def.type;
+    let size = Number(type_def.size) || undefined;
+
+    if (type === "Integer") {
+        let min = (undefined !== type_def.min_value) ? type_def.min_value : type_def.min;
+        let values = allowedValues(type_def);
+        let unsigned = (undefined !== min && null !== min && Number(min) >= 0) ||
+            (values.length > 0 && values.every(function (v) { return Number(v) >= 0; }));
 
-        if (!type_def.size || type_def.size === 4)
-            return unsigned ? rs.uint32 : rs.int32;
-        else if (type_def.size === 1)
+        if (!size || size === 4)
+            return rs[(unsigned ? "uint32" : "int32") + endian.toLowerCase()];
+        else if (size === 1)
             return unsigned ? rs.uint8 : rs.int8;
-        else if (type_def.size === 2)
-            return unsigned ? rs.uint16 : rs.int16;
-        else if (type_def.size === 8)
-            return unsigned ? rs.uint64 : rs.int64;
+        else if (size === 2)
+            return rs[(unsigned ? "uint16" : "int16") + endian.toLowerCase()];
+        else if (size === 8)
+            return new Int64T(unsigned, endian);
 
-        throw new Error("Invalid integral type with size=" + type_def.size + ".");
+        throw new Error("Invalid integral type with size=" + size + ".");
     }
 
-    if (type_def.type === "Number") {
-        if (type_def.size === 4)
-            return rs.float;
-        else if (type_def.size === 8)
-            return rs.double;
+    if (type === "Numeric") {
+        if (!size || size === 8)
+            return rs["double" + endian.toLowerCase()];
+        else if (size === 4)
+            return rs["float" + endian.toLowerCase()];
 
-        throw new Error("Invalid numerical type with size=" + type_def.size + ".");
+        throw new Error("Invalid numerical type with size=" + size + ".");
     }
 
-    if (type_def.type === "Boolean")
+    if (type === "Boolean")
         return new rs.Boolean(rs.uint8);
 
-    if (type_def.type === "Alpha") {
-        if (isNaN(type_def.size))
-            return new rs.String(rs.uint8, "utf8");
+    if (type === "Alpha") {
+        if (!size)
+            return new StringT(rs["uint16" + endian.toLowerCase()]);
 
-        return new rs.String(type_def.size);
+        return new StringT(size);
     }
-};
-
 
-module.exports.getStructType = function (obj_class) {
-    if (!obj_class._struct) {
-        let self = this;
-
-        obj_class._struct = {};
-        for (let k in obj_class._attrs)
-            obj_class._struct[k] = this.getBinaryType(obj_class._attrs[k]);
+    throw new Error("Invalid binary type '" + type + "'.");
+};
 
-        for (let k in obj_class._refs) {
-            let obj = obj_class._refs[k];
-            let s = self.getStructType(obj.ref_class);
-            if (obj.is_container) {
-                obj_class._struct[obj.name] = new rs.Array(s, rs.uint32);
-                obj_class._struct[obj.name].size = function (o, ctx) {
-                    if (o && Array.isArray(o))
-                        return o.length;
-                    return 0;
-                };
-            }
-            else
-                obj_class._struct[obj.name] = s;
-        }
-    }
 
-    return obj_class._struct;
+/**
+ * Returns the fields of the structure of the given object class, as expected by
+ * 'restructure.Struct'. Classes referencing themselves are supported.
+ * @param {ObjClass} obj_class
+ * @param {String} [byte_order] See {@link ByteOrder}, big endian by default.
+ * @returns {Object}
+ */
+module.exports.getStructType = function (obj_class, byte_order) {
+    return struct(obj_class, byteOrder(byte_order)).fields;
 };
 
 
 /**
- *
+ * Decodes an object of the given class from a buffer.
  * @param {Buffer} s
  * @param {ObjClass} obj_class
+ * @param {StructOptions} [opts]
  * @returns {Object}
  */
-module.exports.toObj = function (s, obj_class) {
+module.exports.toObj = function (s, obj_class, opts) {
     if (!common.validObjClass(obj_class))
         throw new Error("Failed to convert struct reference to an object, the " +
             "object class is not valid.");
+
+    let buf = Buffer.isBuffer(s) ? s : Buffer.from(s);
+    let decoder = new rs.DecodeStream(buf);
+    let res;
+
+    try {
+        res = struct(obj_class, byteOrder(opts && opts.byte_order)).decode(decoder);
+    }
+    catch (e) {
+        throw new Error("Failed to convert struct reference to an object '" +
+            obj_class._name + "'. " + e.message);
+    }
+
+    if (decoder.pos !== buf.length)
+        throw new Error("Failed to convert struct reference to an object '" +
+            obj_class._name + "', " + (buf.length - decoder.pos) + " bytes were " +
+            "left over.");
+
+    return common.canonical(plain(res), obj_class, common.toInternal);
 };
 
 
 /**
- *
+ * Encodes an object of the given class into a buffer.
  * @param {Object} obj
  * @param {ObjClass} obj_class
+ * @param {StructOptions} [opts]
  * @returns {Buffer}
  */
-module.exports.fromObj = function (obj, obj_class) {
+module.exports.fromObj = function (obj, obj_class, opts) {
     if (!common.validObjClass(obj_class))
         throw new Error("Failed to convert object to a struct reference, the " +
             "object class is not valid.");
 
+    let type = struct(obj_class, byteOrder(opts && opts.byte_order));
+    let val = common.canonical(obj || {}, obj_class, common.toExternal);
+
+    try {
+        let encoder = new rs.EncodeStream(Math.max(type.size(val), 1));
+        type.encode(encoder, val);
+        encoder.end();
+
+        return encoder.read() || Buffer.alloc(0);
+    }
+    catch (e) {
+        throw new Error("Failed to convert object '" + obj_class._name + "' to a " +
+            "struct reference. " + e.message);
+    }
+};
+
+
+/**
+ * Returns a stream encoding the objects written to it. Every object is preceded by its
+ * size in bytes, as a uint32 in the byte order of the options.
+ * @param {ObjClass} obj_class
+ * @param {StructOptions} [opts]
+ * @returns {stream.Transform}
+ */
+module.exports.createEncodeStream = function (obj_class, opts) {
+    let endian = byteOrder(opts && opts.byte_order);
+
+    return new stream.Transform({
+        writableObjectMode: true,
+        transform: function (obj, encoding, cb) {
+            let data;
+            try {
+                data = module.exports.fromObj(obj, obj_class, opts);
+            }
+            catch (e) {
+                return cb(e);
+            }
+
+            let size = Buffer.alloc(4);
+            size["writeUInt32" + endian](data.length, 0);
+            cb(null, Buffer.concat([ size, data ]));
+        }
+    });
+};
+
+
+/**
+ * Returns a stream decoding the objects written to it by an encode stream, see
+ * 'createEncodeStream'. Objects may span any number of chunks.
+ * @param {ObjClass} obj_class
+ * @param {StructOptions} [opts]
+ * @returns {stream.Transform}
+ */
+module.exports.createDecodeStream = function (obj_class, opts) {
+    let endian = byteOrder(opts && opts.byte_order);
+    let pending = Buffer.alloc(0);
+
+    return new stream.Transform({
+        readableObjectMode: true,
+        transform: function (chunk, encoding, cb) {
+            pending = Buffer.concat([ pending, chunk ]);
+
+            try {
+                while (pending.length >= 4) {
+                    let size = pending["readUInt32" + endian](0);
+                    if (pending.length < 4 + size)
+                        break;
+
+                    this.push(module.exports.toObj(pending.slice(4, 4 + size), obj_class,
+                        opts));
+                    pending = pending.slice(4 + size);
+                }
+            }
+            catch (e) {
+                return cb(e);
+            }
+
+            cb();
+        },
+        flush: function (cb) {
+            if (pending.length > 0)
+                return cb(new Error("Failed to convert struct reference to an object '" +
+                    obj_class._name + "', the stream ended within an object."));
+
+            cb();
+        }
+    });
+};
+
+
+//
+
+function byteOrder(byte_order) {
+    if (undefined === byte_order || null === byte_order)
+        return ByteOrder.BigEndian;
+
+    if (byte_order !== ByteOrder.BigEndian && byte_order !== ByteOrder.LittleEndian)
+        throw new Error("Invalid byte order '" + byte_order + "', expected '" +
+            ByteOrder.BigEndian + "' or '" + ByteOrder.LittleEndian + "'.");
+
+    return byte_order;
+}
+
+// Allowed values of an attribute descriptor ('enum') or of a TypeDef.
+function allowedValues(type_def) {
+    if (type_def.enum)
+        return Object.keys(type_def.enum).map(function (k) { return type_def.enum[k]; });
+
+    if (typeof type_def.getAllowedValues === "function")
+        return type_def.getAllowedValues().map(function (v) { return v.value; });
+
+    return [];
+}
+
+function struct(obj_class, endian) {
+    let res = structs[endian].get(obj_class);
+    if (res)
+        return res;
+
+    // Registered before its fields, so that references back to the class find it.
+    res = new rs.Struct({});
+    structs[endian].set(obj_class, res);
+
+    for (let k in obj_class._attrs) {
+        let attr = obj_class._attrs[k];
+        let type = new ValueT(module.exports.getBinaryType(attr, endian), attr);
+        res.fields[k] = attr.optional ? new OptionalT(type) : type;
+    }
+
+    for (let k in obj_class._refs) {
+        let ref = obj_class._refs[k];
+        let ref_struct = struct(common.refClass(ref), endian);
+        res.fields[ref.name || k] = ref.is_container ?
+            new ListT(ref_struct, rs["uint32" + endian.toLowerCase()]) :
+            new OptionalT(ref_struct);
+    }
+
+    return res;
+}
+
+// Decoded structures carry non-enumerable bookkeeping properties, they are left out.
+function plain(val) {
+    if (Array.isArray(val))
+        return val.map(plain);
+
+    if (null === val || typeof val !== "object")
+        return val;
+
+    let res = {};
+    Object.keys(val).forEach(function (k) { res[k] = plain(val[k]); });
+    return res;
+}
+
+function ensure(decoder, size) {
+    if (decoder.pos + size > decoder.length)
+        throw new Error("The buffer ends at byte " + decoder.length + ", within the " +
+            "object.");
+}
+
+
+// Types of the structure fields, implementing the 'restructure' interface.
+
+/**
+ * Attribute value, missing values are written as the zero value of the type.
+ * @param {NativeType} type
+ * @param {Object} attr Attribute descriptor.
+ * @constructor
+ * @private
+ */
+function ValueT(type, attr) {
+    this.type = type;
+    this.kind = attr.schema_type || attr.type;
+}
+
+ValueT.prototype.decode = function (decoder, parent) {
+    ensure(decoder, (this.type instanceof StringT) ? 0 : this.type.size(null, parent));
+    return this.type.decode(decoder, parent);
+};
+
+ValueT.prototype.size = function (val, ctx) {
+    return this.type.size(this._value(val), ctx);
+};
+
+ValueT.prototype.encode = function (encoder, val, ctx) {
+    return this.type.encode(encoder, this._value(val), ctx);
+};
+
+ValueT.prototype._value = function (val) {
+    let missing = (undefined === val || null === val);
+
+    switch (this.kind) {
+        case "Boolean":
+            return !missing && (true === val || "true" === String(val).toLowerCase() ||
+                "1" === String(val));
+
+        case "Alpha":
+            return missing ? "" : String(val);
+    }
+
+    if (missing)
+        return 0;
+
+    let num = Number(val);
+    if (isNaN(num))
+        throw new Error("The value '" + val + "' is not a number.");
+
+    return num;
+};
+
+/**
+ * Optional value, preceded by a byte telling whether it is present.
+ * @param {Object} type
+ * @constructor
+ * @private
+ */
+function OptionalT(type) {
+    this.type = type;
+}
+
+OptionalT.prototype.decode = function (decoder, parent) {
+    ensure(decoder, 1);
+    if (!decoder.readUInt8())
+        return undefined;
+
+    return this.type.decode(decoder, parent);
+};
+
+OptionalT.prototype.size = function (val, ctx) {
+    if (undefined === val || null === val)
+        return 1;
+
+    return 1 + this.type.size(val, ctx);
+};
+
+OptionalT.prototype.encode = function (encoder, val, ctx) {
+    if (undefined === val || null === val)
+        return encoder.writeUInt8(0);
+
+    encoder.writeUInt8(1);
+    this.type.encode(encoder, val, ctx);
+};
+
+/**
+ * Objects of a container, preceded by their count.
+ * @param {Object} type
+ * @param {NativeType} count_type
+ * @constructor
+ * @private
+ */
+function ListT(type, count_type) {
+    this.type = type;
+    this.count_type = count_type;
+}
+
+ListT.prototype.decode = function (decoder, parent) {
+    ensure(decoder, this.count_type.size());
+
+    let res = [];
+    let count = this.count_type.decode(decoder);
+    for (let i = 0; i < count; ++i)
+        res.push(this.type.decode(decoder, parent));
+
+    return res;
+};
+
+ListT.prototype.size = function (val, ctx) {
+    let self = this;
+    return list(val).reduce(function (size, item) {
+        return size + self.type.size(item, ctx);
+    }, this.count_type.size());
+};
+
+ListT.prototype.encode = function (encoder, val, ctx) {
+    let self = this;
+    val = list(val);
+
+    this.count_type.encode(encoder, val.length);
+    val.forEach(function (item) { self.type.encode(encoder, item, ctx); });
+};
+
+function list(val) {
+    if (undefined === val || null === val)
+        return [];
+
+    return Array.isArray(val) ? val : [ val ];
+}
+
+/**
+ * UTF-8 string, either of a fixed size in bytes or preceded by its size.
+ * @param {Number|NativeType} length Size in bytes, or type of the size.
+ * @constructor
+ * @private
+ */
+function StringT(length) {
+    this.length = length;
+}
+
+StringT.prototype.decode = function (decoder) {
+    let size = this.length;
+    if (typeof size !== "number") {
+        ensure(decoder, this.length.size());
+        size = this.length.decode(decoder);
+    }
+
+    ensure(decoder, size);
+    let buf = decoder.readBuffer(size);
+
+    if (typeof this.length === "number") {
+        let end = buf.indexOf(0);
+        if (end >= 0)
+            buf = buf.slice(0, end);
+    }
+
+    return buf.toString("utf8");
+};
+
+StringT.prototype.size = function (val) {
+    if (typeof this.length === "number")
+        return this.length;
+
+    return this.length.size() + Buffer.byteLength(val || "", "utf8");
 };
 
+StringT.prototype.encode = function (encoder, val) {
+    let data = Buffer.from(val || "", "utf8");
+
+    if (typeof this.length === "number") {
+        if (data.length > this.length)
+            throw new Error("The string '" + val + "' is longer than " + this.length +
+                " bytes.");
 
+        let buf = Buffer.alloc(this.length);
+        data.copy(buf);
+        return encoder.writeBuffer(buf);
+    }
+
+    this.length.encode(encoder, data.length);
+    if (data.length > 0)
+        encoder.writeBuffer(data);
+};
+
+/**
+ * Integer of 8 bytes, values beyond 2^53 lose precision as any JS number does.
+ * @param {Boolean} unsigned
+ * @param {String} endian
+ * @constructor
+ * @private
+ */
+function Int64T(unsigned, endian) {
+    this.fn = (unsigned ? "BigUInt64" : "BigInt64") + endian;
+}
+
+Int64T.prototype.decode = function (decoder) {
+    ensure(decoder, 8);
+    return Number(decoder.readBuffer(8)["read" + this.fn](0));
+};
+
+Int64T.prototype.size = function () {
+    return 8;
+};
+
+Int64T.prototype.encode = function (encoder, val) {
+    let buf = Buffer.alloc(8);
+    buf["write" + this.fn](BigInt(Math.trunc(val)), 0);
+    encoder.writeBuffer(buf);
+};
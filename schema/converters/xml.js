@@ -4,7 +4,9 @@ const parseString = require("xml2js").parseString;
 const escape = require("xml-escape");
 //
 const str_util = require("../../str_util");
-const def_class = require("../common").def_class;
+const xml_util = require("../../xml");
+const common = require("../common");
+const def_class = common.def_class;
 
 /** @type {Converter} */
 module.exports = {
@@ -19,8 +21,8 @@ module.exports = {
      * @returns {Object}
      */
     toObj: function (xml, obj_class) {
-        if (!obj_class || typeof obj_class !== "object")
-            obj_class = def_class;
+        if (!common.validObjClass(obj_class))
+            obj_class = undefined;
 
         let res;
 
@@ -34,15 +36,17 @@ module.exports = {
                 throw err;
 
             let root_name = Object.keys(doc)[0];
-            if (!obj_class._name)
-                obj_class._name = root_name;
+            if (!obj_class)
+                obj_class = Object.assign({}, def_class, { _name: root_name });
 
             if (root_name !== obj_class._name)
                 throw new Error("Failed to convert XML document to an object, the " +
                     "object class '" + obj_class._name + "' is not for object '" +
                     root_name + "'.");
 
-            res = parseChild(doc, obj_class._refs);
+            let root = {};
+            root[root_name] = obj_class;
+            res = parseChild(doc, { _attrs: {}, _refs: root });
         });
 
         if (!parse_callback_called)
@@ -53,27 +57,39 @@ module.exports = {
 
         //
 
-        function addAttrs(obj, attrs) {
+        function addAttrs(obj, attrs, obj_class) {
             for (let k in attrs)
                 if (attrs.hasOwnProperty(k))
-                    obj[k] = attrs[k];
+                    obj[k] = attrValue(obj_class._attrs[k], attrs[k]);
+        }
+
+        // Same canonical form as the JSON converter: typed, internal unit, allowed
+        // value rather than meaning.
+        function attrValue(attr, val) {
+            if (attr && "Number" === attr.type && "" !== val)
+                val = xml_util.parse.number(val, val);
+            else if (attr && "Boolean" === attr.type)
+                val = xml_util.parse.bool(val);
+
+            return common.attrValue(attr, val, common.toInternal);
         }
 
-        function parseChild(elem, refs) {
+        function parseChild(elem, obj_class) {
             if (typeof elem === "string")
                 return elem;
 
+            let refs = obj_class._refs;
             let res = {};
 
             for (let k in elem)
                 if (elem.hasOwnProperty(k)) {
                     if ("$" === k)
-                        addAttrs(res, elem[k]);
+                        addAttrs(res, elem[k], obj_class);
                     else {
                         if (Array.isArray(elem[k]) && elem[k].length > 0)  {
                             if (elem[k].length === 1) {
                                 let child = parseChild(elem[k][0],
-                                    refs[k] ? refs[k]._refs : {});
+                                    common.refClass(refs[k]));
 
                                 if (refs[k] && refs[k].is_container)
                                     res[k] = [ child ];
@@ -86,11 +102,12 @@ module.exports = {
 
                                 for (let i=0; i < elem[k].length; ++i)
                                     res[k].push(parseChild(elem[k][i],
-                                        refs[k] ? refs[k]._refs : {}));
+                                        common.refClass(refs[k])));
                             }
                         }
                         else {
-                            let child = parseChild(elem[k], refs[k] ? refs[k]._refs : {});
+                            let child = parseChild(elem[k],
+                                common.refClass(refs[k]));
                             if (refs[k] && refs[k].is_container)
                                 res[k].push(child);
                             else
@@ -111,7 +128,7 @@ module.exports = {
      * @returns {string}
      */
     fromObj: function (obj, obj_class) {
-        let root_name = obj_class._name || Object.keys(obj)[0];
+        let root_name = (obj_class && obj_class._name) || Object.keys(obj)[0];
 
         return parseChild(0, root_name, obj[root_name], obj_class);
 
@@ -135,8 +152,7 @@ module.exports = {
             if (typeof obj === "string")
                 return indent_str + "<" + name + ">" + obj + "</" + name + ">\n";
 
-            if (!obj_class)
-                obj_class = def_class;
+            obj_class = common.refClass(obj_class);
 
             let res = indent_str + "<" + name;
             let children = "";
@@ -146,7 +162,8 @@ module.exports = {
                     if (obj_class._refs[k] || typeof obj[k] === "object")
                         children += parseChild(indent + 1, k, obj[k], obj_class._refs[k]);
                     else
-                        res += " " + k + "=\"" + escape(obj[k]) + "\"";
+                        res += " " + k + "=\"" +
+                            escape(attrValue(obj_class._attrs[k], obj[k])) + "\"";
                 }
 
             if (children.length === 0)
@@ -154,6 +171,14 @@ module.exports = {
 
             return res + ">\n" + children + indent_str + "</" + name + ">\n";
         }
+
+        function attrValue(attr, val) {
+            val = common.attrValue(attr, val, common.toExternal);
+            if (typeof val === "boolean")
+                return val ? "True" : "False";
+
+            return String(val);
+        }
     }
 
 };
@@ -0,0 +1,415 @@
+"use strict";
+
+/**
+ * Compares two versions of a schema. Every difference in groups, objects, attributes,
+ * references, types and allowed values is reported as a Change, classified as
+ * backward compatible or breaking.
+ * @module schema/diff
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const os = require("os");
+//
+const str_util = require("../str_util");
+
+
+/**
+ * Kind of a change.
+ * @enum {String}
+ */
+const ChangeKind = {
+    Added: "added",
+    Removed: "removed",
+    Changed: "changed"
+};
+
+/**
+ * Kind of definition a change applies to.
+ * @enum {String}
+ */
+const Element = {
+    Group: "group",
+    Object: "object",
+    Attribute: "attribute",
+    Reference: "reference",
+    Type: "type",
+    AllowedValue: "allowed-value"
+};
+
+
+/**
+ * A difference between two versions of a schema.
+ * @param {ChangeKind} kind
+ * @param {Element} element
+ * @param {String} name Full name of the definition, e.g. 'Orders::Order.Qty'.
+ * @param {Boolean} breaking True if the change is not backward compatible.
+ * @param {String} message
+ * @returns {Change}
+ * @constructor
+ */
+function Change(kind, element, name, breaking, message) {
+    if (!this)
+        return new Change(kind, element, name, breaking, message);
+
+    this.kind = kind;
+    this.element = element;
+    this.name = name;
+    this.breaking = Boolean(breaking);
+    this.message = message;
+}
+
+/**
+ * Formats the change as a single line of the report.
+ * @returns {String}
+ */
+Change.prototype.toString = function () {
+    return str_util.alignL(this.breaking ? "BREAKING" : "ok", 10) +
+        str_util.alignL(this.kind, 9) + str_util.alignL(this.element, 15) + this.message;
+};
+
+
+/**
+ * Result of the comparison of two schemas.
+ * @param {Schema} old_schema
+ * @param {Schema} new_schema
+ * @returns {SchemaDiff}
+ * @constructor
+ */
+function SchemaDiff(old_schema, new_schema) {
+    if (!this)
+        return new SchemaDiff(old_schema, new_schema);
+
+    Object.defineProperty(this, 'old_schema', { value: old_schema, enumerable: false });
+    Object.defineProperty(this, 'new_schema', { value: new_schema, enumerable: false });
+
+    this.old_version = old_schema.version;
+    this.new_version = new_schema.version;
+    this.changes = [];
+
+    diffTypes(this.changes, old_schema, new_schema);
+    diffGroups(this.changes, old_schema, new_schema);
+    diffObjects(this.changes, old_schema, new_schema);
+}
+
+/**
+ * Returns true if the schemas are the same.
+ * @returns {Boolean}
+ */
+SchemaDiff.prototype.isEmpty = function () {
+    return this.changes.length === 0;
+};
+
+/**
+ * Returns true if none of the changes is breaking.
+ * @returns {Boolean}
+ */
+SchemaDiff.prototype.isCompatible = function () {
+    return !this.changes.some(function (c) { return c.breaking; });
+};
+
+/**
+ * Returns the breaking changes.
+ * @returns {Array.<Change>}
+ */
+SchemaDiff.prototype.getBreakingChanges = function () {
+    return this.changes.filter(function (c) { return c.breaking; });
+};
+
+/**
+ * Returns the changes matching the given filter, an object whose properties must all
+ * match the change, for instance { kind: "removed", element: "object" }.
+ * @param {Object} filter
+ * @returns {Array.<Change>}
+ */
+SchemaDiff.prototype.filter = function (filter) {
+    return this.changes.filter(function (c) {
+        return Object.keys(filter).every(function (k) { return c[k] === filter[k]; });
+    });
+};
+
+/**
+ * Returns a human readable report of the changes, one line per change.
+ * @returns {String}
+ */
+SchemaDiff.prototype.report = function () {
+    let breaking = this.getBreakingChanges().length;
+    let lines = [ "Schema changes from version " + this.old_version + " to " +
+        this.new_version + ": " + this.changes.length + " change(s), " + breaking +
+        " breaking." ];
+
+    this.changes.forEach(function (c) {
+        lines.push("    " + c.toString());
+    });
+
+    return lines.join(os.EOL) + os.EOL;
+};
+
+
+/**
+ * Compares the given schemas.
+ * @param {Schema} old_schema
+ * @param {Schema} new_schema
+ * @returns {SchemaDiff}
+ */
+function diff(old_schema, new_schema) {
+    return new SchemaDiff(old_schema, new_schema);
+}
+
+
+//
+
+function byName(list, name_fn) {
+    let res = new Map();
+    list.forEach(function (d) {
+        let name = name_fn(d);
+        if (!res.has(name))
+            res.set(name, d);
+    });
+
+    return res;
+}
+
+/**
+ * Calls 'added', 'removed' and 'common' for the entries of the given maps.
+ */
+function compare(old_map, new_map, added, removed, common) {
+    old_map.forEach(function (o, name) {
+        if (new_map.has(name))
+            common(name, o, new_map.get(name));
+        else
+            removed(name, o);
+    });
+
+    new_map.forEach(function (n, name) {
+        if (!old_map.has(name))
+            added(name, n);
+    });
+}
+
+function str(val) {
+    return (undefined === val || null === val) ? "none" : String(val);
+}
+
+function diffGroups(res, old_schema, new_schema) {
+    let name_fn = function (g) { return g.name; };
+
+    compare(byName(old_schema.groups, name_fn), byName(new_schema.groups, name_fn),
+        function (name) {
+            res.push(new Change(ChangeKind.Added, Element.Group, name, false,
+                "Group '" + name + "' was added."));
+        },
+        function (name) {
+            res.push(new Change(ChangeKind.Removed, Element.Group, name, true,
+                "Group '" + name + "' was removed."));
+        },
+        function (name, o, n) {
+            if (o.is_interface !== n.is_interface)
+                res.push(new Change(ChangeKind.Changed, Element.Group, name, true,
+                    "Group '" + name + "' " + (n.is_interface ? "became" : "is no " +
+                        "longer") + " an interface."));
+        });
+}
+
+function diffObjects(res, old_schema, new_schema) {
+    let name_fn = function (o) { return o.fullName(); };
+
+    compare(byName(old_schema.objects, name_fn), byName(new_schema.objects, name_fn),
+        function (name) {
+            res.push(new Change(ChangeKind.Added, Element.Object, name, false,
+                "Object '" + name + "' was added."));
+        },
+        function (name) {
+            res.push(new Change(ChangeKind.Removed, Element.Object, name, true,
+                "Object '" + name + "' was removed."));
+        },
+        function (name, o, n) {
+            [
+                [ "msg_type", "MessageType", true ],
+                [ "inherits_from", "InheritsFrom", true ],
+                [ "response_request", "ResponseRequest", true ],
+                [ "is_event", "IsEvent", false ],
+                [ "do_not_archive", "DoNotArchive", false ],
+                [ "not_persistent", "NotPersistent", false ],
+                [ "time_to_live", "TimeToLive", false ],
+                [ "compressible", "Compressible", false ]
+            ].forEach(function (p) {
+                if (o[p[0]] !== n[p[0]])
+                    res.push(new Change(ChangeKind.Changed, Element.Object, name, p[2],
+                        "The " + p[1] + " of object '" + name + "' changed from " +
+                        str(o[p[0]]) + " to " + str(n[p[0]]) + "."));
+            });
+
+            diffAttrs(res, name, old_schema, o, new_schema, n);
+            diffRefs(res, name, o, n);
+        });
+}
+
+function diffAttrs(res, obj_name, old_schema, old_obj, new_schema, new_obj) {
+    let name_fn = function (a) { return a.name; };
+
+    compare(byName(old_obj.all_attrs || old_obj.attrs, name_fn),
+        byName(new_obj.all_attrs || new_obj.attrs, name_fn),
+        function (name, a) {
+            let full_name = obj_name + "." + name;
+            res.push(new Change(ChangeKind.Added, Element.Attribute, full_name,
+                !a.optional, (a.optional ? "Optional" : "Required") + " attribute '" +
+                full_name + "' was added."));
+        },
+        function (name, a) {
+            let full_name = obj_name + "." + name;
+            res.push(new Change(ChangeKind.Removed, Element.Attribute, full_name,
+                !a.optional, (a.optional ? "Optional" : "Required") + " attribute '" +
+                full_name + "' was removed."));
+        },
+        function (name, o, n) {
+            let full_name = obj_name + "." + name;
+            let change = function (breaking, message) {
+                res.push(new Change(ChangeKind.Changed, Element.Attribute, full_name,
+                    breaking, "Attribute '" + full_name + "': " + message));
+            };
+
+            if (o.type !== n.type ||
+                nativeType(old_schema, o) !== nativeType(new_schema, n))
+                change(true, "the type changed from " + o.type + " to " + n.type + ".");
+
+            if (str(o.size) !== str(n.size))
+                change(true, "the size changed from " + str(o.size) + " to " +
+                    str(n.size) + ".");
+
+            if (o.optional !== n.optional)
+                change(!n.optional, n.optional ? "became optional." : "became required.");
+
+            if (o.index !== n.index)
+                change(true, "the index changed from " + str(o.index) + " to " +
+                    str(n.index) + ".");
+
+            diffRange(o.min_value, o.max_value, n.min_value, n.max_value, change);
+        });
+}
+
+function diffRefs(res, obj_name, old_obj, new_obj) {
+    let name_fn = function (r) { return r.name; };
+
+    compare(byName(old_obj.all_refs || old_obj.refs, name_fn),
+        byName(new_obj.all_refs || new_obj.refs, name_fn),
+        function (name, r) {
+            let full_name = obj_name + "." + name;
+            res.push(new Change(ChangeKind.Added, Element.Reference, full_name,
+                r.min_count > 0, "Reference '" + full_name + "' was added."));
+        },
+        function (name, r) {
+            let full_name = obj_name + "." + name;
+            res.push(new Change(ChangeKind.Removed, Element.Reference, full_name,
+                r.min_count > 0, "Reference '" + full_name + "' was removed."));
+        },
+        function (name, o, n) {
+            let full_name = obj_name + "." + name;
+            let change = function (breaking, message) {
+                res.push(new Change(ChangeKind.Changed, Element.Reference, full_name,
+                    breaking, "Reference '" + full_name + "': " + message));
+            };
+
+            if (o.type !== n.type)
+                change(true, "the type changed from " + o.type + " to " + n.type + ".");
+
+            if ((o.min_count || 0) !== (n.min_count || 0))
+                change((n.min_count || 0) > (o.min_count || 0), "MinCount changed from " +
+                    str(o.min_count) + " to " + str(n.min_count) + ".");
+
+            if (o.max_count !== n.max_count)
+                change(undefined !== n.max_count &&
+                    (undefined === o.max_count || n.max_count < o.max_count),
+                    "MaxCount changed from " + str(o.max_count) + " to " +
+                    str(n.max_count) + ".");
+
+            if (o.index !== n.index)
+                change(true, "the index changed from " + str(o.index) + " to " +
+                    str(n.index) + ".");
+        });
+}
+
+function diffTypes(res, old_schema, new_schema) {
+    let name_fn = function (t) { return t.name; };
+
+    compare(byName(old_schema.types, name_fn), byName(new_schema.types, name_fn),
+        function (name) {
+            res.push(new Change(ChangeKind.Added, Element.Type, name, false,
+                "Type '" + name + "' was added."));
+        },
+        function (name) {
+            res.push(new Change(ChangeKind.Removed, Element.Type, name, true,
+                "Type '" + name + "' was removed."));
+        },
+        function (name, o, n) {
+            let change = function (breaking, message) {
+                res.push(new Change(ChangeKind.Changed, Element.Type, name, breaking,
+                    "Type '" + name + "': " + message));
+            };
+
+            if (o.type !== n.type ||
+                nativeType(old_schema, o) !== nativeType(new_schema, n))
+                change(true, "the base type changed from " + o.type + " to " + n.type +
+                    ".");
+
+            if (str(o.size) !== str(n.size))
+                change(true, "the size changed from " + str(o.size) + " to " +
+                    str(n.size) + ".");
+
+            diffRange(o.min, o.max, n.min, n.max, change);
+            diffValues(res, name, o.values, n.values);
+        });
+}
+
+function diffValues(res, type_name, old_values, new_values) {
+    let name_fn = function (v) { return String(v.value); };
+
+    compare(byName(old_values, name_fn), byName(new_values, name_fn),
+        function (value, v) {
+            res.push(new Change(ChangeKind.Added, Element.AllowedValue, type_name, false,
+                "Allowed value " + value + " (" + v.meaning + ") was added to type '" +
+                type_name + "'."));
+        },
+        function (value, v) {
+            res.push(new Change(ChangeKind.Removed, Element.AllowedValue, type_name, true,
+                "Allowed value " + value + " (" + v.meaning + ") was removed from " +
+                "type '" + type_name + "'."));
+        },
+        function (value, o, n) {
+            if (o.meaning !== n.meaning)
+                res.push(new Change(ChangeKind.Changed, Element.AllowedValue, type_name,
+                    true, "The meaning of allowed value " + value + " of type '" +
+                    type_name + "' changed from " + o.meaning + " to " + n.meaning +
+                    "."));
+        });
+}
+
+/**
+ * Reports range changes, narrowing the range is breaking, widening it is not.
+ */
+function diffRange(old_min, old_max, new_min, new_max, change) {
+    if (str(old_min) !== str(new_min))
+        change(undefined !== new_min && (undefined === old_min || new_min > old_min),
+            "MinValue changed from " + str(old_min) + " to " + str(new_min) + ".");
+
+    if (str(old_max) !== str(new_max))
+        change(undefined !== new_max && (undefined === old_max || new_max < old_max),
+            "MaxValue changed from " + str(old_max) + " to " + str(new_max) + ".");
+}
+
+function nativeType(schema, def) {
+    try {
+        return schema.getEffectiveType(def.type).native_type;
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+
+module.exports = {
+    ChangeKind: ChangeKind,
+    Element: Element,
+    Change: Change,
+    SchemaDiff: SchemaDiff,
+    diff: diff
+};
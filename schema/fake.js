@@ -0,0 +1,326 @@
+"use strict";
+
+/**
+ * Generation of random, but valid, instances of object definitions, for tests and
+ * samples. Values respect the ranges, allowed values and sizes of the attribute types,
+ * as well as the counts of the references. Instances are reproducible from a seed.
+ * @module schema/fake
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const schema_util = require("./index").util;
+const converters = {
+    xml: require("./converters/xml"),
+    json: require("./converters/json"),
+    struct: require("./converters/struct")
+};
+
+
+/**
+ * @typedef {Object} FakeOptions
+ * @property {Number|String} [seed] Seed of the random values, a random seed by default.
+ * @property {Number} [optional] Probability of setting optional attributes, 0.5 by
+ * default.
+ * @property {Number} [max_items] Maximum number of objects added to references without
+ * a MaxCount, on top of their MinCount, 3 by default.
+ * @property {Number} [max_depth] Nesting level beyond which references only get their
+ * MinCount objects, 4 by default.
+ * @property {String} [format] Format returned by 'render', either 'object' (default),
+ * 'xml', 'json' or 'struct' (binary).
+ */
+
+/**
+ * Nesting level at which a chain of required references is considered endless.
+ * @type {Number}
+ */
+const max_required_depth = 64;
+
+const alpha_chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+
+/**
+ * Seeded pseudo-random number generator, the same seed produces the same sequence.
+ * @param {Number|String} seed
+ * @returns {Random}
+ * @constructor
+ */
+function Random(seed) {
+    if (!this)
+        return new Random(seed);
+
+    Object.defineProperty(this, 'state',
+        { writable: true, value: hashSeed(seed), enumerable: false });
+}
+
+/**
+ * Returns a number in [0, 1).
+ * @returns {Number}
+ */
+Random.prototype.next = function () {
+    // mulberry32
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    let t = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Returns an integer in [min, max].
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {Number}
+ */
+Random.prototype.int = function (min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+};
+
+/**
+ * Returns true with the given probability.
+ * @param {Number} [p] 0.5 by default.
+ * @returns {Boolean}
+ */
+Random.prototype.bool = function (p) {
+    return this.next() < (undefined === p ? 0.5 : p);
+};
+
+/**
+ * Returns one of the items of the given array.
+ * @param {Array} items
+ * @returns {*}
+ */
+Random.prototype.pick = function (items) {
+    return items[this.int(0, items.length - 1)];
+};
+
+
+/**
+ * Generator of object instances. Consecutive calls produce different instances, the
+ * whole sequence is reproduced by a generator with the same seed.
+ * @param {Schema} schema
+ * @param {FakeOptions} [opts]
+ * @returns {FakeGenerator}
+ * @constructor
+ */
+function FakeGenerator(schema, opts) {
+    if (!this)
+        return new FakeGenerator(schema, opts);
+
+    opts = Object.assign({
+        optional: 0.5,
+        max_items: 3,
+        max_depth: 4,
+        format: "object"
+    }, opts);
+
+    if (undefined === opts.seed || null === opts.seed)
+        opts.seed = Math.floor(Math.random() * 4294967296);
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'random', { value: new Random(opts.seed),
+        enumerable: false });
+
+    this.options = opts;
+    this.seed = opts.seed;
+}
+
+/**
+ * Returns a random instance of the given object definition, as a plain object.
+ * @param {ObjectDef|String} obj_def Object definition or its name.
+ * @returns {Object}
+ */
+FakeGenerator.prototype.create = function (obj_def) {
+    return this._object(this._objectDef(obj_def), 0);
+};
+
+/**
+ * Returns a random instance of the given object definition in the given format, see
+ * {@link FakeOptions}. XML documents are rooted at the name of the object.
+ * @param {ObjectDef|String} obj_def Object definition or its name.
+ * @param {String} [format] The 'format' option by default.
+ * @returns {Object|String|Buffer}
+ */
+FakeGenerator.prototype.render = function (obj_def, format) {
+    obj_def = this._objectDef(obj_def);
+    format = format || this.options.format;
+
+    let obj = this.create(obj_def);
+    if ("object" === format)
+        return obj;
+
+    let converter = converters[format];
+    if (!converter)
+        throw new Error("Failed to render a fake '" + obj_def.fullName() + "', unknown " +
+            "format '" + format + "'.");
+
+    let obj_class = obj_def.getObjClass();
+    if ("xml" === format) {
+        let doc = {};
+        doc[obj_class._name] = obj;
+        return converter.fromObj(doc, obj_class);
+    }
+
+    return converter.fromObj(obj, obj_class);
+};
+
+
+//
+
+FakeGenerator.prototype._objectDef = function (obj_def) {
+    if (typeof obj_def !== "string")
+        return obj_def;
+
+    let res = this.schema.getObject(obj_def) || this.schema.findObject(obj_def);
+    if (!res)
+        throw new Error("Failed to generate a fake object, the object definition '" +
+            obj_def + "' is not defined.");
+
+    return res;
+};
+
+FakeGenerator.prototype._object = function (obj_def, depth) {
+    let self = this;
+    let res = {};
+
+    if (depth > max_required_depth)
+        throw new Error("Failed to generate a fake '" + obj_def.fullName() + "', its " +
+            "required references nest endlessly.");
+
+    (obj_def.all_attrs || obj_def.attrs).forEach(function (a) {
+        if (a.optional && !self.random.bool(self.options.optional))
+            return;
+
+        res[a.name] = self._value(a);
+    });
+
+    (obj_def.all_refs || obj_def.refs).forEach(function (r) {
+        let count = self._count(r, depth);
+        if (!count && !schema_util.isContainer(r))
+            return;
+
+        let ref_obj = obj_def.getRefObject(r);
+        if (!ref_obj)
+            throw new Error("Failed to generate a fake '" + obj_def.fullName() + "', " +
+                "the object '" + schema_util.getRefTypeName(r) + "' referenced by '" +
+                r.name + "' is not defined.");
+
+        if (!schema_util.isContainer(r))
+            return (res[r.name] = self._object(ref_obj, depth + 1));
+
+        res[r.name] = [];
+        for (let i = 0; i < count; ++i)
+            res[r.name].push(self._object(ref_obj, depth + 1));
+    });
+
+    return res;
+};
+
+FakeGenerator.prototype._count = function (ref, depth) {
+    let min = ref.min_count || 0;
+    if (depth >= this.options.max_depth)
+        return min;
+
+    let max = (undefined !== ref.max_count) ? ref.max_count :
+        min + this.options.max_items;
+
+    return this.random.int(min, Math.max(min, max));
+};
+
+FakeGenerator.prototype._value = function (attr) {
+    let t = this.schema.getEffectiveType(attr);
+
+    if (t.values.length > 0) {
+        let values = t.values.filter(function (v) {
+            return (undefined === t.min_value || Number(v.value) >= t.min_value) &&
+                (undefined === t.max_value || Number(v.value) <= t.max_value);
+        });
+
+        let v = this.random.pick(values.length > 0 ? values : t.values).value;
+        return ("Alpha" === t.native_type) ? v : Number(v);
+    }
+
+    switch (t.native_type) {
+        case "Integer": {
+            let range = intRange(t);
+            return this.random.int(range[0], range[1]);
+        }
+
+        case "Numeric": {
+            let range = numRange(t);
+            let val = range[0] + this.random.next() * (range[1] - range[0]);
+            return Math.min(range[1], Math.max(range[0], Math.round(val * 1e4) / 1e4));
+        }
+
+        case "Boolean":
+            return this.random.bool();
+
+        case "Alpha":
+            return this._alpha(t.size);
+    }
+
+    throw new Error("Failed to generate a fake value for attribute '" + attr.name +
+        "', the native type '" + t.native_type + "' is not supported.");
+};
+
+FakeGenerator.prototype._alpha = function (size) {
+    let len = this.random.int(1, size > 0 ? Math.min(size, 12) : 12);
+
+    let res = "";
+    for (let i = 0; i < len; ++i)
+        res += this.random.pick(alpha_chars);
+
+    return res;
+};
+
+
+// Ranges default to a realistic span of values, within the limits of the size.
+
+function intRange(t) {
+    let size = t.size || 4;
+    let unsigned = undefined !== t.min_value && t.min_value >= 0;
+    let bits = Math.min(size * 8, 32);
+
+    let lo = unsigned ? 0 : -Math.pow(2, bits - 1);
+    let hi = unsigned ? Math.pow(2, bits) - 1 : Math.pow(2, bits - 1) - 1;
+
+    let min = (undefined !== t.min_value) ? Math.ceil(t.min_value) : undefined;
+    let max = (undefined !== t.max_value) ? Math.floor(t.max_value) : undefined;
+
+    if (undefined === min)
+        min = (undefined !== max && max < 0) ? Math.max(lo, max - 100000) : 0;
+
+    if (undefined === max)
+        max = min + 100000;
+
+    return [ Math.max(lo, min), Math.min(hi, max) ];
+}
+
+function numRange(t) {
+    let min = t.min_value;
+    let max = t.max_value;
+
+    if (undefined === min)
+        min = (undefined !== max && max < 0) ? max - 1000 : 0;
+
+    if (undefined === max)
+        max = min + 1000;
+
+    return [ min, max ];
+}
+
+function hashSeed(seed) {
+    // FNV-1a of the string form, numbers included, so that any seed spreads evenly.
+    let str = String(seed);
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; ++i) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+
+    return h | 0;
+}
+
+
+module.exports = {
+    Random: Random,
+    FakeGenerator: FakeGenerator
+};
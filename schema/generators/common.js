@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * Helpers shared by the schema code generators.
+ * @module schema/generators/common
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const wrap = require("word-wrap");
+//
+const fs_util = require("../../fs_util");
+const str_util = require("../../str_util");
+
+
+/**
+ * Returns a valid identifier for the given schema name. Invalid characters are replaced
+ * with '_' and names starting with a digit are prefixed with '_'.
+ * @param {String} name
+ * @returns {String}
+ */
+exports.identifier = function (name) {
+    if (str_util.is_valid.varName(name))
+        return name;
+
+    let res = name.replace(/[^A-Za-z0-9_$]+/g, "_").replace(/^_+|_+$/g, "");
+    if (!str_util.is_valid.varName(res))
+        res = "_" + res;
+
+    return res;
+};
+
+/**
+ * Returns the property accessor for the given name, '.name' when the name is a valid
+ * identifier and '["name"]' otherwise.
+ * @param {String} name
+ * @returns {String}
+ */
+exports.accessor = function (name) {
+    if (str_util.is_valid.varName(name))
+        return "." + name;
+
+    return "[" + JSON.stringify(name) + "]";
+};
+
+/**
+ * Returns the key to use for the given name in an object literal.
+ * @param {String} name
+ * @returns {String}
+ */
+exports.key = function (name) {
+    return str_util.is_valid.varName(name) ? name : JSON.stringify(name);
+};
+
+/**
+ * Returns the path, relative to the output folder and without extension, of the module
+ * generated for the given group. Nested groups are mapped to nested folders.
+ * @param {GroupDef} group
+ * @returns {String}
+ */
+exports.modulePath = function (group) {
+    return group.name.split("::").map(exports.identifier).join("/");
+};
+
+/**
+ * Returns the path to use in 'require' to load module 'to' from module 'from', both
+ * as returned by 'modulePath'. The extension is kept since a group module and the
+ * folder of its nested groups share the same name.
+ * @param {String} from
+ * @param {String} to
+ * @param {String} [ext]
+ * @returns {String}
+ */
+exports.requirePath = function (from, to, ext) {
+    let res = path.posix.relative(path.posix.dirname(from), to + (ext || ".js"));
+    return res.startsWith(".") ? res : "./" + res;
+};
+
+/**
+ * Returns the number of objects a reference holds as a range, e.g. '0..*' for an
+ * unbounded optional reference or '1' when the minimum and maximum are the same.
+ * @param {Object} ref
+ * @returns {String}
+ */
+exports.multiplicity = function (ref) {
+    let min = String(ref.min_count || 0);
+    let max = (undefined === ref.max_count) ? "*" : String(ref.max_count);
+    return (min === max) ? max : min + ".." + max;
+};
+
+/**
+ * Builds a JSDoc style comment from the given text and tag lines, an empty list is
+ * returned when there is nothing to document.
+ * @param {String} text
+ * @param {Array.<String>} [tags]
+ * @param {Number} [indent]
+ * @returns {Array.<String>}
+ */
+exports.docComment = function (text, tags, indent) {
+    let pad = str_util.fill(indent || 0, " ");
+    let lines = [ pad + "/**" ];
+
+    if (text && text !== "<missing>" && text !== "<Missing>")
+        wrap(text.replace(/\*\//g, "* /"), { width: 80, indent: "", trim: true })
+            .split("\n").forEach(function (l) {
+                lines.push(pad + " * " + l);
+            });
+
+    (tags || []).forEach(function (t) {
+        lines.push(pad + " * " + t);
+    });
+
+    if (lines.length === 1)
+        return [];
+
+    lines.push(pad + " */");
+    return lines;
+};
+
+/**
+ * Writes the given files, a map of relative file names to content, to folder 'dir'.
+ * @param {String} dir
+ * @param {Object.<String, String>} files
+ * @returns {Array.<String>} Full names of the files written.
+ */
+exports.writeFiles = function (dir, files) {
+    return Object.keys(files).map(function (f) {
+        let file_name = path.join(dir, f);
+        fs_util.ensurePath(path.dirname(file_name) + path.sep);
+        fs.writeFileSync(file_name, files[f], "utf8");
+        return file_name;
+    });
+};
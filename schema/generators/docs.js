@@ -0,0 +1,673 @@
+"use strict";
+
+/**
+ * Generates browsable documentation from a loaded schema, either as a static HTML site
+ * or as Markdown files. The documentation has an index with the group tree and the
+ * list of types, a page per group, object and type, cross-links between them and a
+ * search index of every definition.
+ * @module schema/generators/docs
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const path = require("path");
+//
+const gen = require("./common");
+const schema_util = require("../index").util;
+const UsageKind = require("../xref").UsageKind;
+const CrossReference = require("../xref").CrossReference;
+
+
+/**
+ * @typedef {Object} DocsGenOptions
+ * @property {String} [path] Output folder, defaults to the 'path' option of the schema.
+ * @property {String} [format] Either 'html' (default) or 'markdown'.
+ * @property {String} [title] Title of the documentation, 'Object Schema' by default.
+ */
+
+/**
+ * @typedef {Object} SearchEntry
+ * @property {String} name Full name of the definition.
+ * @property {String} kind One of 'group', 'object', 'type', 'attribute' or 'value'.
+ * @property {String} url Page of the definition, relative to the output folder.
+ * @property {String} text Intent of the definition, empty when it has none.
+ */
+
+const INDEX_FILE = "index";
+const TYPES_FOLDER = "types";
+
+
+/**
+ * Renders the documentation of the given schema.
+ * @param {Schema} schema
+ * @param {DocsGenOptions} [opts]
+ * @returns {Object.<String, String>} Map of relative file names to content.
+ */
+function render(schema, opts) {
+    opts = normOptions(schema, opts);
+
+    let format = formats[opts.format];
+    if (!format)
+        throw new Error("Failed to render the schema documentation, unknown format '" +
+            opts.format + "'.");
+
+    let links = new Links(format.ext);
+    let xref = schema.xref || new CrossReference(schema);
+    let pages = [ indexPage(schema, links, opts) ];
+
+    schema.groups.forEach(function (g) {
+        pages.push(groupPage(schema, g, links));
+    });
+
+    schema.objects.forEach(function (o) {
+        pages.push(objectPage(schema, xref, o, links));
+    });
+
+    schema.types.forEach(function (t) {
+        pages.push(typePage(schema, xref, t, links));
+    });
+
+    let res = {};
+    pages.forEach(function (p) {
+        if (!res[p.file])
+            res[p.file] = format.page(p, opts);
+    });
+
+    let entries = indexEntries(schema, links);
+    res["search_index.json"] = JSON.stringify(entries, null, 4) + "\n";
+
+    if (format.assets)
+        Object.assign(res, format.assets(entries));
+
+    return res;
+}
+
+/**
+ * Writes the documentation of the given schema to the output folder.
+ * @param {Schema} schema
+ * @param {DocsGenOptions} [opts]
+ * @returns {Array.<String>} Names of the files written.
+ */
+function generate(schema, opts) {
+    opts = normOptions(schema, opts);
+    return gen.writeFiles(opts.path, render(schema, opts));
+}
+
+/**
+ * Returns the search index of the given schema, one entry per group, object, type,
+ * attribute and allowed value.
+ * @param {Schema} schema
+ * @param {DocsGenOptions} [opts]
+ * @returns {Array.<SearchEntry>}
+ */
+function searchIndex(schema, opts) {
+    opts = normOptions(schema, opts);
+
+    let format = formats[opts.format];
+    if (!format)
+        throw new Error("Failed to build the schema search index, unknown format '" +
+            opts.format + "'.");
+
+    return indexEntries(schema, new Links(format.ext));
+}
+
+
+//
+
+function normOptions(schema, opts) {
+    return Object.assign({
+        path: schema.options.path,
+        format: "html",
+        title: "Object Schema"
+    }, opts);
+}
+
+function indexEntries(schema, links) {
+    let res = [];
+
+    schema.groups.forEach(function (g) {
+        res.push(entry(g.name, "group", links.group(g), g.intent));
+    });
+
+    schema.objects.forEach(function (o) {
+        let url = links.object(o);
+        res.push(entry(o.fullName(), "object", url, o.intent));
+        o.attrs.forEach(function (a) {
+            res.push(entry(o.fullName() + "." + a.name, "attribute", url, a.intent));
+        });
+    });
+
+    schema.types.forEach(function (t) {
+        let url = links.type(t);
+        res.push(entry(t.name, "type", url, t.intent));
+        t.values.forEach(function (v) {
+            let name = t.name + "." + (v.meaning || v.value);
+            res.push(entry(name, "value", url, v.intent));
+        });
+    });
+
+    return res;
+
+
+    //
+
+    function entry(name, kind, url, text) {
+        return { name: name, kind: kind, url: url, text: intentText(text) };
+    }
+}
+
+/**
+ * Names of the documentation pages, relative to the output folder.
+ * @param {String} ext
+ * @constructor
+ */
+function Links(ext) {
+    if (!this)
+        return new Links(ext);
+
+    this.ext = ext;
+}
+
+Links.prototype.index = function () {
+    return INDEX_FILE + this.ext;
+};
+
+Links.prototype.group = function (group) {
+    return gen.modulePath(group) + "/" + INDEX_FILE + this.ext;
+};
+
+Links.prototype.object = function (obj_def) {
+    return gen.modulePath(obj_def.parent) + "/" + gen.identifier(obj_def.name) + this.ext;
+};
+
+Links.prototype.type = function (type_def) {
+    return TYPES_FOLDER + "/" + gen.identifier(type_def.name) + this.ext;
+};
+
+// Pages are described by a list of blocks, rendered by each format:
+//   { heading: String, level: Number }
+//   { text: Array.<Inline> }
+//   { list: Array.<{ item: Array.<Inline>, children: Array }> }
+//   { table: { head: Array.<String>, rows: Array.<Array.<Array.<Inline>>> } }
+//   { search: true }
+// An Inline is either a string or a link { text: String, href: String }, with 'href'
+// relative to the output folder.
+
+function indexPage(schema, links, opts) {
+    let blocks = [ heading(opts.title, 1) ];
+
+    if (schema.version)
+        blocks.push({ text: [ "Version " + schema.version + "." ] });
+
+    blocks.push({ search: true });
+
+    blocks.push(heading("Groups", 2));
+    blocks.push({ list: schema.groups.filter(function (g) {
+        return !g.parent;
+    }).map(function (g) {
+        return groupTree(schema, g, links);
+    }) });
+
+    if (schema.types.length > 0) {
+        blocks.push(heading("Types", 2));
+        blocks.push(typeTable(schema, schema.types, links));
+    }
+
+    return { file: links.index(), title: opts.title, blocks: blocks };
+}
+
+function groupTree(schema, group, links) {
+    let children = schema.groups.filter(function (g) {
+        return g.parent === group;
+    }).map(function (g) {
+        return groupTree(schema, g, links);
+    });
+
+    groupObjects(schema, group).forEach(function (o) {
+        children.push({ item: [ link(o.name, links.object(o)) ], children: [] });
+    });
+
+    return { item: [ link(shortName(group), links.group(group)) ], children: children };
+}
+
+function groupPage(schema, group, links) {
+    let blocks = [ heading("Group " + group.name, 1) ];
+
+    pushIntent(blocks, group.intent);
+
+    if (group.parent)
+        blocks.push({ text: [ "Part of group ", link(group.parent.name,
+            links.group(group.parent)), "." ] });
+
+    if (group.is_interface)
+        blocks.push({ text: [ "Interface" + (group.interface_guid ? " " +
+            group.interface_guid : "") + "." ] });
+
+    let groups = schema.groups.filter(function (g) { return g.parent === group; });
+    if (groups.length > 0) {
+        blocks.push(heading("Groups", 2));
+        blocks.push(table([ "Name", "Description" ], groups.map(function (g) {
+            return [ [ link(shortName(g), links.group(g)) ], [ intentText(g.intent) ] ];
+        })));
+    }
+
+    let objects = groupObjects(schema, group);
+    if (objects.length > 0) {
+        blocks.push(heading("Objects", 2));
+        blocks.push(table([ "Name", "Message Type", "Description" ],
+            objects.map(function (o) {
+                return [ [ link(o.name, links.object(o)) ], [ o.msg_type || "" ],
+                    [ intentText(o.intent) ] ];
+            })));
+    }
+
+    return { file: links.group(group), title: group.name, blocks: blocks };
+}
+
+function objectPage(schema, xref, obj_def, links) {
+    let blocks = [ heading(obj_def.fullName(), 1) ];
+
+    pushIntent(blocks, obj_def.intent);
+
+    blocks.push({ text: [ "Group ", link(obj_def.parent.name,
+        links.group(obj_def.parent)), "." ] });
+
+    if (obj_def.msg_type && obj_def.msg_type !== "None")
+        blocks.push({ text: [ "Message type " + obj_def.msg_type + "." ] });
+
+    let bases = obj_def.getBaseChain();
+    if (bases.length > 0)
+        blocks.push(objectList("Inherits from ", bases, links));
+
+    let derived = users(xref, obj_def, UsageKind.Inheritance);
+    if (derived.length > 0)
+        blocks.push(objectList("Inherited by ", derived, links));
+
+    if (schema.messages) {
+        let responses = schema.messages.getResponses(obj_def);
+        if (responses.length > 0)
+            blocks.push(objectList("Answered by ", responses, links));
+
+        let requests = schema.messages.getRequests(obj_def);
+        if (requests.length > 0)
+            blocks.push(objectList("Answers ", requests, links));
+    }
+
+    let attrs = obj_def.all_attrs || obj_def.attrs;
+    if (attrs.length > 0) {
+        blocks.push(heading("Attributes", 2));
+        blocks.push(table([ "Name", "Type", "Optional", "Description", "Defined In" ],
+            attrs.map(function (a) {
+                return [ [ a.name ], typeLink(schema, a.type, links),
+                    [ a.optional ? "Yes" : "No" ], [ intentText(a.intent) ],
+                    origin(schema, obj_def, a, links) ];
+            })));
+    }
+
+    let refs = obj_def.all_refs || obj_def.refs;
+    if (refs.length > 0) {
+        blocks.push(heading("References", 2));
+        blocks.push(table([ "Name", "Object", "Count", "Description", "Defined In" ],
+            refs.map(function (r) {
+                return [ [ r.name ], refLink(obj_def, r, links), [ gen.multiplicity(r) ],
+                    [ intentText(r.intent) ], origin(schema, obj_def, r, links) ];
+            })));
+    }
+
+    let referrers = users(xref, obj_def, UsageKind.Reference);
+
+    if (referrers.length > 0) {
+        blocks.push(heading("Referenced By", 2));
+        blocks.push({ list: referrers.map(function (o) {
+            return { item: [ link(o.fullName(), links.object(o)) ], children: [] };
+        }) });
+    }
+
+    return { file: links.object(obj_def), title: obj_def.fullName(), blocks: blocks };
+}
+
+function typePage(schema, xref, type_def, links) {
+    let blocks = [ heading("Type " + type_def.name, 1) ];
+
+    pushIntent(blocks, type_def.intent);
+
+    let props = [ [ [ "Base Type" ], typeLink(schema, type_def.type, links) ] ];
+    if (undefined !== type_def.size)
+        props.push([ [ "Size" ], [ String(type_def.size) ] ]);
+
+    if (undefined !== type_def.min)
+        props.push([ [ "Minimum" ], [ String(type_def.min) ] ]);
+
+    if (undefined !== type_def.max)
+        props.push([ [ "Maximum" ], [ String(type_def.max) ] ]);
+
+    if (type_def.external_unit)
+        props.push([ [ "Unit" ], [ type_def.external_unit ] ]);
+
+    blocks.push(table([ "Property", "Value" ], props));
+
+    if (type_def.values.length > 0) {
+        blocks.push(heading("Allowed Values", 2));
+        blocks.push(table([ "Value", "Meaning", "Description" ],
+            type_def.values.map(function (v) {
+                return [ [ String(v.value) ], [ v.meaning || "" ],
+                    [ intentText(v.intent) ] ];
+            })));
+    }
+
+    let derived = users(xref, type_def, UsageKind.Type);
+    let used_by = xref.getUsers(type_def, UsageKind.Attribute).map(function (u) {
+        return { item: [ link(u.user.fullName() + "." + u.member.name,
+            links.object(u.user)) ], children: [] };
+    });
+
+    if (derived.length > 0 || used_by.length > 0) {
+        blocks.push(heading("Used By", 2));
+        blocks.push({ list: derived.map(function (t) {
+            return { item: [ link(t.name, links.type(t)) ], children: [] };
+        }).concat(used_by) });
+    }
+
+    return { file: links.type(type_def), title: type_def.name, blocks: blocks };
+}
+
+function typeTable(schema, types, links) {
+    return table([ "Name", "Base Type", "Description" ], types.map(function (t) {
+        return [ [ link(t.name, links.type(t)) ], typeLink(schema, t.type, links),
+            [ intentText(t.intent) ] ];
+    }));
+}
+
+function typeLink(schema, type_name, links) {
+    let type_def = schema.getType(type_name);
+    if (type_def && !schema_util.isNativeType(type_name))
+        return [ link(type_name, links.type(type_def)) ];
+
+    return [ type_name || "" ];
+}
+
+function refLink(obj_def, ref, links) {
+    let ref_obj = refObject(obj_def, ref);
+    if (ref_obj)
+        return [ link(ref_obj.fullName(), links.object(ref_obj)) ];
+
+    return [ schema_util.getRefTypeName(ref) ];
+}
+
+function refObject(obj_def, ref) {
+    try {
+        return obj_def.getRefObject(ref);
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+function origin(schema, obj_def, member, links) {
+    if (!member.origin || member.origin === obj_def.fullName())
+        return [ "" ];
+
+    let base = schema.getObject(member.origin);
+    return base ? [ link(base.fullName(), links.object(base)) ] : [ member.origin ];
+}
+
+function objectList(prefix, obj_defs, links) {
+    let res = [ prefix ];
+    obj_defs.forEach(function (o, i) {
+        if (i > 0)
+            res.push(", ");
+        res.push(link(o.fullName(), links.object(o)));
+    });
+
+    res.push(".");
+    return { text: res };
+}
+
+// Definitions using 'def' in the given way, each listed once.
+function users(xref, def, kind) {
+    let res = [];
+    xref.getUsers(def, kind).forEach(function (u) {
+        if (res.indexOf(u.user) < 0)
+            res.push(u.user);
+    });
+
+    return res;
+}
+
+function groupObjects(schema, group) {
+    return schema.objects.filter(function (o) { return o.parent === group; });
+}
+
+function shortName(group) {
+    return group.name.split("::").pop();
+}
+
+function intentText(intent) {
+    if (!intent || intent === "<missing>" || intent === "<Missing>")
+        return "";
+
+    return String(intent).trim();
+}
+
+function pushIntent(blocks, intent) {
+    let text = intentText(intent);
+    if (text)
+        blocks.push({ text: [ text ] });
+}
+
+function heading(text, level) {
+    return { heading: text, level: level };
+}
+
+function link(text, href) {
+    return { text: text, href: href };
+}
+
+function table(head, rows) {
+    return { table: { head: head, rows: rows } };
+}
+
+function relative(from, to) {
+    return path.posix.relative(path.posix.dirname(from), to);
+}
+
+
+// Formats
+
+const formats = {
+    html: {
+        ext: ".html",
+        page: htmlPage,
+        assets: htmlAssets
+    },
+    markdown: {
+        ext: ".md",
+        page: markdownPage
+    }
+};
+
+function htmlPage(page, opts) {
+    let root = relative(page.file, "");
+    let prefix = root ? root + "/" : "";
+    let lines = [
+        "<!DOCTYPE html>",
+        "<html>",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        "<title>" + escapeHtml(page.title) + " - " + escapeHtml(opts.title) + "</title>",
+        "<link rel=\"stylesheet\" href=\"" + prefix + "style.css\">",
+        "</head>",
+        "<body>",
+        "<nav><a href=\"" + prefix + INDEX_FILE + ".html\">" + escapeHtml(opts.title) +
+            "</a></nav>",
+        "<main>"
+    ];
+
+    page.blocks.forEach(function (b) {
+        if (b.heading)
+            lines.push("<h" + b.level + ">" + escapeHtml(b.heading) + "</h" + b.level +
+                ">");
+        else if (b.text)
+            lines.push("<p>" + inline(b.text) + "</p>");
+        else if (b.list)
+            list(b.list, "");
+        else if (b.table)
+            table(b.table);
+        else if (b.search)
+            lines.push(
+                "<input id=\"search\" type=\"search\" placeholder=\"Search\">",
+                "<ul id=\"search-results\"></ul>",
+                "<script src=\"" + prefix + "search.js\"></script>");
+    });
+
+    lines.push("</main>", "</body>", "</html>");
+    return lines.join("\n") + "\n";
+
+
+    //
+
+    function inline(items) {
+        return items.map(function (i) {
+            if (typeof i === "string")
+                return escapeHtml(i);
+
+            return "<a href=\"" + escapeHtml(relative(page.file, i.href)) + "\">" +
+                escapeHtml(i.text) + "</a>";
+        }).join("");
+    }
+
+    function list(items, pad) {
+        lines.push(pad + "<ul>");
+        items.forEach(function (i) {
+            if (i.children.length === 0)
+                return lines.push(pad + "  <li>" + inline(i.item) + "</li>");
+
+            lines.push(pad + "  <li>" + inline(i.item));
+            list(i.children, pad + "    ");
+            lines.push(pad + "  </li>");
+        });
+        lines.push(pad + "</ul>");
+    }
+
+    function table(t) {
+        lines.push("<table>");
+        lines.push("  <tr>" + t.head.map(function (h) {
+            return "<th>" + escapeHtml(h) + "</th>";
+        }).join("") + "</tr>");
+
+        t.rows.forEach(function (r) {
+            lines.push("  <tr>" + r.map(function (c) {
+                return "<td>" + inline(c) + "</td>";
+            }).join("") + "</tr>");
+        });
+        lines.push("</table>");
+    }
+}
+
+function htmlAssets(entries) {
+    return {
+        "style.css": [
+            "body { font-family: sans-serif; margin: 0; color: #222; }",
+            "nav { background: #234; padding: 0.5em 1em; }",
+            "nav a { color: #fff; text-decoration: none; font-weight: bold; }",
+            "main { padding: 1em 2em; }",
+            "table { border-collapse: collapse; margin: 0.5em 0 1.5em; }",
+            "th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }",
+            "th { background: #eee; }",
+            "#search { width: 30em; padding: 0.3em; }",
+            ""
+        ].join("\n"),
+        "search.js": [
+            "\"use strict\";",
+            "",
+            "var SEARCH_INDEX = " + JSON.stringify(entries) + ";",
+            "",
+            "(function () {",
+            "    var input = document.getElementById(\"search\");",
+            "    var results = document.getElementById(\"search-results\");",
+            "",
+            "    input.addEventListener(\"input\", function () {",
+            "        var query = input.value.trim().toLowerCase();",
+            "        results.innerHTML = \"\";",
+            "        if (!query)",
+            "            return;",
+            "",
+            "        SEARCH_INDEX.filter(function (e) {",
+            "            return e.name.toLowerCase().indexOf(query) >= 0 ||",
+            "                e.text.toLowerCase().indexOf(query) >= 0;",
+            "        }).slice(0, 50).forEach(function (e) {",
+            "            var li = document.createElement(\"li\");",
+            "            var a = document.createElement(\"a\");",
+            "            a.href = e.url;",
+            "            a.textContent = e.name;",
+            "            var kind = document.createTextNode(\" (\" + e.kind + \")\");",
+            "            li.appendChild(a);",
+            "            li.appendChild(kind);",
+            "            results.appendChild(li);",
+            "        });",
+            "    });",
+            "})();",
+            ""
+        ].join("\n")
+    };
+}
+
+function markdownPage(page) {
+    let lines = [];
+
+    page.blocks.forEach(function (b) {
+        if (b.heading)
+            lines.push("#".repeat(b.level) + " " + escapeMarkdown(b.heading), "");
+        else if (b.text)
+            lines.push(inline(b.text), "");
+        else if (b.list) {
+            list(b.list, "");
+            lines.push("");
+        }
+        else if (b.table) {
+            lines.push("| " + b.table.head.map(escapeMarkdown).join(" | ") + " |");
+            lines.push("|" + b.table.head.map(function () { return " --- |"; }).join(""));
+            b.table.rows.forEach(function (r) {
+                lines.push("| " + r.map(inline).join(" | ") + " |");
+            });
+            lines.push("");
+        }
+    });
+
+    return lines.join("\n").replace(/\n+$/, "") + "\n";
+
+
+    //
+
+    function inline(items) {
+        return items.map(function (i) {
+            if (typeof i === "string")
+                return escapeMarkdown(i);
+
+            return "[" + escapeMarkdown(i.text) + "](" +
+                encodeURI(relative(page.file, i.href)) + ")";
+        }).join("");
+    }
+
+    function list(items, pad) {
+        items.forEach(function (i) {
+            lines.push(pad + "- " + inline(i.item));
+            list(i.children, pad + "  ");
+        });
+    }
+}
+
+function escapeHtml(str) {
+    return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function escapeMarkdown(str) {
+    return String(str).replace(/([\\`*_[\]|<>#])/g, "\\$1").replace(/\s*\n\s*/g, " ");
+}
+
+
+module.exports = {
+    render: render,
+    generate: generate,
+    searchIndex: searchIndex
+};
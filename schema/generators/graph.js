@@ -0,0 +1,296 @@
+"use strict";
+
+/**
+ * Exports the object graph of a schema as Graphviz DOT or Mermaid flowcharts. Nodes
+ * are object definitions, edges are references, inheritance and request/response
+ * pairs. The graph can be limited to the objects reachable from a root object or from
+ * the objects of a group.
+ * @module schema/generators/graph
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const gen = require("./common");
+
+
+/**
+ * @typedef {Object} GraphOptions
+ * @property {String} [path] Output folder, defaults to the 'path' option of the schema.
+ * @property {String} [format] Either 'dot' (default) or 'mermaid'.
+ * @property {String} [file_name] Name of the output file, 'schema.dot' or 'schema.mmd'
+ * by default.
+ * @property {ObjectDef|String} [root] Only include the objects reachable from this
+ * object.
+ * @property {GroupDef|String} [group] Only include the objects reachable from the
+ * objects of this group, or of its nested groups.
+ * @property {Boolean} [inheritance] Includes inheritance edges, true by default.
+ * @property {Boolean} [messages] Includes request/response edges, true by default.
+ */
+
+/**
+ * Kind of an edge of the object graph.
+ * @enum {String}
+ */
+const EdgeKind = {
+    Reference: "reference",
+    Inheritance: "inheritance",
+    Response: "response"
+};
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {ObjectDef} from
+ * @property {ObjectDef} to Referenced object, base object or response.
+ * @property {EdgeKind} kind
+ * @property {String} label Reference name and count, empty for other edges.
+ */
+
+/**
+ * @typedef {Object} ObjectGraph
+ * @property {Array.<ObjectDef>} nodes
+ * @property {Array.<GraphEdge>} edges
+ */
+
+
+/**
+ * Builds the object graph of the given schema. Objects reference the objects of their
+ * own references only, inherited references are reached through the base object.
+ * @param {Schema} schema
+ * @param {GraphOptions} [opts]
+ * @returns {ObjectGraph}
+ */
+function build(schema, opts) {
+    opts = normOptions(schema, opts);
+
+    let all = schema.objects;
+    if (opts.root || opts.group)
+        all = reachable(schema, rootObjects(schema, opts), opts);
+
+    let edges = [];
+    all.forEach(function (o) {
+        edges.push.apply(edges, outEdges(o, opts));
+    });
+
+    return { nodes: all, edges: edges };
+}
+
+/**
+ * Returns the object graph of the given schema in Graphviz DOT format.
+ * @param {Schema} schema
+ * @param {GraphOptions} [opts]
+ * @returns {String}
+ */
+function dot(schema, opts) {
+    let graph = build(schema, opts);
+    let lines = [
+        "digraph schema {",
+        "    rankdir=LR;",
+        "    node [shape=box, fontname=\"Helvetica\"];",
+        "    edge [fontname=\"Helvetica\", fontsize=10];"
+    ];
+
+    if (graph.nodes.length > 0)
+        lines.push("");
+
+    graph.nodes.forEach(function (o) {
+        lines.push("    " + dotId(o.fullName()) + ";");
+    });
+
+    if (graph.edges.length > 0)
+        lines.push("");
+
+    graph.edges.forEach(function (e) {
+        lines.push("    " + dotId(e.from.fullName()) + " -> " + dotId(e.to.fullName()) +
+            " [" + dot_styles[e.kind](e) + "];");
+    });
+
+    lines.push("}");
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Returns the object graph of the given schema as a Mermaid flowchart.
+ * @param {Schema} schema
+ * @param {GraphOptions} [opts]
+ * @returns {String}
+ */
+function mermaid(schema, opts) {
+    let graph = build(schema, opts);
+    let ids = new Map();
+    let lines = [ "flowchart LR" ];
+
+    graph.nodes.forEach(function (o, i) {
+        ids.set(o, "n" + i);
+        lines.push("    n" + i + "[\"" + mermaidText(o.fullName()) + "\"]");
+    });
+
+    graph.edges.forEach(function (e) {
+        lines.push("    " + ids.get(e.from) + " " + mermaid_arrows[e.kind] + "|\"" +
+            mermaidText(e.label || e.kind) + "\"| " + ids.get(e.to));
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Renders the object graph of the given schema.
+ * @param {Schema} schema
+ * @param {GraphOptions} [opts]
+ * @returns {Object.<String, String>} Map of the file name to its content.
+ */
+function render(schema, opts) {
+    opts = normOptions(schema, opts);
+
+    let format = formats[opts.format];
+    if (!format)
+        throw new Error("Failed to render the object graph, unknown format '" +
+            opts.format + "'.");
+
+    let res = {};
+    res[opts.file_name || "schema" + format.ext] = format.render(schema, opts);
+    return res;
+}
+
+/**
+ * Writes the object graph of the given schema to the output folder.
+ * @param {Schema} schema
+ * @param {GraphOptions} [opts]
+ * @returns {Array.<String>} Names of the files written.
+ */
+function generate(schema, opts) {
+    opts = normOptions(schema, opts);
+    return gen.writeFiles(opts.path, render(schema, opts));
+}
+
+
+//
+
+const formats = {
+    dot: { ext: ".dot", render: dot },
+    mermaid: { ext: ".mmd", render: mermaid }
+};
+
+const dot_styles = {
+    reference: function (e) {
+        return "label=" + JSON.stringify(e.label);
+    },
+    inheritance: function () {
+        return "arrowhead=empty, style=bold";
+    },
+    response: function () {
+        return "style=dashed, label=\"response\"";
+    }
+};
+
+const mermaid_arrows = {
+    reference: "-->",
+    inheritance: "==>",
+    response: "-.->"
+};
+
+function normOptions(schema, opts) {
+    return Object.assign({
+        path: schema.options.path,
+        format: "dot",
+        inheritance: true,
+        messages: true
+    }, opts);
+}
+
+function rootObjects(schema, opts) {
+    let res = [];
+
+    if (opts.root) {
+        let root = (typeof opts.root === "string") ? schema.findObject(opts.root) :
+            opts.root;
+        if (!root)
+            throw new Error("Failed to build the object graph, the root object '" +
+                opts.root + "' is not defined.");
+
+        res.push(root);
+    }
+
+    if (opts.group) {
+        let group = (typeof opts.group === "string") ? schema.group_map[opts.group] :
+            opts.group;
+        if (!group)
+            throw new Error("Failed to build the object graph, the group '" + opts.group +
+                "' is not defined.");
+
+        schema.objects.forEach(function (o) {
+            for (let g = o.parent; g; g = g.parent)
+                if (g === group)
+                    return res.push(o);
+        });
+    }
+
+    return res;
+}
+
+function reachable(schema, roots, opts) {
+    let visited = new Set();
+    let stack = roots.slice().reverse();
+
+    while (stack.length > 0) {
+        let o = stack.pop();
+        if (visited.has(o))
+            continue;
+
+        visited.add(o);
+        outEdges(o, opts).reverse().forEach(function (e) {
+            stack.push(e.to);
+        });
+    }
+
+    // Nodes are listed in schema order, regardless of the traversal.
+    return schema.objects.filter(function (o) { return visited.has(o); });
+}
+
+function outEdges(obj_def, opts) {
+    let res = [];
+
+    obj_def.refs.forEach(function (r) {
+        let ref_obj;
+        try {
+            ref_obj = obj_def.getRefObject(r);
+        }
+        catch (e) {
+            ref_obj = undefined;
+        }
+
+        if (ref_obj)
+            res.push(edge(obj_def, ref_obj, EdgeKind.Reference,
+                r.name + " [" + gen.multiplicity(r) + "]"));
+    });
+
+    if (opts.inheritance && obj_def.base)
+        res.push(edge(obj_def, obj_def.base, EdgeKind.Inheritance, ""));
+
+    if (opts.messages && obj_def.schema.messages)
+        obj_def.schema.messages.getResponses(obj_def).forEach(function (r) {
+            res.push(edge(obj_def, r, EdgeKind.Response, ""));
+        });
+
+    return res;
+}
+
+function edge(from, to, kind, label) {
+    return { from: from, to: to, kind: kind, label: label };
+}
+
+function dotId(name) {
+    return JSON.stringify(name);
+}
+
+function mermaidText(str) {
+    return String(str).replace(/"/g, "#quot;");
+}
+
+
+module.exports = {
+    EdgeKind: EdgeKind,
+    build: build,
+    dot: dot,
+    mermaid: mermaid,
+    render: render,
+    generate: generate
+};
@@ -0,0 +1,222 @@
+"use strict";
+
+/**
+ * Generates JavaScript object classes from a loaded schema. One module is generated
+ * per group, exporting a class for every ObjectDef of the group. The classes follow
+ * the ObjClass convention ('_name', '_attrs' and '_refs') used by the converters.
+ * @module schema/generators/js
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const gen = require("./common");
+const schema_util = require("../index").util;
+const validation = require("../validate");
+
+
+/**
+ * @typedef {Object} JsGenOptions
+ * @property {String} [path] Output folder, defaults to the 'path' option of the schema.
+ * @property {String} [schema_module] Module required by the generated code to access
+ * the schema converters, defaults to '@crabel/shared/schema'.
+ */
+
+
+/**
+ * Renders the modules for the given schema. References that cannot be resolved get no
+ * class, they are reported together once rendered, as 'unresolved-reference' warnings
+ * emitted by the schema.
+ * @param {Schema} schema
+ * @param {JsGenOptions} [opts]
+ * @returns {Object.<String, String>} Map of relative file names to module source.
+ */
+function render(schema, opts) {
+    opts = normOptions(schema, opts);
+
+    let res = {};
+    let problems = [];
+    schema.groups.forEach(function (g) {
+        let objects = schema.objects.filter(function (o) { return o.parent === g; });
+        if (objects.length > 0)
+            res[gen.modulePath(g) + ".js"] = renderModule(schema, g, objects, opts,
+                problems);
+    });
+
+    problems.forEach(function (d) {
+        schema.emit("warning", d);
+    });
+
+    return res;
+}
+
+/**
+ * Generates the modules for the given schema into the output folder.
+ * @param {Schema} schema
+ * @param {JsGenOptions} [opts]
+ * @returns {Array.<String>} Names of the files written.
+ */
+function generate(schema, opts) {
+    opts = normOptions(schema, opts);
+    return gen.writeFiles(opts.path, render(schema, opts));
+}
+
+
+//
+
+function normOptions(schema, opts) {
+    return Object.assign({
+        path: schema.options.path,
+        schema_module: "@crabel/shared/schema"
+    }, opts);
+}
+
+function renderModule(schema, group, objects, opts, problems) {
+    let mod_path = gen.modulePath(group);
+    let imports = {};
+    let defined = {};
+    let lines = [];
+
+    lines.push("\"use strict\";", "");
+    lines.push.apply(lines, gen.docComment(group.intent, [
+        "Generated from the schema group '" + group.name + "', do not edit.",
+        "@module " + mod_path
+    ]));
+    lines.push("");
+    lines.push("const schema = require(" + JSON.stringify(opts.schema_module) + ");");
+
+    let body = [];
+    objects.forEach(function (o) {
+        let class_name = gen.identifier(o.name);
+        if (defined[class_name])
+            return body.push("", "// Skipped duplicate definition of '" + o.name + "'.");
+
+        defined[class_name] = true;
+        body.push("", "");
+        body.push.apply(body, renderClass(schema, o, class_name, mod_path, imports,
+            problems));
+    });
+
+    let import_names = Object.keys(imports);
+    if (import_names.length > 0) {
+        lines.push("//");
+        import_names.sort().forEach(function (p) {
+            lines.push("const " + imports[p] + " = require(" +
+                JSON.stringify(gen.requirePath(mod_path, p)) + ");");
+        });
+    }
+
+    return lines.concat(body).join("\n") + "\n";
+}
+
+function renderClass(schema, obj_def, class_name, mod_path, imports, problems) {
+    let lines = gen.docComment(obj_def.intent, [
+        "@param {Object} [init_data]",
+        "@returns {" + class_name + "}",
+        "@constructor"
+    ]);
+
+    let attrs = obj_def.all_attrs || obj_def.attrs;
+    let refs = obj_def.all_refs || obj_def.refs;
+
+    lines.push("function " + class_name + "(init_data) {");
+    lines.push("    if (!this)");
+    lines.push("        return new " + class_name + "(init_data);");
+    lines.push("");
+    lines.push("    if (!init_data)");
+    lines.push("        init_data = {};");
+
+    if (attrs.length > 0) {
+        lines.push("", "    // Attributes");
+        attrs.forEach(function (a) {
+            let acc = gen.accessor(a.name);
+            lines.push("    this" + acc + " = schema.util.convertAttr(" + class_name +
+                "._attrs" + acc + ", init_data" + acc + ");");
+        });
+    }
+
+    if (refs.length > 0) {
+        lines.push("", "    // References");
+        refs.forEach(function (r) {
+            let acc = gen.accessor(r.name);
+            lines.push("    this" + acc + " = schema.util.convertRef(" + class_name +
+                "._refs" + acc + ", init_data" + acc + ");");
+        });
+    }
+
+    lines.push("}", "");
+
+    // Object definition
+    lines.push(class_name + "._name = " + JSON.stringify(obj_def.name) + ";");
+    lines.push(class_name + "._attrs = {");
+    attrs.forEach(function (a, i) {
+        let desc = literal(schema_util.attrDescriptor(schema, a));
+        lines.push("    " + gen.key(a.name) + ": " + desc +
+            (i < attrs.length - 1 ? "," : ""));
+    });
+    lines.push("};");
+
+    lines.push(class_name + "._refs = {");
+    refs.forEach(function (r, i) {
+        lines.push("    " + gen.key(r.name) + ": {");
+        lines.push("        name: " + JSON.stringify(r.name) + ",");
+        lines.push("        is_container: " + schema_util.isContainer(r) + ",");
+        lines.push("        get ref_class() { return " +
+            refClassExpr(obj_def, r, mod_path, imports, problems) + "; }");
+        lines.push("    }" + (i < refs.length - 1 ? "," : ""));
+    });
+    lines.push("};");
+    lines.push("schema.util.addConverters(" + class_name + ");");
+    lines.push("");
+    lines.push("exports" + gen.accessor(class_name) + " = " + class_name + ";");
+
+    return lines;
+}
+
+// Values of references without a class are kept as they are by the converters. The
+// inherited references, copied from the base object, have no position of their own.
+function refClassExpr(obj_def, ref, mod_path, imports, problems) {
+    let ref_obj;
+    let message;
+    try {
+        ref_obj = obj_def.getRefObject(ref);
+    }
+    catch (e) {
+        message = e.message;
+    }
+
+    if (!ref_obj) {
+        problems.push(new validation.Diagnostic(validation.Severity.Warning,
+            "unresolved-reference", "Failed to generate the reference '" + ref.name +
+            "' of '" + obj_def.fullName() + "'. " + (message || "The object '" +
+            schema_util.getRefTypeName(ref) + "' is not defined."),
+            ref.position ? ref : obj_def));
+
+        return "null";
+    }
+
+    let class_name = gen.identifier(ref_obj.name);
+    let ref_path = gen.modulePath(ref_obj.parent);
+
+    if (ref_path === mod_path)
+        return "exports" + gen.accessor(class_name);
+
+    if (!imports[ref_path])
+        imports[ref_path] = "mod_" + gen.identifier(ref_path.replace(/\//g, "_"));
+
+    return imports[ref_path] + gen.accessor(class_name);
+}
+
+function literal(obj) {
+    let props = Object.keys(obj).filter(function (k) {
+        return undefined !== obj[k];
+    }).map(function (k) {
+        return k + ": " + JSON.stringify(obj[k]);
+    });
+
+    return "{ " + props.join(", ") + " }";
+}
+
+
+module.exports = {
+    render: render,
+    generate: generate
+};
@@ -0,0 +1,273 @@
+"use strict";
+
+/**
+ * Exports schema definitions as JSON Schema (draft 2020-12) documents, for validating
+ * JSON payloads with standard tooling. Every document is self-contained, the types and
+ * objects it refers to are included in its '$defs'.
+ * @module schema/generators/json_schema
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const gen = require("./common");
+const xml = require("../../xml");
+const schema_util = require("../index").util;
+
+
+/**
+ * @typedef {Object} JsonSchemaOptions
+ * @property {String} [path] Output folder, defaults to the 'path' option of the schema.
+ * @property {String} [base_uri] Prefix of the '$id' of the generated documents, no
+ * '$id' is generated when missing.
+ * @property {Boolean} [strict] Disallows properties not defined by the object.
+ */
+
+const DRAFT = "https://json-schema.org/draft/2020-12/schema";
+
+// Map of native schema types to JSON Schema types.
+const json_types = {
+    Integer: "integer",
+    Numeric: "number",
+    Alpha: "string",
+    Boolean: "boolean",
+    Node: "object"
+};
+
+
+/**
+ * Returns the JSON Schema document for the given object definition.
+ * @param {Schema} schema
+ * @param {ObjectDef} obj_def
+ * @param {JsonSchemaOptions} [opts]
+ * @returns {Object}
+ */
+function objectSchema(schema, obj_def, opts) {
+    opts = opts || {};
+
+    let defs = {};
+    let doc = { $schema: DRAFT };
+
+    if (opts.base_uri)
+        doc.$id = opts.base_uri + fileName(obj_def);
+
+    Object.assign(doc, objectBody(schema, obj_def, defs, opts));
+
+    if (Object.keys(defs).length > 0)
+        doc.$defs = defs;
+
+    return doc;
+}
+
+/**
+ * Returns the JSON Schema document for the given type definition.
+ * @param {Schema} schema
+ * @param {TypeDef} type_def
+ * @returns {Object}
+ */
+function typeSchema(schema, type_def) {
+    let defs = {};
+    let doc = Object.assign({ $schema: DRAFT }, typeBody(schema, type_def, defs));
+
+    if (Object.keys(defs).length > 0)
+        doc.$defs = defs;
+
+    return doc;
+}
+
+/**
+ * Renders the JSON Schema documents of every object in the schema.
+ * @param {Schema} schema
+ * @param {JsonSchemaOptions} [opts]
+ * @returns {Object.<String, String>} Map of relative file names to document.
+ */
+function render(schema, opts) {
+    let res = {};
+
+    schema.objects.forEach(function (o) {
+        let file_name = fileName(o);
+        if (!res[file_name])
+            res[file_name] = JSON.stringify(objectSchema(schema, o, opts), null, 4) + "\n";
+    });
+
+    return res;
+}
+
+/**
+ * Writes the JSON Schema documents of every object in the schema to the output folder.
+ * @param {Schema} schema
+ * @param {JsonSchemaOptions} [opts]
+ * @returns {Array.<String>} Names of the files written.
+ */
+function generate(schema, opts) {
+    opts = Object.assign({ path: schema.options.path }, opts);
+    return gen.writeFiles(opts.path, render(schema, opts));
+}
+
+
+//
+
+function fileName(obj_def) {
+    return gen.modulePath(obj_def.parent) + "/" + gen.identifier(obj_def.name) +
+        ".schema.json";
+}
+
+function defName(obj_def) {
+    return gen.modulePath(obj_def.parent).replace(/\//g, ".") + "." + obj_def.name;
+}
+
+function ref(name) {
+    return { $ref: "#/$defs/" + name.replace(/~/g, "~0").replace(/\//g, "~1") };
+}
+
+function describe(res, intent) {
+    if (intent && intent !== "<missing>" && intent !== "<Missing>")
+        res.description = intent;
+
+    return res;
+}
+
+function objectBody(schema, obj_def, defs, opts) {
+    let res = describe({ title: obj_def.name }, obj_def.intent);
+    let props = {};
+    let required = [];
+
+    res.type = "object";
+
+    (obj_def.all_attrs || obj_def.attrs).forEach(function (a) {
+        props[a.name] = attrBody(schema, a, defs);
+        if (!a.optional)
+            required.push(a.name);
+    });
+
+    (obj_def.all_refs || obj_def.refs).forEach(function (r) {
+        props[r.name] = refBody(schema, obj_def, r, defs, opts);
+        if (r.min_count > 0)
+            required.push(r.name);
+    });
+
+    res.properties = props;
+    if (required.length > 0)
+        res.required = required;
+
+    if (opts.strict)
+        res.additionalProperties = false;
+
+    return res;
+}
+
+function attrBody(schema, attr, defs) {
+    let res;
+
+    if (schema_util.isNativeType(attr.type))
+        res = { type: json_types[attr.type] };
+    else if (schema.getType(attr.type)) {
+        addType(schema, schema.getType(attr.type), defs);
+        res = ref(attr.type);
+    }
+    else
+        res = {};
+
+    constrain(res, nativeType(schema, attr.type), xml.parse.number(attr.size),
+        attr.min_value, attr.max_value);
+
+    return describe(res, attr.intent);
+}
+
+function refBody(schema, obj_def, r, defs, opts) {
+    let ref_obj;
+    try {
+        ref_obj = obj_def.getRefObject(r);
+    }
+    catch (e) {
+        ref_obj = undefined;
+    }
+
+    let item = {};
+    if (ref_obj) {
+        let name = defName(ref_obj);
+        if (!defs[name]) {
+            defs[name] = {};    // Placeholder, in case of recursive references
+            defs[name] = objectBody(schema, ref_obj, defs, opts);
+        }
+
+        item = ref(name);
+    }
+
+    if (!schema_util.isContainer(r))
+        return describe(item, r.intent);
+
+    let res = { type: "array", items: item };
+    if (r.min_count > 0)
+        res.minItems = r.min_count;
+
+    if (undefined !== r.max_count)
+        res.maxItems = r.max_count;
+
+    return describe(res, r.intent);
+}
+
+function addType(schema, type_def, defs) {
+    if (!defs[type_def.name])
+        defs[type_def.name] = typeBody(schema, type_def, defs);
+}
+
+function typeBody(schema, type_def, defs) {
+    let res;
+
+    if (schema_util.isNativeType(type_def.type))
+        res = { type: json_types[type_def.type] };
+    else if (schema.getType(type_def.type)) {
+        addType(schema, schema.getType(type_def.type), defs);
+        res = ref(type_def.type);
+    }
+    else
+        res = {};
+
+    let native = nativeType(schema, type_def.type);
+    constrain(res, native, type_def.size, type_def.min, type_def.max);
+
+    if (type_def.values.length > 0)
+        res.enum = type_def.values.map(function (v) {
+            return ("string" === json_types[native]) ? String(v.value) : Number(v.value);
+        });
+
+    return describe(res, type_def.intent);
+}
+
+function constrain(res, native, size, min, max) {
+    let constraints = {};
+
+    if ("Alpha" === native) {
+        if (undefined !== size)
+            constraints.maxLength = size;
+    }
+    else if ("Integer" === native || "Numeric" === native) {
+        if (undefined !== min)
+            constraints.minimum = min;
+
+        if (undefined !== max)
+            constraints.maximum = max;
+    }
+
+    // Constraints next to a '$ref' also state the type, as required by strict tools.
+    if (Object.keys(constraints).length > 0 && !res.type)
+        res.type = json_types[native];
+
+    Object.assign(res, constraints);
+}
+
+function nativeType(schema, type_name) {
+    try {
+        return schema.getEffectiveType(type_name).native_type;
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+
+module.exports = {
+    objectSchema: objectSchema,
+    typeSchema: typeSchema,
+    render: render,
+    generate: generate
+};
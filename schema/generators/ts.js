@@ -0,0 +1,224 @@
+"use strict";
+
+/**
+ * Generates TypeScript declarations (.d.ts) from a loaded schema. TypeDefs become type
+ * aliases, string or number literal unions when they carry AllowedValues, groups become
+ * namespaces and every ObjectDef an interface within the namespace of its group.
+ * @module schema/generators/ts
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const gen = require("./common");
+const schema_util = require("../index").util;
+
+
+/**
+ * @typedef {Object} TsGenOptions
+ * @property {String} [path] Output folder, defaults to the 'path' option of the schema.
+ * @property {String} [file_name] Name of the declaration file, 'schema.d.ts' by default.
+ */
+
+// Map of native schema types to TypeScript types.
+const ts_types = {
+    Integer: "number",
+    Numeric: "number",
+    Alpha: "string",
+    Boolean: "boolean",
+    Node: "object"
+};
+
+const INDENT = "    ";
+
+
+/**
+ * Renders the declaration file for the given schema.
+ * @param {Schema} schema
+ * @param {TsGenOptions} [opts]
+ * @returns {Object.<String, String>} Map of the file name to its content.
+ */
+function render(schema, opts) {
+    opts = normOptions(schema, opts);
+
+    let lines = [];
+    lines.push.apply(lines, gen.docComment("TypeScript declarations generated from " +
+        "the Crabel object schema" + (schema.version ? " version " + schema.version : "") +
+        ", do not edit."));
+
+    schema.types.forEach(function (t) {
+        lines.push("");
+        lines.push.apply(lines, renderType(schema, t));
+    });
+
+    schema.groups.filter(function (g) { return !g.parent; }).forEach(function (g) {
+        lines.push("");
+        lines.push.apply(lines, renderGroup(schema, g, 0));
+    });
+
+    let res = {};
+    res[opts.file_name] = lines.join("\n") + "\n";
+    return res;
+}
+
+/**
+ * Generates the declaration file for the given schema into the output folder.
+ * @param {Schema} schema
+ * @param {TsGenOptions} [opts]
+ * @returns {Array.<String>} Names of the files written.
+ */
+function generate(schema, opts) {
+    opts = normOptions(schema, opts);
+    return gen.writeFiles(opts.path, render(schema, opts));
+}
+
+/**
+ * Returns the fully qualified TypeScript name of the given object definition.
+ * @param {ObjectDef} obj_def
+ * @returns {String}
+ */
+function qualifiedName(obj_def) {
+    return namespacePath(obj_def.parent).concat(gen.identifier(obj_def.name)).join(".");
+}
+
+
+//
+
+function normOptions(schema, opts) {
+    return Object.assign({
+        path: schema.options.path,
+        file_name: "schema.d.ts"
+    }, opts);
+}
+
+function namespacePath(group) {
+    return group ? group.name.split("::").map(gen.identifier) : [];
+}
+
+function renderType(schema, type_def) {
+    let lines = gen.docComment(type_def.intent);
+    let name = "export type " + gen.identifier(type_def.name);
+
+    if (type_def.values.length === 0) {
+        lines.push(name + " = " + baseType(schema, type_def.type) + ";");
+        return lines;
+    }
+
+    let is_string = "string" === baseType(schema, type_def.type);
+
+    lines.push(name + " =");
+    type_def.values.forEach(function (v, i) {
+        let val = is_string ? JSON.stringify(String(v.value)) : String(Number(v.value));
+        let comment = v.meaning ? " // " + v.meaning : "";
+        lines.push(INDENT + "| " + val + (i === type_def.values.length - 1 ? ";" : "") +
+            comment);
+    });
+
+    return lines;
+}
+
+function baseType(schema, type_name) {
+    if (schema_util.isNativeType(type_name))
+        return ts_types[type_name];
+
+    if (schema.getType(type_name))
+        return baseType(schema, schema.getType(type_name).type);
+
+    return "unknown";
+}
+
+function attrType(schema, attr) {
+    if (schema_util.isNativeType(attr.type))
+        return ts_types[attr.type];
+
+    if (schema.getType(attr.type))
+        return gen.identifier(attr.type);
+
+    return "unknown";
+}
+
+function renderGroup(schema, group, level) {
+    let pad = indent(level);
+    let lines = gen.docComment(group.intent, [], level * INDENT.length);
+    let short_name = gen.identifier(group.name.split("::").pop());
+    let defined = {};
+
+    lines.push(pad + (level ? "" : "export ") + "namespace " + short_name + " {");
+
+    let members = [];
+    schema.groups.filter(function (g) { return g.parent === group; }).forEach(function (g) {
+        members.push(renderGroup(schema, g, level + 1));
+    });
+
+    schema.objects.filter(function (o) { return o.parent === group; }).forEach(function (o) {
+        let name = gen.identifier(o.name);
+        if (defined[name])
+            return;
+
+        defined[name] = true;
+        members.push(renderInterface(schema, o, level + 1));
+    });
+
+    members.forEach(function (m, i) {
+        if (i > 0)
+            lines.push("");
+        lines.push.apply(lines, m);
+    });
+
+    lines.push(pad + "}");
+    return lines;
+}
+
+function renderInterface(schema, obj_def, level) {
+    let pad = indent(level);
+    let lines = gen.docComment(obj_def.intent, [], level * INDENT.length);
+
+    lines.push(pad + "export interface " + gen.identifier(obj_def.name) + " {");
+
+    (obj_def.all_attrs || obj_def.attrs).forEach(function (a) {
+        lines.push.apply(lines, memberDoc(a.intent, level + 1));
+        lines.push(indent(level + 1) + gen.key(a.name) + (a.optional ? "?" : "") + ": " +
+            attrType(schema, a) + ";");
+    });
+
+    (obj_def.all_refs || obj_def.refs).forEach(function (r) {
+        let ref_obj;
+        try {
+            ref_obj = obj_def.getRefObject(r);
+        }
+        catch (e) {
+            ref_obj = undefined;
+        }
+
+        let type = ref_obj ? qualifiedName(ref_obj) : "unknown";
+        if (schema_util.isContainer(r))
+            type += "[]";
+
+        lines.push.apply(lines, memberDoc(r.intent, level + 1));
+        lines.push(indent(level + 1) + gen.key(r.name) + (r.min_count ? "" : "?") + ": " +
+            type + ";");
+    });
+
+    lines.push(pad + "}");
+    return lines;
+}
+
+function memberDoc(intent, level) {
+    if (!intent || intent === "<missing>")
+        return [];
+
+    return gen.docComment(intent, [], level * INDENT.length);
+}
+
+function indent(level) {
+    let res = "";
+    for (let i = 0; i < level; ++i)
+        res += INDENT;
+
+    return res;
+}
+
+
+module.exports = {
+    render: render,
+    generate: generate,
+    qualifiedName: qualifiedName
+};
@@ -10,18 +10,44 @@ require("../proto");
 
 const EventEmitter = require('events');
 const util = require('util');
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
-const parseString = require("xml2js").parseString;
+const sax = require("sax");
+const StringDecoder = require("string_decoder").StringDecoder;
 
 //
 const fs_util = require("../fs_util");
 const xml = require("../xml");
+const common = require("./common");
+const messages = require("./messages");
+const interfaces = require("./interfaces");
+const xref = require("./xref");
+const units = require("./units");
+const validation = require("./validate");
+const schema_diff = require("./diff");
+const writer = require("./writer");
+
+// Attribute added to definition elements to record the line they were found at.
+const LINE_ATTR = "__line";
+const POSITION_TAGS = [ "Group", "ObjectDef", "Attribute", "Object", "AllowedValue" ];
+
+// Size of the chunks documents are fed to the parser in, each one reports progress.
+const READ_CHUNK = 64 * 1024;
+
+// Version of the layout written by 'Schema.toJSON', dumps with a different version are
+// not read back.
+const JSON_FORMAT = 2;
 
 
 /**
  *
  * @param {Object} opts
+ * @param {String} [opts.path] Output folder, 'gen' by default.
+ * @param {Boolean} [opts.dump] Writes 'schema.json' to the output folder once loaded.
+ * @param {Boolean|String} [opts.cache] Reuses the schema dump, 'schema.json' in the
+ * output folder or the given file, when loading files that did not change since the
+ * dump was written. The dump is rewritten otherwise.
  * @returns {Options}
  * @constructor
  */
@@ -34,6 +60,7 @@ function Options(opts) {
 
     this.path = opts.path || "gen";
     this.dump = opts.dump || false;
+    this.cache = opts.cache || false;
 }
 
 
@@ -53,6 +80,26 @@ function Schema(opts) {
         { writable: true, value: type_map, enumerable: false });
     Object.defineProperty(this, 'group_map',
         { writable: true, value: group_map, enumerable: false });
+    Object.defineProperty(this, 'messages',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'interfaces',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'xref',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'member_index',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'file_name',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'files',
+        { writable: true, value: [], enumerable: false });
+    Object.defineProperty(this, 'current_file',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'inputs',
+        { writable: true, value: [], enumerable: false });
+    Object.defineProperty(this, 'xml_roots',
+        { writable: true, value: {}, enumerable: false });
+    Object.defineProperty(this, 'sources',
+        { writable: true, value: [], enumerable: false });
 
     this.clear();
 
@@ -70,9 +117,9 @@ function Schema(opts) {
 util.inherits(Schema, EventEmitter);
 
 /**
- * Loads the given schema file and calls the function 'cb' with a reference to the loaded
- * schema object.
- * @param {String} file_name
+ * Loads the given schema file(s) and calls the function 'cb' with a reference to the
+ * loaded schema object.
+ * @param {String|Array.<String>} file_name
  * @param {Object|Function} opts
  * @param {Function} [cb]
  */
@@ -86,84 +133,604 @@ Schema.load = function (file_name, opts, cb) {
     s.load(file_name, cb);
 };
 
+/**
+ * Loads the given schema file(s), the returned promise resolves to the loaded schema.
+ * @param {String|Array.<String>} file_name
+ * @param {Object} [opts]
+ * @returns {Promise.<Schema>}
+ */
+Schema.loadAsync = function (file_name, opts) {
+    return new Schema(opts).loadAsync(file_name);
+};
+
+/**
+ * Loads the given schema file(s) synchronously and returns the loaded schema.
+ * @param {String|Array.<String>} file_name
+ * @param {Object} [opts]
+ * @returns {Schema}
+ */
+Schema.loadSync = function (file_name, opts) {
+    return new Schema(opts).loadSync(file_name);
+};
 
 /**
- * Loads the given schema file and calls the function 'cb' with a reference to the loaded
- * schema object.
- * @param {String} file_name
+ * Parses the given schema document and returns the loaded schema.
+ * @param {String|Buffer} data
+ * @param {Object} [opts]
+ * @returns {Schema}
+ */
+Schema.parse = function (data, opts) {
+    return new Schema(opts).parse(data);
+};
+
+/**
+ * Restores a schema from its JSON dump, as written by 'save' or the 'dump' option.
+ * @param {String|Buffer|Object} json
+ * @param {Object} [opts]
+ * @returns {Schema}
+ */
+Schema.fromJSON = function (json, opts) {
+    return new Schema(opts).fromJSON(json);
+};
+
+
+/**
+ * @typedef {Object} LoadProgress
+ * @property {String} file_name Document being parsed, null for documents not read from
+ * a file.
+ * @property {Number} bytes Bytes of the document parsed so far.
+ * @property {Number} total Size of the document in bytes.
+ */
+
+/**
+ * Loads the given schema file(s) and calls the function 'cb' with a reference to the
+ * loaded schema object. The definitions of every file are merged into the schema.
+ * Files are parsed while they are read, every definition is announced as soon as it
+ * is complete by the 'group', 'type' and 'object' events, with the definition, and the
+ * parse advances with 'progress' events, with a LoadProgress. Cross references, such
+ * as inheritance, are only resolved once every file is parsed, when 'done' is emitted.
+ * @param {String|Array.<String>} file_name
  * @param {Function} [cb]
  */
 Schema.prototype.load = function (file_name, cb) {
     let self = this;
+    let file_names = [].concat(file_name);
+
+    if (this._loadCache(file_names))
+        return process.nextTick(function () {
+            if (cb)
+                cb(null, self);
+        });
+
+    let missing = file_names.find(function (f) { return !fs.existsSync(f); });
+    if (missing)
+        return fail(missingFile(missing));
 
     this.clear();
+    next(0);
+
+
+    //
+
+    function next(i) {
+        if (i === file_names.length) {
+            try {
+                self._endMerge(file_names);
+                self._saveCache();
+            }
+            catch (e) {
+                return fail(e);
+            }
+
+            if (cb)
+                cb(null, self);
+
+            return;
+        }
+
+        self.inputs.push(file_names[i]);
+        self._streamDocument(file_names[i], function (err) {
+            if (err)
+                return fail(err);
+
+            next(i + 1);
+        });
+    }
 
-    if (!fs.existsSync(file_name)) {
-        let e = new Error("Failed to read schema file '" + file_name +
-            "'. The file does not exist.");
+    function fail(e) {
+        self.emit("err", e);
         if (cb)
             cb(e, null);
+    }
+};
+
+/**
+ * Loads the given schema file(s), the returned promise resolves to this schema.
+ * @param {String|Array.<String>} file_name
+ * @returns {Promise.<Schema>}
+ */
+Schema.prototype.loadAsync = function (file_name) {
+    let self = this;
+    return new Promise(function (resolve, reject) {
+        self.load(file_name, function (err) {
+            if (err)
+                return reject(err);
+
+            resolve(self);
+        });
+    });
+};
+
+/**
+ * Loads the given schema file(s) synchronously. Throws on failure.
+ * @param {String|Array.<String>} file_name
+ * @returns {Schema}
+ */
+Schema.prototype.loadSync = function (file_name) {
+    let docs;
+
+    if (this._loadCache([].concat(file_name)))
+        return this;
 
-        return self.emit("err", e);
+    try {
+        docs = [].concat(file_name).map(function (f) {
+            return { data: readFileSync(f), file_name: f };
+        });
+    }
+    catch (e) {
+        this.emit("err", e);
+        throw e;
     }
 
-    fs.readFile(file_name, function (err, data) {
-        if (err) {
-            let e = new Error("Failed to read schema file '" + file_name + "'. " +
-                err.message);
+    this.clear();
+    this._merge(docs);
+    this._saveCache();
 
-            if (cb)
-                cb(e, null);
+    return this;
+};
 
-            return self.emit("err", e);
-        }
+/**
+ * Parses the given schema document, replacing the current content of the schema.
+ * Parsing is synchronous, errors are emitted as 'err' events and thrown.
+ * @param {String|Buffer} data
+ * @param {String} [file_name] Name reported in errors and diagnostics.
+ * @returns {Schema}
+ */
+Schema.prototype.parse = function (data, file_name) {
+    this.clear();
+    return this.merge(data, file_name);
+};
+
+/**
+ * Parses the given schema document and merges its definitions into the schema. Groups
+ * with the same name are merged, an object or type defined in more than one document
+ * is an error. Parsing is synchronous, errors are emitted as 'err' events and thrown.
+ * @param {String|Buffer} data
+ * @param {String} [file_name] Name reported in errors and diagnostics.
+ * @returns {Schema}
+ */
+Schema.prototype.merge = function (data, file_name) {
+    return this._merge([ { data: data, file_name: file_name } ]);
+};
+
+/**
+ * Parses and merges the given documents, then resolves the definitions that span
+ * documents, such as inheritance, the request/response graph and the interfaces.
+ * @param {Array.<{ data: (String|Buffer), file_name: String }>} docs
+ * @returns {Schema}
+ * @private
+ */
+Schema.prototype._merge = function (docs) {
+    let self = this;
+
+    try {
+        docs.forEach(function (d) {
+            if (d.file_name)
+                self.inputs.push(d.file_name);
+
+            self._parseDocument(d.data, d.file_name);
+        });
+
+        return this._endMerge(docs.map(function (d) { return d.file_name; }));
+    }
+    catch (e) {
+        this.emit("err", e);
+        throw e;
+    }
+};
+
+/**
+ * Completes the merge of the given documents, once their definitions are parsed.
+ * Errors are thrown, the caller emits them.
+ * @param {Array.<String>} file_names
+ * @returns {Schema}
+ * @private
+ */
+Schema.prototype._endMerge = function (file_names) {
+    let self = this;
+
+    try {
+        this.resolveInheritance();
+    }
+    catch (e) {
+        e.message = "The " + sourceName(file_names) + " is not valid. " + e.message;
+        throw e;
+    }
+
+    this.messages = new messages.MessageGraph(this);
+    this.interfaces = new interfaces.InterfaceMap(this);
+    this.xref = new xref.CrossReference(this);
+    validation.validateMessages(this).concat(validation.validateInterfaces(this))
+        .forEach(function (d) {
+            self.emit("warning", d);
+        });
+
+    this.emit("done", this);
 
-        parseString(data, function (err, doc) {
+    if (this.options.dump) {
+        let dump_fn = path.join(this.options.path, "schema.json");
+        this.save(dump_fn, function (err) {
             if (err)
-                throw new Error("Failed to parse schema file '" + file_name + "'. " +
-                    err.message);
+                return self.emit("err", err);
+            self.emit("dumped", self, dump_fn);
+        });
+    }
+
+    return this;
+};
 
-            doc = doc.CrabelObjectSchema;
-            if (!doc) {
-                let e = new Error("The schema file '" + file_name + "' is not valid, " +
-                    "the 'CrabelObjectSchema' element is missing.");
+/**
+ * Parses a single document, and the files it includes, adding its definitions to the
+ * schema. Included files are named by the 'File' attribute of the 'Include' elements
+ * of the 'Includes' section, relative to the including file, and are loaded only once.
+ * @param {String|Buffer} data
+ * @param {String} [file_name]
+ * @private
+ */
+Schema.prototype._parseDocument = function (data, file_name) {
+    if (!Buffer.isBuffer(data))
+        data = Buffer.from(String(data), "utf8");
 
-                if (cb)
-                    cb("err", e);
+    let reader = this._openDocument(file_name, data.length);
+    if (!reader)
+        return;
 
-                return self.emit("err", e);
-            }
+    for (let i = 0; i < data.length; i += READ_CHUNK)
+        reader.write(data.slice(i, i + READ_CHUNK));
 
-            self.emit("loaded", doc);
+    reader.close();
+};
 
-            if (doc.Groups && Array.isArray(doc.Groups))
-                doc.Groups[0].Group.forEach(function (g) {
-                    GroupDef.parse(self, null, g);
-                });
+/**
+ * Parses a single document while reading it from the given file, see '_parseDocument'.
+ * The files it includes are read the same way, the document is paused meanwhile.
+ * @param {String} file_name
+ * @param {Function} cb Called with the error, if any, once the document is parsed.
+ * @private
+ */
+Schema.prototype._streamDocument = function (file_name, cb) {
+    let self = this;
+    let finished = false;
+    let ended = false;
+    let waiting = false;
+    let reader;
+
+    if (!fs.existsSync(file_name))
+        return done(missingFile(file_name));
+
+    try {
+        reader = this._openDocument(file_name, fs.statSync(file_name).size,
+            function (inc_name, inc_cb) {
+                self._streamDocument(inc_name, inc_cb);
+            });
+    }
+    catch (e) {
+        return done(e);
+    }
 
-            if (doc.AttributeTypes && Array.isArray(doc.AttributeTypes))
-                doc.AttributeTypes[0].Attribute.forEach(function (t) {
-                    TypeDef.parse(self, t);
-                });
+    if (!reader)
+        return done();
 
-            if (cb)
-                cb(null, self);
+    let stream = fs.createReadStream(file_name, { highWaterMark: READ_CHUNK });
+    stream.on("data", function (chunk) {
+        try {
+            reader.write(chunk);
+        }
+        catch (e) {
+            stream.destroy();
+            return done(e);
+        }
 
-            self.emit("done", self);
+        if (!reader.isWaiting())
+            return;
 
-            if (self.options.dump) {
-                let dump_fn = path.join(self.options.path, "schema.json");
-                self.save(dump_fn, function (err, doc) {
-                    if (err)
-                        return self.emit("error", err);
-                    self.emit("dumped", self, dump_fn);
-                });
+        waiting = true;
+        stream.pause();
+        reader.drain(function (err) {
+            waiting = false;
+            if (err) {
+                stream.destroy();
+                return done(err);
             }
+
+            if (ended)
+                return end();
+
+            stream.resume();
+        });
+    });
+    stream.on("error", function (err) {
+        reader.abort();
+        done(readError(file_name, err));
+    });
+    stream.on("end", function () {
+        ended = true;
+        if (!waiting)
+            end();
+    });
+
+
+    //
+
+    function end() {
+        try {
+            reader.close();
+        }
+        catch (e) {
+            return done(e);
+        }
+
+        done();
+    }
+
+    function done(err) {
+        if (finished)
+            return;
+
+        finished = true;
+        process.nextTick(cb, err);
+    }
+};
+
+/**
+ * Returns the reader of the given document, null if the file was already loaded.
+ * @param {String} [file_name]
+ * @param {Number} [size] Size of the document in bytes.
+ * @param {Function} [load_include] Loads the given included file asynchronously, the
+ *  included files are read synchronously when not given.
+ * @returns {DocumentReader|null}
+ * @private
+ */
+Schema.prototype._openDocument = function (file_name, size, load_include) {
+    if (file_name) {
+        let loaded = this.files.some(function (f) {
+            return path.resolve(f) === path.resolve(file_name);
         });
+
+        if (loaded)
+            return null;
+
+        this.files.push(file_name);
+    }
+
+    if (null === this.file_name)
+        this.file_name = file_name || null;
+
+    return new DocumentReader(this, file_name, size, load_include);
+};
+
+/**
+ * Restores the schema from its JSON dump, replacing the current content of the schema.
+ * The maps and the links hidden by non-enumerable properties, such as the parent of
+ * every definition and the resolved inheritance, are rebuilt.
+ * @param {String|Buffer|Object} json
+ * @returns {Schema}
+ */
+Schema.prototype.fromJSON = function (json) {
+    try {
+        this._restore((typeof json === "object" && !Buffer.isBuffer(json)) ? json :
+            JSON.parse(json.toString()));
+    }
+    catch (e) {
+        this.emit("err", e);
+        throw e;
+    }
+
+    this.emit("done", this);
+    return this;
+};
+
+/**
+ * Restores the schema from the given JSON dump, see 'fromJSON'. Throws if the dump is
+ * not valid, without emitting the error.
+ * @param {Object} doc
+ * @private
+ */
+Schema.prototype._restore = function (doc) {
+    let self = this;
+
+    if (!doc || doc.format !== JSON_FORMAT)
+        throw new Error("Failed to restore the schema, the JSON document is not a " +
+            "schema dump of format version " + JSON_FORMAT + ".");
+
+    this.clear();
+    this.version = doc.version;
+    this.engines = doc.engines;
+    this.code_output_dir = doc.code_output_dir;
+    this.units = doc.units;
+    this.files = doc.sources.map(function (src) { return src.file_name; });
+    this.file_name = this.files[0] || null;
+    this.inputs = doc.inputs;
+    this.sources = doc.sources;
+    this.xml_roots = doc.xml_roots || {};
+
+    doc.groups.forEach(function (g) {
+        let parent = g.parent ? self.group_map[g.parent] : null;
+        restorePosition(new GroupDef(self, parent, g.name.split("::").pop(),
+            g.is_interface, g.intent, g.interface_guid, g.parent_interface), g);
     });
+
+    doc.types.forEach(function (t) {
+        let type_def = restorePosition(new TypeDef(self, t.name, t.type, t.size,
+            t.min, t.max, t.intent, {}, t.external_unit, t.enable_set_of), t);
+        type_def.values = t.values.map(restoreMember);
+    });
+
+    doc.objects.forEach(function (o) {
+        let obj_def = restorePosition(new ObjectDef(self, self.group_map[o.group],
+            o.name, o.msg_type, o.intent, {}, {}, o.cpp_obj_type, o.inherits_from,
+            o.response_request, o), o);
+        obj_def.attrs = o.attrs.map(restoreMember);
+        obj_def.refs = o.refs.map(restoreMember);
+    });
+
+    this.resolveInheritance();
+    this.messages = new messages.MessageGraph(this);
+    this.interfaces = new interfaces.InterfaceMap(this);
+    this.xref = new xref.CrossReference(this);
+
+
+    //
+
+    function restoreMember(m) {
+        let res = Object.assign({}, m);
+        delete res.position;
+        delete res.xml_elem;
+
+        return restorePosition(res, m);
+    }
+};
+
+/**
+ * Returns the JSON representation of the schema, see 'fromJSON'. The source files are
+ * recorded with their modification time and hash, to validate cached dumps. The layout
+ * of the source documents is recorded as well, so that 'toXml' writes them back alike.
+ * @returns {Object}
+ */
+Schema.prototype.toJSON = function () {
+    return {
+        format: JSON_FORMAT,
+        version: this.version,
+        engines: this.engines,
+        code_output_dir: this.code_output_dir,
+        units: this.units,
+        inputs: this.inputs,
+        sources: this.sources,
+        xml_roots: this.xml_roots,
+        groups: this.groups.map(function (g) {
+            return withPosition(g, { parent: g.parent ? g.parent.name : null });
+        }),
+        types: this.types.map(function (t) {
+            return withPosition(t, { values: t.values.map(memberJSON) });
+        }),
+        objects: this.objects.map(function (o) {
+            return withPosition(o, {
+                group: o.parent ? o.parent.name : null,
+                attrs: o.attrs.map(memberJSON),
+                refs: o.refs.map(memberJSON)
+            });
+        })
+    };
+
+
+    //
+
+    function withPosition(def, props) {
+        return Object.assign({}, def, props, { position: def.position,
+            xml_elem: def.xml_elem || undefined });
+    }
+
+    function memberJSON(m) {
+        return withPosition(m, {});
+    }
+};
+
+/**
+ * Returns the name of the cache file, null when the cache is disabled.
+ * @returns {String|null}
+ * @private
+ */
+Schema.prototype._cacheFile = function () {
+    if (!this.options.cache)
+        return null;
+
+    if (typeof this.options.cache === "string")
+        return this.options.cache;
+
+    return path.join(this.options.path, "schema.json");
+};
+
+/**
+ * Restores the schema from the cache file if it was written for the given files and
+ * none of them changed since, returns false otherwise. A file changed when both its
+ * modification time and its hash differ from the recorded ones.
+ * @param {Array.<String>} file_names
+ * @returns {Boolean}
+ * @private
+ */
+Schema.prototype._loadCache = function (file_names) {
+    let cache_file = this._cacheFile();
+    if (!cache_file || !fs.existsSync(cache_file))
+        return false;
+
+    // A cache that cannot be read or restored is not used, the files are parsed.
+    try {
+        let doc = JSON.parse(fs.readFileSync(cache_file, "utf8"));
+        if (!doc || doc.format !== JSON_FORMAT || !Array.isArray(doc.inputs) ||
+            !Array.isArray(doc.sources))
+            return false;
+
+        let same_files = doc.inputs.length === file_names.length &&
+            file_names.every(function (f, i) {
+                return path.resolve(doc.inputs[i]) === path.resolve(f);
+            });
+
+        if (!same_files || !doc.sources.every(unchanged))
+            return false;
+
+        this._restore(doc);
+    }
+    catch (e) {
+        this.clear();
+        return false;
+    }
+
+    this.emit("done", this);
+    return true;
+
+
+    //
+
+    function unchanged(src) {
+        if (!fs.existsSync(src.file_name))
+            return false;
+
+        if (fs.statSync(src.file_name).mtime.getTime() === src.mtime)
+            return true;
+
+        return hash(fs.readFileSync(src.file_name)) === src.hash;
+    }
+};
+
+/**
+ * Writes the schema to the cache file, if the cache is enabled.
+ * @private
+ */
+Schema.prototype._saveCache = function () {
+    let cache_file = this._cacheFile();
+    if (!cache_file)
+        return;
+
+    fs_util.ensurePath(path.dirname(cache_file) + path.sep);
+    fs.writeFileSync(cache_file, JSON.stringify(this, null, 4), "utf8");
 };
 
 Schema.prototype.clear = function () {
+    this.version = null;
+    this.engines = [];
+    this.code_output_dir = null;
+    this.units = {};
+
     this.objects = [];
     this.types = [];
     this.groups = [];
@@ -171,259 +738,2100 @@ Schema.prototype.clear = function () {
     this.object_map = {};
     this.type_map = {};
     this.group_map = {};
+    this.member_index = null;
+
+    this.messages = null;
+    this.interfaces = null;
+    this.xref = null;
+    this.file_name = null;
+    this.files = [];
+    this.inputs = [];
+    this.sources = [];
+    this.xml_roots = {};
 };
 
-Schema.prototype.getType = function (type_name) {
-    return this.type_map[type_name];
-};
+/**
+ * Reads the attributes of the 'CrabelObjectSchema' root element. When several documents
+ * are merged the first one sets the version and output directory, engines and units
+ * are combined.
+ * @param {Object} attrs
+ */
+Schema.prototype.parseRoot = function (attrs) {
+    let self = this;
 
-Schema.prototype.getObject = function (obj_name) {
-    return this.object_map[obj_name];
-};
+    if (null === this.version)
+        this.version = attrs.Version || null;
 
-Schema.prototype.getNativeType = function (type) {
-    let type_name = schema_util.getTypeName(type);
-    while (!schema_util.isNativeType(type_name))
-        type_name = schema_util.getTypeName(this.type_map[type_name]);
+    (attrs.Engines || "").split(",").map(function (e) {
+        return e.trim();
+    }).forEach(function (e) {
+        if (e.length > 0 && self.engines.indexOf(e) < 0)
+            self.engines.push(e);
+    });
 
-    return type_name;
+    if (null === this.code_output_dir)
+        this.code_output_dir = attrs.CodeOutputDirectory || null;
+
+    // Unit names, 'RemoteInterfacesUnit' is stored as 'units.remote_interfaces', etc.
+    Object.keys(attrs).forEach(function (k) {
+        if (k.length <= 4 || !k.endsWith("Unit"))
+            return;
+
+        let unit = k.slice(0, -4).replace(/([a-z])([A-Z])/g, "$1_$2").toLowerCase();
+        if (undefined === self.units[unit])
+            self.units[unit] = attrs[k];
+    });
 };
 
-Schema.prototype.save = function(file_name, cb) {
-    if (!cb || typeof cb !== "function")
-        throw new Error("Invalid call to 'Schema.save', the callback function is " +
-            "not optional.");
+/**
+ * Checks the schema for definition problems, such as unknown attribute types,
+ * duplicate objects or inconsistent ranges. Every problem found is emitted as an 'err'
+ * or 'warning' event, according to its severity, and returned.
+ * @returns {Array.<Diagnostic>}
+ */
+Schema.prototype.validate = function () {
+    let self = this;
+    let res = validation.validate(this);
 
-    fs.writeFile(file_name, JSON.stringify(this, null, 4), "utf8", function (err) {
-        cb(err);
+    res.forEach(function (d) {
+        self.emit(d.severity === validation.Severity.Error ? "err" : "warning", d);
     });
+
+    return res;
 };
 
+/**
+ * Validates a message object against its object definition, checking the types,
+ * ranges and allowed values of its attributes, the presence of non-optional attributes
+ * and the cardinality of its references, recursively. Every problem is returned with
+ * the JSON path of the offending value, such as 'TradeToOrder[1].OrderID'.
+ * @param {Object} obj
+ * @param {ObjectDef|String} obj_def Object definition, or its name as in
+ * 'Group::Object'.
+ * @returns {Array.<ObjectError>} Empty when the object is valid.
+ */
+Schema.prototype.validateObject = function (obj, obj_def) {
+    let def = obj_def;
+    if (typeof obj_def === "string")
+        def = this.getObject(obj_def) || this.findObject(obj_def);
+
+    if (!def)
+        throw new Error("Failed to validate object, the object definition '" + obj_def +
+            "' is not defined.");
+
+    // Required here since the instance module depends on this one.
+    return require("./instance").validate(this, obj, def);
+};
 
 /**
- *
- * @param {Schema} schema
- * @param {GroupDef} parent
- * @param {String} name
+ * Returns a random, but valid, instance of the given object definition. Pass the same
+ * 'seed' option to reproduce an instance, or use a FakeGenerator to reproduce a
+ * sequence of them.
+ * @param {ObjectDef|String} obj_def Object definition or its name.
+ * @param {FakeOptions} [opts] The 'format' option selects the output, a plain object by
+ * default.
+ * @returns {Object|String|Buffer}
+ */
+Schema.prototype.fakeObject = function (obj_def, opts) {
+    // Required here since the fake module depends on this one.
+    let fake = require("./fake");
+    return new fake.FakeGenerator(this, opts).render(obj_def);
+};
+
+/**
+ * Compares this schema, as the new version, with an older version of the schema. The
+ * result lists the added, removed and changed definitions, each classified as backward
+ * compatible or breaking.
+ * @param {Schema} old_schema
+ * @returns {SchemaDiff}
+ */
+Schema.prototype.diff = function (old_schema) {
+    return schema_diff.diff(old_schema, this);
+};
+
+/**
+ * Returns the objects matching the given filter. The filter is either a predicate
+ * or an object whose properties must all match the object definition, for instance
+ * { is_event: true, msg_type: "AsyncRequest" }.
+ * @param {Function|Object} filter
+ * @returns {Array.<ObjectDef>}
+ */
+Schema.prototype.filterObjects = function (filter) {
+    return this.objects.filter(matcher(filter));
+};
+
+/**
+ * Returns the groups matching the given filter, see 'filterObjects'.
+ * @param {Function|Object} filter
+ * @returns {Array.<GroupDef>}
+ */
+Schema.prototype.filterGroups = function (filter) {
+    return this.groups.filter(matcher(filter));
+};
+
+/**
+ * Returns the objects flagged as events (IsEvent).
+ * @returns {Array.<ObjectDef>}
+ */
+Schema.prototype.getEvents = function () {
+    return this.filterObjects({ is_event: true });
+};
+
+/**
+ * Returns the objects that are persisted, those not flagged as NotPersistent.
+ * @returns {Array.<ObjectDef>}
+ */
+Schema.prototype.getPersistentObjects = function () {
+    return this.filterObjects({ not_persistent: false });
+};
+
+/**
+ * Returns the objects that are archived, those not flagged as DoNotArchive.
+ * @returns {Array.<ObjectDef>}
+ */
+Schema.prototype.getArchivedObjects = function () {
+    return this.filterObjects({ do_not_archive: false });
+};
+
+/**
+ * Returns the objects with a custom time to live (CustomTimeToLive).
+ * @returns {Array.<ObjectDef>}
+ */
+Schema.prototype.getCustomTtlObjects = function () {
+    return this.filterObjects({ custom_time_to_live: true });
+};
+
+/**
+ * Returns the objects flagged as compressible.
+ * @returns {Array.<ObjectDef>}
+ */
+Schema.prototype.getCompressibleObjects = function () {
+    return this.filterObjects({ compressible: true });
+};
+
+/**
+ * Resolves the 'InheritsFrom' base of every object in the schema. Throws if a base
+ * object is missing or the inheritance chain is circular.
+ */
+Schema.prototype.resolveInheritance = function () {
+    this.objects.forEach(function (o) {
+        o.base = null;
+        o.all_attrs = null;
+        o.all_refs = null;
+    });
+
+    this.objects.forEach(function (o) {
+        o._resolveBase();
+    });
+};
+
+/**
+ * Rebuilds the definitions derived from the objects of the schema, the resolved
+ * inheritance, the request/response graph and the interfaces. Called by the editing
+ * functions.
+ */
+Schema.prototype.refresh = function () {
+    this.resolveInheritance();
+    this.messages = new messages.MessageGraph(this);
+    this.interfaces = new interfaces.InterfaceMap(this);
+    this.xref = new xref.CrossReference(this);
+};
+
+/**
+ * Adds a group to the schema. Nested groups are named after their parent group, as in
+ * 'Parent::Child', the parent group must exist.
+ * @param {String} name
+ * @param {Object} [props]
+ * @param {Boolean} [props.is_interface]
+ * @param {String} [props.intent]
+ * @param {String} [props.interface_guid]
+ * @param {String} [props.parent_interface]
+ * @returns {GroupDef}
+ */
+Schema.prototype.addGroup = function (name, props) {
+    props = props || {};
+
+    if (this.group_map[name])
+        throw new Error("Failed to add group '" + name + "', the group is already " +
+            "defined.");
+
+    let parts = name.split("::");
+    let short_name = parts.pop();
+    let parent = null;
+
+    if (parts.length > 0) {
+        parent = this.group_map[parts.join("::")];
+        if (!parent)
+            throw new Error("Failed to add group '" + name + "', the parent group '" +
+                parts.join("::") + "' is not defined.");
+    }
+
+    return newPosition(new GroupDef(this, parent, short_name, Boolean(props.is_interface),
+        props.intent, props.interface_guid, props.parent_interface), this, parent);
+};
+
+/**
+ * Adds a type to the AttributeTypes of the schema.
+ * @param {String} name
+ * @param {Object} props
+ * @param {String} props.type Native type or name of the base type.
+ * @param {Number} [props.size]
+ * @param {Number} [props.min]
+ * @param {Number} [props.max]
+ * @param {String} [props.intent]
+ * @param {Array.<{ value: *, meaning: String, intent: String }>} [props.values]
+ * @param {String} [props.external_unit]
+ * @param {Boolean} [props.enable_set_of]
+ * @returns {TypeDef}
+ */
+Schema.prototype.addType = function (name, props) {
+    if (this.type_map[name])
+        throw new Error("Failed to add type '" + name + "', the type is already " +
+            "defined.");
+
+    if (!props || !props.type)
+        throw new Error("Failed to add type '" + name + "', the base type is missing.");
+
+    let type_def = newPosition(new TypeDef(this, name, props.type, props.size, props.min,
+        props.max, props.intent || "<missing>", {}, props.external_unit,
+        props.enable_set_of), this, null);
+
+    (props.values || []).forEach(function (v) {
+        type_def.addValue(v.value, v.meaning, v.intent);
+    });
+
+    // Types only change the cross references.
+    this.xref = new xref.CrossReference(this);
+    return type_def;
+};
+
+/**
+ * Adds an object to the given group. The properties are those of ObjectDef, 'attrs' and
+ * 'refs' hold the properties of the members, as taken by 'ObjectDef.addAttr' and
+ * 'ObjectDef.addRef'.
+ * @param {GroupDef|String} group Group or full name of the group.
+ * @param {String} name
+ * @param {Object} [props]
+ * @returns {ObjectDef}
+ */
+Schema.prototype.addObject = function (group, name, props) {
+    props = props || {};
+
+    let parent = (typeof group === "string") ? this.group_map[group] : group;
+    if (!parent)
+        throw new Error("Failed to add object '" + name + "', the group '" + group +
+            "' is not defined.");
+
+    let exists = this.objects.some(function (o) {
+        return o.parent === parent && o.name === name;
+    });
+
+    if (exists)
+        throw new Error("Failed to add object '" + name + "', the object is already " +
+            "defined in group '" + parent.name + "'.");
+
+    if (props.inherits_from && !this.findObject(props.inherits_from, parent))
+        throw new Error("Failed to add object '" + name + "', the base object '" +
+            props.inherits_from + "' is not defined.");
+
+    let obj_def = newPosition(new ObjectDef(this, parent, name, props.msg_type || "None",
+        props.intent || "<missing>", {}, {}, props.cpp_obj_type || 1, props.inherits_from,
+        props.response_request, props), this, parent);
+
+    (props.attrs || []).forEach(function (a) { obj_def.addAttr(a); });
+    (props.refs || []).forEach(function (r) { obj_def.addRef(r); });
+
+    this.refresh();
+    return obj_def;
+};
+
+/**
+ * Removes the given object from the schema. Throws if other objects inherit from it.
+ * @param {ObjectDef|String} obj_def Object definition or full name.
+ */
+Schema.prototype.removeObject = function (obj_def) {
+    this._removeObjects([ (typeof obj_def === "string") ? this.getObject(obj_def) :
+        obj_def ], "object '" + (obj_def.name || obj_def) + "'");
+};
+
+/**
+ * Removes the given group, with its nested groups and objects, from the schema.
+ * @param {GroupDef|String} group Group or full name of the group.
+ */
+Schema.prototype.removeGroup = function (group) {
+    let name = group.name || group;
+    group = this.group_map[name];
+
+    if (!group)
+        throw new Error("Failed to remove group '" + name + "', the group is not " +
+            "defined.");
+
+    let groups = this.groups.filter(function (g) {
+        for (let p = g; p; p = p.parent)
+            if (p === group)
+                return true;
+
+        return false;
+    });
+
+    this._removeObjects(this.objects.filter(function (o) {
+        return groups.indexOf(o.parent) >= 0;
+    }), "group '" + name + "'");
+
+    let self = this;
+    this.groups = this.groups.filter(function (g) { return groups.indexOf(g) < 0; });
+    this.member_index = null;
+    groups.forEach(function (g) { delete self.group_map[g.name]; });
+
+    // The interfaces are groups, they are only gone once the groups are.
+    this.refresh();
+};
+
+/**
+ * Removes the given objects, 'what' names the definition being removed in errors.
+ * @param {Array.<ObjectDef>} obj_defs
+ * @param {String} what
+ * @private
+ */
+Schema.prototype._removeObjects = function (obj_defs, what) {
+    let self = this;
+
+    obj_defs.forEach(function (o) {
+        if (!o || self.objects.indexOf(o) < 0)
+            throw new Error("Failed to remove " + what + ", the object is not defined.");
+
+        let derived = self.objects.find(function (d) {
+            return d.base === o && obj_defs.indexOf(d) < 0;
+        });
+
+        if (derived)
+            throw new Error("Failed to remove " + what + ", object '" +
+                derived.fullName() + "' inherits from '" + o.fullName() + "'.");
+    });
+
+    this.objects = this.objects.filter(function (o) { return obj_defs.indexOf(o) < 0; });
+    this.member_index = null;
+    obj_defs.forEach(function (o) {
+        if (self.object_map[o.fullName()] === o)
+            delete self.object_map[o.fullName()];
+    });
+
+    this.refresh();
+};
+
+/**
+ * Removes the given type from the schema. Throws if the type is used by an attribute
+ * or another type.
+ * @param {TypeDef|String} type_def Type or type name.
+ */
+Schema.prototype.removeType = function (type_def) {
+    let name = type_def.name || type_def;
+    type_def = this.type_map[name];
+
+    if (!type_def)
+        throw new Error("Failed to remove type '" + name + "', the type is not defined.");
+
+    let user = this.types.find(function (t) { return t.type === name; });
+    if (user)
+        throw new Error("Failed to remove type '" + name + "', it is the base type of '" +
+            user.name + "'.");
+
+    this.objects.forEach(function (o) {
+        let attr = o.attrs.find(function (a) { return a.type === name; });
+        if (attr)
+            throw new Error("Failed to remove type '" + name + "', it is the type of " +
+                "attribute '" + o.fullName() + "." + attr.name + "'.");
+    });
+
+    this.types = this.types.filter(function (t) { return t !== type_def; });
+    delete this.type_map[name];
+    this.xref = new xref.CrossReference(this);
+};
+
+Schema.prototype.getType = function (type_name) {
+    return this.type_map[type_name];
+};
+
+Schema.prototype.getObject = function (obj_name) {
+    return this.object_map[obj_name];
+};
+
+/**
+ * Resolves a group, object or type name as seen from the 'scope' group, following C++
+ * scoping rules. A plain name is looked up in 'scope' and then in every enclosing group
+ * up to the global scope, the innermost group where it is found wins. The first
+ * component of a qualified name, such as 'Lists::OrderList', is looked up the same way
+ * and the rest of the name is resolved within the group found. Names starting with '::'
+ * are resolved from the global scope only.
+ * With the 'loose' option, names that are not visible this way are matched the way
+ * schema documents reference objects: the last name against the short name of every
+ * group and object, the others against the names of some of its enclosing groups, as
+ * 'BaseEngine:IPCConfig' for 'BaseEngine::Configuration::IPCConfig'. Matches within the
+ * innermost enclosing group of 'scope' take precedence.
+ * The 'exclude' option leaves the given definition out, as if it was not defined.
+ * Throws if the name matches more than one definition, the error lists the candidates.
+ * @param {String} name
+ * @param {GroupDef|ObjectDef|String} [scope] Group, or full group name, to resolve the
+ * name from, the group of an object is used for objects. The global scope by default.
+ * @param {String} [kind] Only resolve definitions of this kind, one of 'group', 'object'
+ * or 'type'.
+ * @param {{ loose: Boolean, exclude: Object }} [opts]
+ * @returns {GroupDef|ObjectDef|TypeDef|undefined}
+ */
+Schema.prototype.resolve = function (name, scope, kind, opts) {
+    let self = this;
+    let parts = name.split(/:+/);
+    let absolute = parts[0] === "";
+    let index = this._memberIndex();
+
+    if (absolute)
+        parts.shift();
+
+    if (typeof scope === "string")
+        scope = this.group_map[scope] || null;
+    else if (scope instanceof ObjectDef)
+        scope = scope.parent;
+
+    let scopes = [];
+    if (!absolute)
+        for (let g = scope; g; g = g.parent)
+            scopes.push(g);
+
+    scopes.push(null);
+
+    for (let i = 0; i < scopes.length; ++i) {
+        let found = lookup(scopes[i], parts);
+        if (found.length > 0)
+            return unique(found);
+
+        // As in C++, only groups are considered for the qualifying names and the name
+        // is not looked up further out once the first of them is found.
+        if (parts.length > 1 && members(scopes[i], parts[0]).some(isGroup))
+            break;
+    }
+
+    if (absolute || !opts || !opts.loose)
+        return undefined;
+
+    let candidates = (index.names.get(parts[parts.length - 1]) || [])
+        .filter(function (d) { return matchKind(d) && matchPath(d, parts); });
+
+    for (let g = scope; g && candidates.length > 1; g = g.parent) {
+        let in_scope = candidates.filter(function (d) {
+            for (let p = d.parent; p; p = p.parent)
+                if (p === g)
+                    return true;
+
+            return false;
+        });
+
+        if (in_scope.length > 0)
+            return unique(in_scope);
+    }
+
+    return unique(candidates);
+
+
+    //
+
+    function lookup(group, names) {
+        let found = members(group, names[0]);
+        if (names.length === 1)
+            return found.filter(matchKind);
+
+        let res = [];
+        found.filter(isGroup).forEach(function (d) {
+            res.push.apply(res, lookup(d, names.slice(1)));
+        });
+
+        return res;
+    }
+
+    function members(group, short_name) {
+        let res = (index.scopes.get(group) || new Map()).get(short_name) || [];
+
+        if (!group && self.type_map[short_name])
+            res = res.concat(self.type_map[short_name]);
+
+        return res;
+    }
+
+    // The last name is the name of the definition and the others the names of some of
+    // its enclosing groups, in the same order.
+    function matchPath(def, names) {
+        let i = names.length - 1;
+        for (let g = def.parent; g && i > 0; g = g.parent)
+            if (g.getShortName() === names[i - 1])
+                --i;
+
+        return i === 0;
+    }
+
+    function unique(candidates) {
+        if (candidates.length > 1)
+            throw new Error("The name '" + name + "' is ambiguous" + (scope ?
+                " in group '" + scope.fullName() + "'" : "") + ", it matches: " +
+                candidates.map(function (d) {
+                    return d.fullName() + " (" + defKind(d) + ")";
+                }).join(", ") + ".");
+
+        return candidates[0];
+    }
+
+    function isGroup(def) {
+        return def instanceof GroupDef;
+    }
+
+    function matchKind(def) {
+        return (!kind || defKind(def) === kind) && !(opts && opts.exclude === def);
+    }
+
+    function defKind(def) {
+        if (def instanceof GroupDef)
+            return "group";
+
+        return (def instanceof ObjectDef) ? "object" : "type";
+    }
+};
+
+/**
+ * Finds the object referenced by 'name' as seen from the 'scope' group. The name is
+ * either a plain object name or qualified with group names as in 'Group::Object', see
+ * 'resolve'. Names that are not visible from 'scope' are resolved the way schema
+ * documents reference objects, see the 'loose' option of 'resolve'.
+ * @param {String} name
+ * @param {GroupDef} [scope]
+ * @returns {ObjectDef|undefined}
+ */
+Schema.prototype.findObject = function (name, scope) {
+    return this.resolve(name, scope, "object", { loose: true });
+};
+
+/**
+ * Returns the index of the groups and objects used by 'resolve', built on first use
+ * after a definition is added or removed. 'scopes' maps each group, null for the global
+ * scope, to its members by short name and 'names' maps short names to every group and
+ * object with that name.
+ * @returns {{ scopes: Map, names: Map }}
+ * @private
+ */
+Schema.prototype._memberIndex = function () {
+    if (this.member_index)
+        return this.member_index;
+
+    let index = { scopes: new Map(), names: new Map() };
+
+    this.groups.forEach(function (g) { add(g, g.getShortName()); });
+    this.objects.forEach(function (o) { add(o, o.name); });
+
+    this.member_index = index;
+    return index;
+
+
+    //
+
+    function add(def, short_name) {
+        let parent = def.parent || null;
+        if (!index.scopes.has(parent))
+            index.scopes.set(parent, new Map());
+
+        push(index.scopes.get(parent), short_name, def);
+        push(index.names, short_name, def);
+    }
+
+    function push(map, key, def) {
+        if (!map.has(key))
+            map.set(key, []);
+
+        map.get(key).push(def);
+    }
+};
+
+/**
+ * Returns the frozen enum object of the given type, see 'TypeDef.toEnum'. Throws if the
+ * type is not defined or does not have allowed values.
+ * @param {String} type_name
+ * @returns {Object}
+ */
+Schema.prototype.getEnum = function (type_name) {
+    let type_def = this.getType(type_name);
+    if (!type_def || !type_def.isEnum())
+        throw new Error("Failed to get enum '" + type_name + "', the type is not " +
+            "defined or does not have allowed values.");
+
+    return type_def.toEnum();
+};
+
+/**
+ * Returns the types with allowed values, including those inheriting them.
+ * @returns {Array.<TypeDef>}
+ */
+Schema.prototype.getEnumTypes = function () {
+    return this.types.filter(function (t) { return t.isEnum(); });
+};
+
+/**
+ * Returns true if the given type is one of the schema native types (Integer, Alpha,
+ * etc.) rather than a type defined in AttributeTypes.
+ * @param {String|TypeDef} type
+ * @returns {Boolean}
+ */
+Schema.prototype.isNativeType = function (type) {
+    return schema_util.isNativeType(type);
+};
+
+Schema.prototype.getNativeType = function (type) {
+    let type_name = schema_util.getTypeName(type);
+    while (!schema_util.isNativeType(type_name))
+        type_name = schema_util.getTypeName(this.type_map[type_name]);
+
+    return type_name;
+};
+
+/**
+ * Resolves the TypeDef chain of the given attribute (or type name) and returns its
+ * effective type information. Properties set on the attribute take precedence over
+ * those of its types, and types over their base types.
+ * @param {Object|String} attr Attribute definition or type name.
+ * @returns {{ type_name: String, native_type: String, js_type: String, size: Number,
+ *     min_value: Number, max_value: Number, optional: Boolean, values: Array,
+ *     external_unit: String, type_defs: Array.<TypeDef> }}
+ */
+Schema.prototype.getEffectiveType = function (attr) {
+    if (typeof attr === "string")
+        attr = { type: attr };
+
+    let type_defs = [];
+    let type_name = attr.type;
+
+    while (!schema_util.isNativeType(type_name)) {
+        let type_def = this.getType(type_name);
+        if (!type_def)
+            throw new Error("The type '" + type_name + "' is not defined.");
+
+        if (type_defs.indexOf(type_def) >= 0)
+            throw new Error("The type '" + attr.type + "' has a circular definition.");
+
+        type_defs.push(type_def);
+        type_name = type_def.type;
+    }
+
+    let res = {
+        type_name: attr.type,
+        native_type: type_name,
+        js_type: schema_util.getJsType(type_name),
+        size: first(xml.parse.number(attr.size), "size"),
+        min_value: first(attr.min_value, "min"),
+        max_value: first(attr.max_value, "max"),
+        optional: Boolean(attr.optional),
+        values: [],
+        external_unit: first(undefined, "external_unit"),
+        type_defs: type_defs
+    };
+
+    if (undefined === res.size)
+        res.size = schema_util.def_size[type_name];
+
+    let enum_def = type_defs.find(function (t) { return t.values.length > 0; });
+    if (enum_def)
+        res.values = enum_def.values;
+
+    return res;
+
+
+    //
+
+    function first(val, prop) {
+        if (undefined !== val && null !== val)
+            return val;
+
+        let t = type_defs.find(function (t) {
+            return undefined !== t[prop] && null !== t[prop];
+        });
+
+        return t ? t[prop] : undefined;
+    }
+};
+
+/**
+ * Returns the schema as a CrabelObjectSchema XML document. Definitions read from a file
+ * keep their original layout, see the 'writer' module.
+ * @param {XmlWriterOptions} [opts]
+ * @returns {String}
+ */
+Schema.prototype.toXml = function (opts) {
+    return writer.write(this, opts);
+};
+
+/**
+ * Writes the schema as a CrabelObjectSchema XML document to the given file.
+ * @param {String} file_name
+ * @param {XmlWriterOptions} [opts]
+ * @param {Function} cb Called with the error, if any.
+ */
+Schema.prototype.saveXml = function (file_name, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (!cb || typeof cb !== "function")
+        throw new Error("Invalid call to 'Schema.saveXml', the callback function is " +
+            "not optional.");
+
+    let doc;
+    try {
+        doc = this.toXml(opts);
+    }
+    catch (e) {
+        return cb(e);
+    }
+
+    fs.writeFile(file_name, doc, "utf8", function (err) {
+        cb(err);
+    });
+};
+
+Schema.prototype.save = function(file_name, cb) {
+    if (!cb || typeof cb !== "function")
+        throw new Error("Invalid call to 'Schema.save', the callback function is " +
+            "not optional.");
+
+    fs.writeFile(file_name, JSON.stringify(this, null, 4), "utf8", function (err) {
+        cb(err);
+    });
+};
+
+
+/**
+ *
+ * @param {Schema} schema
+ * @param {GroupDef} parent
+ * @param {String} name
  * @param {String} msg_type
  * @param {String} intent
- * @param {Object} attrs
- * @param {Object} refs
- * @param {Number} cpp_obj_type
- * @returns {ObjectDef}
+ * @param {Object} attrs
+ * @param {Object} refs
+ * @param {Number} cpp_obj_type
+ * @param {String} [inherits_from]
+ * @param {String} [response_request]
+ * @param {Object} [flags] Storage and delivery flags of the object.
+ * @param {Boolean} [flags.is_event]
+ * @param {Boolean} [flags.do_not_archive]
+ * @param {Boolean} [flags.not_persistent]
+ * @param {Boolean} [flags.custom_time_to_live]
+ * @param {Number} [flags.time_to_live]
+ * @param {Boolean} [flags.enable_set_of]
+ * @param {Boolean} [flags.compressible]
+ * @param {String} [flags.mapped_type]
+ * @returns {ObjectDef}
+ * @constructor
+ */
+function ObjectDef(schema, parent, name, msg_type, intent, attrs, refs, cpp_obj_type,
+                   inherits_from, response_request, flags) {
+    if (!this)
+        return new ObjectDef(schema, parent, name, msg_type, intent, attrs,
+            refs, cpp_obj_type, inherits_from, response_request, flags);
+
+    if (schema.objects[name])
+        throw new Error("Failed to create object '" + name + "', this object has " +
+            "already been defined.");
+
+    let self = this;
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'parent', { value: parent, enumerable: false });
+
+    // Inheritance, resolved by 'Schema.resolveInheritance' once all objects are parsed.
+    Object.defineProperty(this, 'base',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'all_attrs',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'all_refs',
+        { writable: true, value: null, enumerable: false });
+
+    if (parent)
+        this.path = parent.getPath();
+
+    // Attributes
+    this.name = name;
+    this.msg_type = msg_type;
+    this.cpp_obj_type = cpp_obj_type;
+    this.intent = intent;
+    this.inherits_from = inherits_from || null;
+    this.response_request = response_request || null;
+
+    if (!flags)
+        flags = {};
+
+    this.is_event = Boolean(flags.is_event);
+    this.do_not_archive = Boolean(flags.do_not_archive);
+    this.not_persistent = Boolean(flags.not_persistent);
+    this.custom_time_to_live = Boolean(flags.custom_time_to_live);
+    this.time_to_live = (undefined === flags.time_to_live) ? null : flags.time_to_live;
+    this.enable_set_of = Boolean(flags.enable_set_of);
+    this.compressible = Boolean(flags.compressible);
+    this.mapped_type = flags.mapped_type || null;
+
+    this.attrs = [];
+    this.refs = [];
+
+    if (attrs.Attribute)
+        attrs.Attribute.forEach(function (a) {
+            self.attrs.push(setPosition({
+                name: a.$.Name,
+                index: xml.parse.number(a.$.Index),
+                type: a.$.Type,
+                size: a.$.Size,
+                min_value: xml.parse.number(a.$.MinValue),
+                max_value: xml.parse.number(a.$.MaxValue),
+                optional: xml.parse.bool(a.$.Optional),
+                enable_set_of: xml.parse.bool(a.$.EnableSetOf),
+                intent: xml.parse.string(a.Intent)
+            }, schema, a));
+        });
+
+    if (refs.Object)
+        refs.Object.forEach(function (o) {
+            let o_name = o.$.Name;
+            let o_type = o.$.Type;
+
+            if (o.$.LinkName) {
+                o_name = o.$.LinkName;
+                o_type = o.$.Name;
+            }
+
+            self.refs.push(setPosition({
+                name: o_name,
+                index: xml.parse.number(o.$.Index),
+                type: o_type,
+                size: o.$.size,
+                intent: o.$.Intent,
+                min_count: xml.parse.number(o.$.MinCount),
+                max_count: xml.parse.number(o.$.MaxCount)
+            }, schema, o));
+        });
+
+    this.schema.objects.push(this);
+    this.schema.object_map[this.fullName()] = this;
+    this.schema.member_index = null;
+}
+
+ObjectDef.parse = function (schema, parent, obj_def) {
+    return setPosition(new ObjectDef(
+        schema,
+        parent,
+        obj_def.$.Name,
+        obj_def.$.MessageType,
+        xml.parse.string(obj_def.Intent),
+        xml.parse.list(obj_def.Attributes),
+        xml.parse.list(obj_def.References),
+        Number(obj_def.$.CPPObjectType || 1),
+        obj_def.$.InheritsFrom,
+        obj_def.$.ResponseRequest,
+        {
+            is_event: xml.parse.bool(obj_def.$.IsEvent),
+            do_not_archive: xml.parse.bool(obj_def.$.DoNotArchive),
+            not_persistent: xml.parse.bool(obj_def.$.NotPersistent),
+            custom_time_to_live: xml.parse.bool(obj_def.$.CustomTimeToLive),
+            time_to_live: xml.parse.number(obj_def.$.TimeToLive),
+            enable_set_of: xml.parse.bool(obj_def.$.EnableSetOf),
+            compressible: xml.parse.bool(obj_def.$.Compressible),
+            mapped_type: obj_def.$.MappedType
+        }
+    ), schema, obj_def);
+};
+
+ObjectDef.prototype.fullName = function () {
+    return this.path + "::" + this.name;
+};
+
+/**
+ * Returns true if this object is a SyncRequest or AsyncRequest message.
+ * @returns {Boolean}
+ */
+ObjectDef.prototype.isRequest = function () {
+    return messages.isRequest(this);
+};
+
+/**
+ * Returns true if this object is a Response message.
+ * @returns {Boolean}
+ */
+ObjectDef.prototype.isResponse = function () {
+    return this.msg_type === messages.MessageType.Response;
+};
+
+/**
+ * Returns the object definition referenced by the given reference. A required reference
+ * never resolves to this object, the object would nest endlessly, its name refers to
+ * another object with the same name.
+ * @param {Object} ref An entry of 'refs' or 'all_refs'.
+ * @returns {ObjectDef|undefined}
+ */
+ObjectDef.prototype.getRefObject = function (ref) {
+    return this.schema.resolve(schema_util.getRefTypeName(ref), this.parent, "object",
+        { loose: true, exclude: ref.min_count > 0 ? this : undefined });
+};
+
+/**
+ * Returns the list of objects this object inherits from, starting with the immediate
+ * base object. The list is empty when the object does not inherit from another object.
+ * @returns {Array.<ObjectDef>}
+ */
+ObjectDef.prototype.getBaseChain = function () {
+    let res = [];
+    for (let b = this.base; b; b = b.base)
+        res.push(b);
+
+    return res;
+};
+
+/**
+ * Returns true if this object is, or inherits from, the given object.
+ * @param {ObjectDef|String} obj Object definition or full name.
+ * @returns {Boolean}
+ */
+ObjectDef.prototype.isA = function (obj) {
+    let full_name = (typeof obj === "string") ? obj : obj.fullName();
+    for (let o = this; o; o = o.base)
+        if (o.fullName() === full_name)
+            return true;
+
+    return false;
+};
+
+/**
+ * Returns the effective attribute with the given name, including inherited ones. The
+ * 'origin' property of the result holds the full name of the defining object.
+ * @param {String} name
+ * @returns {Object|undefined}
+ */
+ObjectDef.prototype.getAttr = function (name) {
+    return (this.all_attrs || []).find(function (a) { return a.name === name; });
+};
+
+/**
+ * Returns the effective reference with the given name, including inherited ones. The
+ * 'origin' property of the result holds the full name of the defining object.
+ * @param {String} name
+ * @returns {Object|undefined}
+ */
+ObjectDef.prototype.getRef = function (name) {
+    return (this.all_refs || []).find(function (r) { return r.name === name; });
+};
+
+/**
+ * Returns an object class for this object, following the ObjClass convention used by
+ * the converters, built from the effective attributes and references of the object.
+ * Useful when the classes generated by 'schema/generators/js' are not available.
+ * @returns {ObjClass}
+ */
+ObjectDef.prototype.getObjClass = function () {
+    return buildObjClass(this, new Map());
+
+
+    //
+
+    function buildObjClass(obj_def, built) {
+        if (built.has(obj_def))
+            return built.get(obj_def);
+
+        let res = { _name: obj_def.name, _attrs: {}, _refs: {} };
+        built.set(obj_def, res);
+
+        (obj_def.all_attrs || obj_def.attrs).forEach(function (a) {
+            res._attrs[a.name] = schema_util.attrDescriptor(obj_def.schema, a);
+        });
+
+        (obj_def.all_refs || obj_def.refs).forEach(function (r) {
+            let ref_obj = obj_def.getRefObject(r);
+            if (!ref_obj)
+                throw new Error("Failed to build the object class of '" +
+                    obj_def.fullName() + "', the object '" +
+                    schema_util.getRefTypeName(r) + "' referenced by '" + r.name +
+                    "' is not defined.");
+
+            res._refs[r.name] = {
+                name: r.name,
+                is_container: schema_util.isContainer(r),
+                ref_class: buildObjClass(ref_obj, built)
+            };
+        });
+
+        return res;
+    }
+};
+
+/**
+ * Adds an attribute to the object. Throws if the object already defines an attribute
+ * with the same name.
+ * @param {Object} props
+ * @param {String} props.name
+ * @param {String} props.type Native type or name of a type in AttributeTypes.
+ * @param {Number} [props.index]
+ * @param {Number} [props.size]
+ * @param {Number} [props.min_value]
+ * @param {Number} [props.max_value]
+ * @param {Boolean} [props.optional]
+ * @param {Boolean} [props.enable_set_of]
+ * @param {String} [props.intent]
+ * @returns {Object} The attribute definition.
+ */
+ObjectDef.prototype.addAttr = function (props) {
+    if (!props || !props.name || !props.type)
+        throw new Error("Failed to add attribute to object '" + this.fullName() +
+            "', the name and type are not optional.");
+
+    if (this.attrs.some(function (a) { return a.name === props.name; }))
+        throw new Error("Failed to add attribute '" + props.name + "' to object '" +
+            this.fullName() + "', the attribute is already defined.");
+
+    let attr = newPosition({
+        name: props.name,
+        index: props.index,
+        type: props.type,
+        size: (undefined === props.size) ? undefined : String(props.size),
+        min_value: props.min_value,
+        max_value: props.max_value,
+        optional: Boolean(props.optional),
+        enable_set_of: Boolean(props.enable_set_of),
+        intent: props.intent || "<missing>"
+    }, this.schema, this);
+
+    this.attrs.push(attr);
+    this.schema.refresh();
+
+    return attr;
+};
+
+/**
+ * Removes the attribute with the given name, returns false if the object does not
+ * define the attribute.
+ * @param {String} name
+ * @returns {Boolean}
+ */
+ObjectDef.prototype.removeAttr = function (name) {
+    let count = this.attrs.length;
+    this.attrs = this.attrs.filter(function (a) { return a.name !== name; });
+    this.schema.refresh();
+
+    return this.attrs.length !== count;
+};
+
+/**
+ * Adds a reference to the object. References to another object under a different name
+ * give the object name in 'type' and the link name in 'name'.
+ * @param {Object} props
+ * @param {String} props.name
+ * @param {String} [props.type] Name of the referenced object, 'Node' by default.
+ * @param {Number} [props.index]
+ * @param {Number} [props.min_count]
+ * @param {Number} [props.max_count]
+ * @param {String} [props.intent]
+ * @returns {Object} The reference definition.
+ */
+ObjectDef.prototype.addRef = function (props) {
+    if (!props || !props.name)
+        throw new Error("Failed to add reference to object '" + this.fullName() +
+            "', the name is not optional.");
+
+    if (this.refs.some(function (r) { return r.name === props.name; }))
+        throw new Error("Failed to add reference '" + props.name + "' to object '" +
+            this.fullName() + "', the reference is already defined.");
+
+    let ref = newPosition({
+        name: props.name,
+        index: props.index,
+        type: props.type || "Node",
+        size: props.size,
+        intent: props.intent,
+        min_count: props.min_count,
+        max_count: props.max_count
+    }, this.schema, this);
+
+    this.refs.push(ref);
+    this.schema.refresh();
+
+    return ref;
+};
+
+/**
+ * Removes the reference with the given name, returns false if the object does not
+ * define the reference.
+ * @param {String} name
+ * @returns {Boolean}
+ */
+ObjectDef.prototype.removeRef = function (name) {
+    let count = this.refs.length;
+    this.refs = this.refs.filter(function (r) { return r.name !== name; });
+    this.schema.refresh();
+
+    return this.refs.length !== count;
+};
+
+/**
+ * Resolves the 'InheritsFrom' object of this definition and builds the effective
+ * (flattened) list of attributes and references. Members defined by this object
+ * override inherited members with the same name.
+ * @param {Array.<ObjectDef>} [visiting] Objects being resolved, to detect cycles.
+ * @private
+ */
+ObjectDef.prototype._resolveBase = function (visiting) {
+    if (this.all_attrs)
+        return;
+
+    if (!visiting)
+        visiting = [];
+
+    if (visiting.indexOf(this) >= 0)
+        throw new Error("Circular inheritance detected for object '" + this.fullName() +
+            "': " + visiting.concat(this).map(function (o) {
+                return o.name;
+            }).join(" -> ") + ".");
+
+    let base_attrs = [];
+    let base_refs = [];
+
+    if (this.inherits_from) {
+        let base = this.schema.findObject(this.inherits_from, this.parent);
+        if (!base)
+            throw new Error("Failed to resolve the base object '" + this.inherits_from +
+                "' of '" + this.fullName() + "', the object is not defined.");
+
+        base._resolveBase(visiting.concat(this));
+        this.base = base;
+        base_attrs = base.all_attrs;
+        base_refs = base.all_refs;
+    }
+
+    this.all_attrs = flatten(base_attrs, this.attrs, this.fullName());
+    this.all_refs = flatten(base_refs, this.refs, this.fullName());
+
+
+    //
+
+    function flatten(inherited, own, origin) {
+        let res = inherited.filter(function (m) {
+            return !own.some(function (o) { return o.name === m.name; });
+        });
+
+        own.forEach(function (m) {
+            res.push(Object.assign({ origin: origin }, m));
+        });
+
+        return res;
+    }
+};
+
+/**
+ *
+ * @param {Schema} schema
+ * @param {String} name
+ * @param {String} type
+ * @param {Number} size
+ * @param {Number} min
+ * @param {Number} max
+ * @param {String} intent
+ * @param {Array} values
+ * @param {String} external_unit
+ * @param {Boolean} [enable_set_of]
+ * @returns {TypeDef}
+ * @constructor
+ */
+function TypeDef(schema, name, type, size, min, max, intent, values, external_unit,
+                 enable_set_of) {
+    if (!this)
+        return new TypeDef(
+            schema,
+            name,
+            type,
+            size,
+            min,
+            max,
+            intent,
+            values,
+            external_unit,
+            enable_set_of
+        );
+
+    let self = this;
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+
+    // Attributes
+    this.name = name;
+    this.type = type;
+    this.size = size;
+    this.min = min;
+    this.max = max;
+    this.intent = intent;
+    this.external_unit = external_unit;
+    this.enable_set_of = Boolean(enable_set_of);
+
+    this.values = [];
+    if (values.AllowedValue)
+        values.AllowedValue.forEach(function (v) {
+            self.values.push(setPosition({
+                value: v.$.Value,
+                meaning: v.$.Meaning,
+                intent: v.$.Intent
+            }, schema, v));
+        });
+
+    this.schema.types.push(this);
+    this.schema.type_map[name] = this;
+}
+
+TypeDef.parse = function (schema, type_def) {
+    return setPosition(new TypeDef(
+        schema,
+        type_def.$.Name,
+        type_def.$.Type,
+        xml.parse.number(type_def.$.Size),
+        xml.parse.number(type_def.$.MinValue),
+        xml.parse.number(type_def.$.MaxValue),
+        xml.parse.string(type_def.Intent),
+        xml.parse.list(type_def.AllowedValues),
+        type_def.$.ExternalUnit,
+        xml.parse.bool(type_def.$.EnableSetOf)
+    ), schema, type_def);
+};
+
+/**
+ * Returns the allowed values of this type, those of its base types when the type does
+ * not define any. Values are converted to the JS type of the type.
+ * @returns {Array.<{ value: *, meaning: String, intent: String }>}
+ */
+TypeDef.prototype.getAllowedValues = function () {
+    let self = this;
+    let js_type = schema_util.getJsType(this.schema.getNativeType(this));
+
+    return this.schema.getEffectiveType(this.name).values.map(function (v) {
+        return {
+            value: ("Number" === js_type) ? Number(v.value) : String(v.value),
+            meaning: v.meaning || String(v.value),
+            intent: v.intent
+        };
+    });
+};
+
+/**
+ * Returns true if the type, or one of its base types, defines allowed values.
+ * @returns {Boolean}
+ */
+TypeDef.prototype.isEnum = function () {
+    return this.getAllowedValues().length > 0;
+};
+
+/**
+ * Returns the meaning of the given allowed value, undefined if the value is not allowed.
+ * @param {*} value
+ * @returns {String|undefined}
+ */
+TypeDef.prototype.getMeaning = function (value) {
+    let v = this.getAllowedValues().find(function (v) {
+        return String(v.value) === String(value);
+    });
+
+    return v ? v.meaning : undefined;
+};
+
+/**
+ * Returns the allowed value with the given meaning, undefined if there is none.
+ * @param {String} meaning
+ * @returns {*}
+ */
+TypeDef.prototype.getValue = function (meaning) {
+    let v = this.getAllowedValues().find(function (v) { return v.meaning === meaning; });
+    return v ? v.value : undefined;
+};
+
+/**
+ * Returns the canonical form of 'val', either an allowed value or the meaning of one.
+ * Undefined is returned when 'val' is neither.
+ * @param {*} val
+ * @returns {*}
+ */
+TypeDef.prototype.toValue = function (val) {
+    let meaning = this.getMeaning(val);
+    return (undefined !== meaning) ? this.getValue(meaning) : this.getValue(val);
+};
+
+/**
+ * Iterates over the allowed values of the type, see 'getAllowedValues'.
+ */
+TypeDef.prototype[Symbol.iterator] = function () {
+    return this.getAllowedValues()[Symbol.iterator]();
+};
+
+/**
+ * Returns a frozen object mapping the meaning of every allowed value to the value, for
+ * use in application code, e.g. TBuySell.Buy.
+ * @returns {Object}
+ */
+TypeDef.prototype.toEnum = function () {
+    let res = {};
+    this.getAllowedValues().forEach(function (v) {
+        res[v.meaning] = v.value;
+    });
+
+    return Object.freeze(res);
+};
+
+
+/**
+ * Adds an allowed value to the type. Throws if the value is already allowed.
+ * @param {*} value
+ * @param {String} meaning
+ * @param {String} [intent]
+ * @returns {Object} The allowed value definition.
+ */
+TypeDef.prototype.addValue = function (value, meaning, intent) {
+    if (this.values.some(function (v) { return String(v.value) === String(value); }))
+        throw new Error("Failed to add value '" + value + "' to type '" + this.name +
+            "', the value is already allowed.");
+
+    let res = newPosition({ value: String(value), meaning: meaning, intent: intent },
+        this.schema, this);
+
+    this.values.push(res);
+    return res;
+};
+
+/**
+ * Removes the given allowed value, returns false if the value is not allowed.
+ * @param {*} value
+ * @returns {Boolean}
+ */
+TypeDef.prototype.removeValue = function (value) {
+    let count = this.values.length;
+    this.values = this.values.filter(function (v) {
+        return String(v.value) !== String(value);
+    });
+
+    return this.values.length !== count;
+};
+
+
+/**
+ *
+ * @param {Schema} schema
+ * @param {GroupDef} parent
+ * @param {String} name
+ * @param {Boolean} is_interface
+ * @param {String} intent
+ * @param {String} [interface_guid]
+ * @param {String} [parent_interface]
+ * @returns {GroupDef}
  * @constructor
  */
-function ObjectDef(schema, parent, name, msg_type, intent, attrs, refs, cpp_obj_type) {
+function GroupDef(schema, parent, name, is_interface, intent, interface_guid,
+                  parent_interface) {
     if (!this)
-        return new ObjectDef(schema, parent, name, msg_type, intent, attrs,
-            refs, cpp_obj_type);
+        return new GroupDef(schema, parent, name, is_interface, intent, interface_guid,
+            parent_interface);
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'parent', { value: parent, enumerable: false });
+
+    // Attributes
+    this.name = parent ? parent.name + "::" + name : name;
+    this.is_interface = xml.parse.bool(is_interface);
+    this.intent = (intent) ? intent.toString() : "<Missing>";
+    this.interface_guid = interface_guid || null;
+    this.parent_interface = parent_interface || null;
+
+    this.schema.groups.push(this);
+    schema.group_map[this.name] = this;
+    schema.member_index = null;
+}
+
+GroupDef.parse = function (schema, parent, group_def) {
+    let group = GroupDef.define(schema, parent, group_def);
+    let groups = xml.parse.list(group_def.Groups);
+    let objects = xml.parse.list(group_def.ObjectTypes);
+
+    if (groups.Group)
+        groups.Group.forEach(function (g) {
+            if (g.$ && g.$.Name)
+                GroupDef.parse(schema, group, g);
+        });
+
+    if (objects.ObjectDef)
+        objects.ObjectDef.forEach(function (o) {
+            if (o.$ && o.$.Name)
+                ObjectDef.parse(schema, group, o);
+        });
+
+    return group;
+};
+
+/**
+ * Creates the group defined by the given element, without its nested groups and
+ * objects. Groups defined by more than one document are merged, the existing group is
+ * returned when already defined.
+ * @param {Schema} schema
+ * @param {GroupDef} parent
+ * @param {Object} group_def
+ * @returns {GroupDef}
+ */
+GroupDef.define = function (schema, parent, group_def) {
+    let group = schema.group_map[(parent ? parent.name + "::" : "") + group_def.$.Name];
+    if (group)
+        return group;
+
+    group = new GroupDef(
+        schema,
+        parent,
+        group_def.$.Name,
+        group_def.$.IsInterface,
+        group_def.Intent,
+        group_def.$.InterfaceGUID,
+        group_def.$.ParentInterface
+    );
+
+    return setPosition(group, schema, group_def);
+};
+
+/**
+ * Returns the full name of the group, as in 'Orders::Lists'.
+ * @returns {String}
+ */
+GroupDef.prototype.fullName = function () {
+    return this.name;
+};
+
+/**
+ * Returns the name of the group without the names of its parents, as in 'Lists'.
+ * @returns {String}
+ */
+GroupDef.prototype.getShortName = function () {
+    return this.parent ? this.name.substr(this.parent.name.length + 2) : this.name;
+};
+
+/**
+ * Returns the full name of the group, the path of the objects it contains.
+ * @returns {String}
+ */
+GroupDef.prototype.getPath = function () {
+    return this.name;
+};
+
+
+/**
+ * Incremental reader of a schema document. The document is fed through 'write' as it
+ * is read, definitions are added to the schema, and announced by the 'group', 'type'
+ * and 'object' events, as soon as their element is complete. Only the elements the
+ * definitions are parsed from are built, as 'xml2js' would build them, with the line of
+ * every definition element in LINE_ATTR. The sections holding the definitions are not
+ * built, only whether they are empty is kept, for the layout of the document.
+ * @param {Schema} schema
+ * @param {String} [file_name]
+ * @param {Number} [total] Size of the document in bytes.
+ * @param {Function} [load_include] See 'Schema._openDocument'.
+ * @returns {DocumentReader}
+ * @constructor
+ * @private
+ */
+function DocumentReader(schema, file_name, total, load_include) {
+    let self = this;
+    let parser = sax.parser(true, { trim: false, normalize: false, xmlns: false });
+
+    this.schema = schema;
+    this.file_name = file_name || null;
+    this.source = sourceName([ file_name ]);
+    this.total = total || 0;
+    this.bytes = 0;
+    this.parser = parser;
+    this.decoder = new StringDecoder("utf8");
+    this.digest = crypto.createHash("sha1");
+    this.started = false;
+    this.crlf = false;
+    this.last_char = "";
+    this.stack = [];
+    this.includes = [];
+    this.load_include = load_include || null;
+    // Included file being loaded, and the parser events received meanwhile.
+    this.pending = null;
+    this.queue = null;
+    this.first_object = null;
+    this.first_type = null;
+    this.done = false;
+    this.parent_file = schema.current_file;
+    this.source_info = null;
+
+    if (file_name) {
+        this.source_info = sourceInfo(file_name);
+        schema.sources.push(this.source_info);
+    }
+
+    schema.current_file = this.file_name;
+
+    parser.onopentag = function (tag) {
+        if (POSITION_TAGS.indexOf(tag.name) >= 0)
+            tag.attributes[LINE_ATTR] = String(parser.line + 1);
+
+        self._dispatch(self._open, tag);
+    };
+
+    parser.onclosetag = function () {
+        self._dispatch(self._close);
+    };
+
+    parser.ontext = parser.oncdata = function (text) {
+        self._dispatch(self._text, text);
+    };
+
+    parser.onopencdata = function () {
+        self._dispatch(self._cdata);
+    };
+
+    parser.onerror = function (err) {
+        throw new Error("Failed to parse " + self.source + ". " + err.message);
+    };
+}
+
+/**
+ * Parses the next chunk of the document.
+ * @param {Buffer} chunk
+ */
+DocumentReader.prototype.write = function (chunk) {
+    try {
+        let text = this.decoder.write(chunk);
+        if (!this.started && text) {
+            this.started = true;
+            if (0xFEFF === text.charCodeAt(0))
+                text = text.slice(1);
+        }
+
+        this.bytes += chunk.length;
+        this.digest.update(chunk);
+        this._scanEol(text);
+        this.parser.write(text);
+    }
+    catch (e) {
+        this.abort();
+        throw e;
+    }
+
+    this.schema.emit("progress", {
+        file_name: this.file_name,
+        bytes: this.bytes,
+        total: Math.max(this.total, this.bytes)
+    });
+};
+
+/**
+ * Returns true if the reader waits for an included file, see 'drain'.
+ * @returns {Boolean}
+ */
+DocumentReader.prototype.isWaiting = function () {
+    return null !== this.queue;
+};
+
+/**
+ * Loads the included files the reader waits for, then parses the part of the document
+ * read meanwhile. Only needed when the included files are loaded asynchronously.
+ * @param {Function} cb Called with the error, if any.
+ */
+DocumentReader.prototype.drain = function (cb) {
+    let self = this;
+
+    if (!this.isWaiting())
+        return cb(null);
+
+    this.load_include(this.pending, function (err) {
+        if (err) {
+            self.abort();
+            return cb(err);
+        }
+
+        let queue = self.queue;
+        self.queue = null;
+        self.pending = null;
+
+        try {
+            let i = 0;
+            while (i < queue.length && !self.isWaiting()) {
+                let event = queue[i++];
+                event[0].call(self, event[1]);
+            }
+
+            // Another include, the rest of the events wait for it.
+            if (self.isWaiting())
+                self.queue = queue.slice(i);
+        }
+        catch (e) {
+            self.abort();
+            return cb(e);
+        }
+
+        self.drain(cb);
+    });
+};
+
+/**
+ * Parses the end of the document, throws if the document is not complete.
+ */
+DocumentReader.prototype.close = function () {
+    try {
+        let text = this.decoder.end();
+        this._scanEol(text);
+        this.parser.write(text).close();
+
+        if (!this.done)
+            throw new Error("The " + this.source + " is not valid, the " +
+                "'CrabelObjectSchema' element is missing.");
+
+        if (null === this.first_object) {
+            this.first_object = this.schema.objects.length;
+            this.first_type = this.schema.types.length;
+        }
+
+        checkDuplicates(this.schema, this.source, this.first_object, this.first_type);
+
+        if (this.source_info)
+            this.source_info.hash = this.digest.digest("hex");
+    }
+    finally {
+        this.abort();
+    }
+};
+
+/**
+ * Stops reading the document.
+ */
+DocumentReader.prototype.abort = function () {
+    if (this.schema.current_file === this.file_name)
+        this.schema.current_file = this.parent_file;
+};
+
+/**
+ * Records the line endings of the next part of the document, for the XML writer. A line
+ * ending split between two parts is seen through the last character of the previous one.
+ * @param {String} text
+ * @private
+ */
+DocumentReader.prototype._scanEol = function (text) {
+    if (!text)
+        return;
+
+    if (!this.crlf)
+        this.crlf = text.indexOf("\r\n") >= 0 ||
+            ("\r" === this.last_char && "\n" === text.charAt(0));
+
+    this.last_char = text.charAt(text.length - 1);
+};
+
+/**
+ * Handles a parser event, or queues it while an included file is loaded, see 'drain'.
+ * @param {Function} fn Handler of the event, one of the methods below.
+ * @param {*} [arg]
+ * @private
+ */
+DocumentReader.prototype._dispatch = function (fn, arg) {
+    if (null !== this.queue)
+        return this.queue.push([ fn, arg ]);
+
+    fn.call(this, arg);
+};
+
+/**
+ * Handles the start of an element: tells what it holds from where it is, and starts its
+ * node if it is kept.
+ * @param {Object} tag The sax tag, with its name and attributes.
+ * @private
+ */
+DocumentReader.prototype._open = function (tag) {
+    let parent = this.stack[this.stack.length - 1];
+    let grand = this.stack[this.stack.length - 2];
+    let entry = { name: tag.name, node: null, kind: null, filled: false };
+
+    if (hasKeys(tag.attributes))
+        entry.filled = true;
+
+    // Other documents are still parsed, so that XML errors are reported first.
+    if ((!parent && "CrabelObjectSchema" !== tag.name) || (parent && parent.foreign)) {
+        entry.foreign = true;
+        return this.stack.push(entry);
+    }
+
+    if (!parent) {
+        entry.kind = "root";
+        this.schema.parseRoot(tag.attributes);
+    }
+    else if (grand && "Group" === tag.name && "Groups" === parent.name &&
+        ("root" === grand.kind || "group" === grand.kind)) {
+        entry.kind = "group";
+        entry.parent_group = ("group" === grand.kind) ? grand : null;
+        entry.skip = Boolean(entry.parent_group) &&
+            (entry.parent_group.skip || !tag.attributes.Name);
+    }
+    else if (grand && "ObjectDef" === tag.name && "ObjectTypes" === parent.name &&
+        "group" === grand.kind) {
+        entry.kind = "object";
+        entry.group = grand;
+    }
+    else if (grand && "root" === grand.kind && "Attribute" === tag.name &&
+        "AttributeTypes" === parent.name)
+        entry.kind = "type";
+    else if (grand && "root" === grand.kind && "Include" === tag.name &&
+        "Includes" === parent.name)
+        entry.kind = "include";
+    else if ("root" === parent.kind &&
+        ("Groups" === tag.name || "AttributeTypes" === tag.name))
+        entry.kind = "section";
+    else if ("group" === parent.kind &&
+        ("Groups" === tag.name || "ObjectTypes" === tag.name)) {
+        entry.kind = "section";
+        if (!parent.skip)
+            this._defineGroup(parent);
+    }
+
+    // Elements of the sections, other than definitions, are not kept either.
+    if ("section" !== entry.kind && (parent === undefined || parent.node || entry.kind)) {
+        entry.node = { _: "" };
+        if (entry.filled)
+            entry.node.$ = tag.attributes;
+    }
+
+    // Definitions of included documents are parsed before those of this document.
+    if (parent && "root" === parent.kind && null === this.first_object &&
+        "section" === entry.kind) {
+        this.first_object = this.schema.objects.length;
+        this.first_type = this.schema.types.length;
+    }
+
+    this.stack.push(entry);
+};
+
+/**
+ * Adds the text to the current element, for the elements that are not kept, only
+ * whether it has content is recorded.
+ * @param {String} text
+ * @private
+ */
+DocumentReader.prototype._text = function (text) {
+    let top = this.stack[this.stack.length - 1];
+    if (!top)
+        return;
+
+    if (top.node)
+        top.node._ += text;
+    else if (!top.filled && /\S/.test(text))
+        top.filled = true;
+};
+
+/**
+ * Marks the current element as holding a CDATA section, which is kept even if blank.
+ * @private
+ */
+DocumentReader.prototype._cdata = function () {
+    let top = this.stack[this.stack.length - 1];
+    if (top)
+        top.cdata = top.filled = true;
+};
+
+/**
+ * Handles the end of an element: completes its node as 'xml2js' would, then defines the
+ * group, object or type it holds, or adds it to its parent, and loads the included file.
+ * @private
+ */
+DocumentReader.prototype._close = function () {
+    let entry = this.stack.pop();
+    let parent = this.stack[this.stack.length - 1];
+    let schema = this.schema;
+    let obj = entry.node;
+    let empty_str;
+
+    if (entry.foreign)
+        return;
+
+    if (parent)
+        parent.filled = true;
+
+    if (!obj) {
+        if ("section" === entry.kind)
+            addChild(parent.node, entry.name, entry.filled ? {} : "");
+
+        return;
+    }
+
+    if (/^\s*$/.test(obj._) && !entry.cdata) {
+        empty_str = obj._;
+        delete obj._;
+    }
+    else if (Object.keys(obj).length === 1)
+        obj = obj._;
+
+    if (typeof obj === "object" && Object.keys(obj).length === 0)
+        obj = entry.filled ? {} : empty_str;
+
+    switch (entry.kind) {
+        case "root":
+            return this._closeRoot(obj);
+
+        case "group":
+            if (!entry.skip) {
+                let group = this._defineGroup(entry);
+                if (entry.created)
+                    Object.assign(group.xml_elem, xmlElement(obj));
+
+                schema.emit("group", group);
+            }
+
+            return;
+
+        case "object":
+            if (!entry.group.skip && obj.$ && obj.$.Name) {
+                let group = this._defineGroup(entry.group);
+                schema.emit("object", ObjectDef.parse(schema, group, obj));
+            }
+
+            return;
+
+        case "type":
+            schema.emit("type", TypeDef.parse(schema, obj));
+            return;
+    }
+
+    addChild(parent.node, entry.name, obj);
+
+    if ("include" === entry.kind) {
+        let inc_name = path.join(path.dirname(this.file_name || "."), obj.$.File);
+        this.includes.push(obj.$.File);
+
+        if (!this.load_include)
+            return schema._parseDocument(readFileSync(inc_name), inc_name);
+
+        // The rest of the document is parsed once the included file is, see 'drain'.
+        this.pending = inc_name;
+        this.queue = [];
+    }
+};
+
+/**
+ * Completes the document: records its layout and announces it by the 'loaded' event.
+ * @param {Object|String} obj Node of the root element.
+ * @private
+ */
+DocumentReader.prototype._closeRoot = function (obj) {
+    // Layout of the document, for the XML writer.
+    let root = xmlElement(obj || {});
+    root.eol = this.crlf ? "\r\n" : "\n";
+    root.final_eol = "\n" === this.last_char;
+    root.includes = this.includes;
+    this.schema.xml_roots[this.file_name || ""] = root;
+
+    this.done = true;
+    this.schema.emit("loaded", obj);
+};
+
+/**
+ * Returns the group of the given element, defining it, and its parent groups, the first
+ * time it is needed.
+ * @param {Object} entry Stack entry of the 'Group' element.
+ * @returns {GroupDef}
+ * @private
+ */
+DocumentReader.prototype._defineGroup = function (entry) {
+    if (!entry.def) {
+        let parent = entry.parent_group ? this._defineGroup(entry.parent_group) : null;
+        let count = this.schema.groups.length;
+
+        entry.def = GroupDef.define(this.schema, parent, entry.node);
+        entry.created = this.schema.groups.length > count;
+    }
+
+    return entry.def;
+};
 
-    if (schema.objects[name])
-        throw new Error("Failed to create object '" + name + "', this object has " +
-            "already been defined.");
+function addChild(node, name, child) {
+    if (!(name in node))
+        node[name] = [];
 
-    let self = this;
+    node[name].push(child);
+}
 
-    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
-    Object.defineProperty(this, 'parent', { value: parent, enumerable: false });
+function hasKeys(obj) {
+    for (let k in obj) {
+        if (Object.prototype.hasOwnProperty.call(obj, k))
+            return true;
+    }
 
-    if (parent)
-        this.path = parent.getPath();
+    return false;
+}
 
-    // Attributes
-    this.name = name;
-    this.msg_type = msg_type;
-    this.cpp_obj_type = cpp_obj_type;
-    this.intent = intent;
+function readFileSync(file_name) {
+    if (!fs.existsSync(file_name))
+        throw missingFile(file_name);
 
-    this.attrs = [];
-    this.refs = [];
+    try {
+        return fs.readFileSync(file_name);
+    }
+    catch (err) {
+        throw readError(file_name, err);
+    }
+}
 
-    if (attrs.Attribute)
-        attrs.Attribute.forEach(function (a) {
-            self.attrs.push({
-                name: a.$.Name,
-                index: xml.parse.number(a.$.Index),
-                type: a.$.Type,
-                size: a.$.Size,
-                min_value: xml.parse.number(a.$.MinValue),
-                max_value: xml.parse.number(a.$.MaxValue),
-                optional: xml.parse.bool(a.$.Optional),
-                intent: xml.parse.string(a.Intent)
-            });
-        });
+function hash(data) {
+    return crypto.createHash("sha1").update(data).digest("hex");
+}
 
-    if (refs.Object)
-        refs.Object.forEach(function (o) {
-            let o_name = o.$.Name;
-            let o_type = o.$.Type;
+function sourceInfo(file_name, digest) {
+    let mtime = fs.existsSync(file_name) ? fs.statSync(file_name).mtime.getTime() : null;
+    return { file_name: file_name, mtime: mtime, hash: digest || null };
+}
 
-            if (o.$.LinkName) {
-                o_name = o.$.LinkName;
-                o_type = o.$.Name;
-            }
+/**
+ * Restores the (non-enumerable) source position and XML layout of a definition from
+ * its JSON form.
+ * @param {Object} def
+ * @param {Object} json
+ * @returns {Object}
+ */
+function restorePosition(def, json) {
+    Object.defineProperty(def, 'position', {
+        value: json.position || { file: null, line: null },
+        enumerable: false
+    });
 
-            self.refs.push({
-                name: o_name,
-                index: xml.parse.number(o.$.Index),
-                type: o_type,
-                size: o.$.size,
-                intent: o.$.Intent,
-                min_count: xml.parse.number(o.$.MinCount),
-                max_count: xml.parse.number(o.$.MaxCount)
-            });
-        });
+    Object.defineProperty(def, 'xml_elem', {
+        value: json.xml_elem || null,
+        enumerable: false
+    });
 
-    this.schema.objects.push(this);
-    this.schema.object_map[this.fullName()] = this;
+    return def;
 }
 
-ObjectDef.parse = function (schema, parent, obj_def) {
-    return new ObjectDef(
-        schema,
-        parent,
-        obj_def.$.Name,
-        obj_def.$.MessageType,
-        xml.parse.string(obj_def.Intent),
-        xml.parse.list(obj_def.Attributes),
-        xml.parse.list(obj_def.References),
-        Number(obj_def.$.CPPObjectType || 1)
-    );
-};
+function sourceName(file_names) {
+    file_names = file_names.filter(function (f) { return f; });
+    if (file_names.length === 0)
+        return "schema document";
 
-ObjectDef.prototype.fullName = function () {
-    return this.path + "::" + this.name;
-};
+    return "schema file" + (file_names.length > 1 ? "s" : "") + " '" +
+        file_names.join("', '") + "'";
+}
 
 /**
- *
- * @param {Schema} schema
- * @param {String} name
- * @param {String} type
- * @param {Number} size
- * @param {Number} min
- * @param {Number} max
- * @param {String} intent
- * @param {Array} values
- * @param {String} external_unit
- * @returns {TypeDef}
- * @constructor
+ * Throws if an object or type parsed from the document 'source', starting at the given
+ * indexes, was already defined by a previous document.
  */
-function TypeDef(schema, name, type, size, min, max, intent, values, external_unit) {
-    if (!this)
-        return new TypeDef(
-            schema,
-            name,
-            type,
-            size,
-            min,
-            max,
-            intent,
-            values,
-            external_unit
-        );
+function checkDuplicates(schema, source, first_object, first_type) {
+    check(schema.objects, first_object, "object", function (o) { return o.fullName(); });
+    check(schema.types, first_type, "type", function (t) { return t.name; });
 
-    let self = this;
 
-    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    //
 
-    // Attributes
-    this.name = name;
-    this.type = type;
-    this.size = size;
-    this.min = min;
-    this.max = max;
-    this.intent = intent;
-    this.external_unit = external_unit;
+    function check(list, first, kind, name_fn) {
+        let known = new Map();
+        list.slice(0, first).forEach(function (d) {
+            if (!known.has(name_fn(d)))
+                known.set(name_fn(d), d);
+        });
 
-    this.values = [];
-    if (values.AllowedValue)
-        values.AllowedValue.forEach(function (v) {
-            self.values.push({
-                value: v.$.Value,
-                meaning: v.$.Meaning,
-                intent: v.$.Intent
-            });
+        list.slice(first).forEach(function (d) {
+            let prev = known.get(name_fn(d));
+            if (!prev)
+                return;
+
+            let pos = prev.position || {};
+            throw new Error("Failed to merge the " + source + ", the " + kind + " '" +
+                name_fn(d) + "' is already defined" + (pos.file ? " in '" + pos.file +
+                "'" : "") + (pos.line ? " at line " + pos.line : "") + ".");
         });
+    }
+}
 
-    this.schema.types.push(this);
-    this.schema.type_map[name] = this;
+function missingFile(file_name) {
+    return new Error("Failed to read schema file '" + file_name +
+        "'. The file does not exist.");
 }
 
-TypeDef.parse = function (schema, type_def) {
-    return new TypeDef(
-        schema,
-        type_def.$.Name,
-        type_def.$.Type,
-        xml.parse.number(type_def.$.Size),
-        xml.parse.number(type_def.$.MinValue),
-        xml.parse.number(type_def.$.MaxValue),
-        xml.parse.string(type_def.Intent),
-        xml.parse.list(type_def.AllowedValues),
-        type_def.$.ExternalUnit
-    );
-};
+function readError(file_name, err) {
+    return new Error("Failed to read schema file '" + file_name + "'. " + err.message);
+}
+
+/**
+ * Attaches the (non-enumerable) source position of the XML element 'elem' to the
+ * given definition and returns it. The original attributes and the order of the child
+ * elements are kept as well, in 'xml_elem', for the XML writer.
+ * @param {Object} def
+ * @param {Schema} schema
+ * @param {Object} elem
+ * @returns {Object}
+ */
+function setPosition(def, schema, elem) {
+    Object.defineProperty(def, 'position', {
+        value: {
+            file: schema.current_file,
+            line: xml.parse.number(elem && elem.$ && elem.$[LINE_ATTR], null)
+        },
+        enumerable: false
+    });
+
+    Object.defineProperty(def, 'xml_elem', {
+        value: elem ? xmlElement(elem) : null,
+        enumerable: false
+    });
 
+    return def;
+}
 
 /**
- *
+ * Attaches the position of a definition created through the editing functions, it is
+ * attributed to the file of its owner, or to the main file of the schema.
+ * @param {Object} def
  * @param {Schema} schema
- * @param {GroupDef} parent
- * @param {String} name
- * @param {Boolean} is_interface
- * @param {String} intent
- * @returns {GroupDef}
- * @constructor
+ * @param {Object} [owner]
+ * @returns {Object}
  */
-function GroupDef(schema, parent, name, is_interface, intent) {
-    if (!this)
-        return new GroupDef(schema, parent, name, is_interface);
+function newPosition(def, schema, owner) {
+    let file = (owner && owner.position) ? owner.position.file : schema.file_name;
 
-    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
-    Object.defineProperty(this, 'parent', { value: parent, enumerable: false });
+    Object.defineProperty(def, 'position', {
+        value: { file: file, line: null },
+        enumerable: false
+    });
 
-    // Attributes
-    this.name = parent ? parent.name + "::" + name : name;
-    this.is_interface = is_interface;
-    this.intent = (intent) ? intent.toString() : "<Missing>";
+    Object.defineProperty(def, 'xml_elem', { value: null, enumerable: false });
 
-    this.schema.groups.push(this);
-    schema.group_map[this.name] = this;
+    return def;
 }
 
-GroupDef.parse = function (schema, parent, group_def) {
-    let group = new GroupDef(
-        schema,
-        parent,
-        group_def.$.Name,
-        group_def.$.IsInterface,
-        group_def.Intent
-    );
-
-    let groups = xml.parse.list(group_def.Groups);
-    let objects = xml.parse.list(group_def.ObjectTypes);
+function xmlElement(elem) {
+    let attrs = Object.assign({}, elem.$);
+    delete attrs[LINE_ATTR];
 
-    if (groups.Group)
-        groups.Group.forEach(function (g) {
-            if (g.$ && g.$.Name)
-                GroupDef.parse(schema, group, g);
-        });
+    let children = Object.keys(elem).filter(function (k) {
+        return k !== "$" && k !== "_";
+    });
 
-    if (objects.ObjectDef)
-        objects.ObjectDef.forEach(function (o) {
-            if (o.$ && o.$.Name)
-                ObjectDef.parse(schema, group, o);
-        });
+    return {
+        attrs: attrs,
+        children: children,
+        empty: children.filter(function (k) {
+            return Array.isArray(elem[k]) && elem[k].length === 1 && elem[k][0] === "";
+        })
+    };
+}
 
-    return group;
-};
+function matcher(filter) {
+    if (typeof filter === "function")
+        return filter;
 
-GroupDef.prototype.getPath = function () {
-    if (!this.parent)
-        return this.name;
+    if (!filter || typeof filter !== "object")
+        throw new Error("Invalid filter, expected a predicate function or an object.");
 
-    return this.parent.getPath() + "::" + this.name;
-};
+    let keys = Object.keys(filter);
+    return function (def) {
+        return keys.every(function (k) {
+            return def[k] === filter[k];
+        });
+    };
+}
 
 
 let schema_util = {
@@ -450,6 +2858,230 @@ let schema_util = {
         return type.toString();
     },
 
+    /**
+     * Returns the name of the object referenced by 'ref'. References without a
+     * 'LinkName' are named after the object they reference and have type 'Node'.
+     * @param {Object} ref
+     * @returns {String}
+     */
+    getRefTypeName: function (ref) {
+        return ref.type === "Node" ? ref.name : ref.type;
+    },
+
+    /**
+     * Returns the descriptor of the given attribute, as found in the '_attrs' of object
+     * classes. The type of the attribute is resolved to its JS and native types, an
+     * 'unknown-type' warning is emitted by the schema if it cannot be.
+     * @param {Schema} schema
+     * @param {Object} attr
+     * @returns {Object}
+     */
+    attrDescriptor: function (schema, attr) {
+        let t;
+        try {
+            t = schema.getEffectiveType(attr);
+        }
+        catch (e) {
+            schema.emit("warning", new validation.Diagnostic(validation.Severity.Warning,
+                "unknown-type", "Failed to resolve the type of attribute '" + attr.name +
+                "'. " + e.message, attr));
+            t = { native_type: attr.type };
+        }
+
+        let res = {
+            type: t.js_type,
+            schema_type: t.native_type,
+            type_name: t.type_name !== t.native_type ? t.type_name : undefined,
+            size: t.size,
+            min_value: t.min_value,
+            max_value: t.max_value
+        };
+
+        if (attr.optional)
+            res.optional = true;
+
+        if (t.external_unit && units.registry.has(t.external_unit))
+            res.unit = t.external_unit;
+
+        let type_def = schema.getType(attr.type);
+        if (type_def && t.values && t.values.length > 0)
+            res.enum = type_def.toEnum();
+
+        return res;
+    },
+
+    /**
+     * Returns true if the reference can hold more than one object, references without a
+     * MaxCount are unbounded.
+     * @param {Object} ref
+     * @returns {Boolean}
+     */
+    isContainer: function (ref) {
+        return undefined === ref.max_count || ref.max_count > 1;
+    },
+
+    /**
+     * Returns the default value of a non-optional attribute of the given JS type, the
+     * first allowed value for enumerated attributes.
+     * @param {Object} attr
+     * @returns {*}
+     */
+    defaultValue: function (attr) {
+        if (attr.optional)
+            return null;
+
+        let meanings = attr.enum ? Object.keys(attr.enum) : [];
+        if (meanings.length > 0)
+            return this.convertAttr(attr, attr.enum[meanings[0]]);
+
+        if ("Number" === attr.type)
+            return 0;
+
+        if ("Boolean" === attr.type)
+            return false;
+
+        if ("String" === attr.type)
+            return "";
+
+        return null;
+    },
+
+    /**
+     * Converts 'val' to the JS type of the attribute. Missing values are replaced with
+     * the default value of the attribute, falsy values such as 0 and false are kept.
+     * Enumerated attributes accept the meaning of an allowed value as well.
+     * @param {Object} attr
+     * @param {*} val
+     * @returns {*}
+     */
+    convertAttr: function (attr, val) {
+        if (undefined === val || null === val)
+            return this.defaultValue(attr);
+
+        val = common.enumValue(attr, val);
+
+        if ("Number" === attr.type) {
+            if (isNaN(val))
+                throw new Error("Invalid data value for numeric property, value '" +
+                    val + "' is not a number.");
+
+            return Number(val);
+        }
+
+        if ("Boolean" === attr.type)
+            return xml.parse.bool(val);
+
+        if ("String" === attr.type)
+            return val.toString();
+
+        return val;
+    },
+
+    /**
+     * Formats the value of an attribute for display, in the external unit of its type
+     * when it has one, as in '250 ms'.
+     * @param {Object} attr
+     * @param {*} val
+     * @returns {String}
+     */
+    displayValue: function (attr, val) {
+        return units.registry.format(val, attr && attr.unit);
+    },
+
+    /**
+     * Creates the referenced object(s) for the given reference descriptor, an array is
+     * returned for containers.
+     * @param {{ ref_class: Function, is_container: Boolean }} ref
+     * @param {*} val
+     * @returns {Object|Array|null}
+     */
+    convertRef: function (ref, val) {
+        let ref_class = ref.ref_class;
+        let create = function (v) {
+            return ref_class ? new ref_class(v) : v;
+        };
+
+        if (ref.is_container) {
+            if (undefined === val || null === val)
+                return [];
+
+            return (Array.isArray(val) ? val : [ val ]).map(create);
+        }
+
+        if (undefined === val || null === val)
+            return null;
+
+        return create(val);
+    },
+
+    /**
+     * Adds the conversion helpers to the given object class: 'toObj', 'toXml', 'toJson'
+     * and 'toBinary' to its prototype and 'fromXml', 'fromJson' and 'fromBinary' to
+     * the class itself.
+     * @param {ObjClass} obj_class
+     */
+    addConverters: function (obj_class) {
+        let converters = module.exports;
+
+        /**
+         * Returns a plain object with the attributes and references of this instance,
+         * missing (null) values are left out.
+         * @returns {Object}
+         */
+        obj_class.prototype.toObj = function () {
+            let self = this;
+            let res = {};
+
+            Object.keys(obj_class._attrs).forEach(function (k) {
+                if (undefined !== self[k] && null !== self[k])
+                    res[k] = self[k];
+            });
+
+            Object.keys(obj_class._refs).forEach(function (k) {
+                let val = self[k];
+                if (Array.isArray(val))
+                    res[k] = val.map(plain);
+                else if (undefined !== val && null !== val)
+                    res[k] = plain(val);
+            });
+
+            return res;
+        };
+
+        obj_class.prototype.toXml = function () {
+            let doc = {};
+            doc[obj_class._name] = this.toObj();
+            return converters.xml.fromObj(doc, obj_class);
+        };
+
+        obj_class.prototype.toJson = function () {
+            return converters.json.fromObj(this.toObj(), obj_class);
+        };
+
+        obj_class.prototype.toBinary = function () {
+            return converters.struct.fromObj(this.toObj(), obj_class);
+        };
+
+        obj_class.fromXml = function (xml_str) {
+            return new obj_class(converters.xml.toObj(xml_str, obj_class)[obj_class._name]);
+        };
+
+        obj_class.fromJson = function (json) {
+            return new obj_class(converters.json.toObj(json, obj_class));
+        };
+
+        obj_class.fromBinary = function (buf) {
+            return new obj_class(converters.struct.toObj(buf, obj_class));
+        };
+
+
+        //
+
+        function plain(val) {
+            return (val && typeof val.toObj === "function") ? val.toObj() : val;
+        }
+    },
+
     isNativeType: function (type) {
         type = this.getTypeName(type);
 
@@ -526,6 +3158,7 @@ const native_types = {
 function fixedString(optional, size) {
     let res = {
         type: native_types.Alpha,
+        schema_type: "Alpha",
         size: size
     };
 
@@ -536,21 +3169,21 @@ function fixedString(optional, size) {
 }
 
 const common_types = {
-    int8:   { type: native_types.Integer, size: 1 },
-    int16:  { type: native_types.Integer, size: 2 },
-    int32:  { type: native_types.Integer, size: 4 },
-    int64:  { type: native_types.Integer, size: 8 },
+    int8:   { type: native_types.Integer, schema_type: "Integer", size: 1 },
+    int16:  { type: native_types.Integer, schema_type: "Integer", size: 2 },
+    int32:  { type: native_types.Integer, schema_type: "Integer", size: 4 },
+    int64:  { type: native_types.Integer, schema_type: "Integer", size: 8 },
     //
-    uint8:  { type: native_types.Integer, min_value: 0, size: 1 },
-    uint16: { type: native_types.Integer, min_value: 0, size: 2 },
-    uint32: { type: native_types.Integer, min_value: 0, size: 4 },
-    uint64: { type: native_types.Integer, min_value: 0, size: 8 },
+    uint8:  { type: native_types.Integer, schema_type: "Integer", min_value: 0, size: 1 },
+    uint16: { type: native_types.Integer, schema_type: "Integer", min_value: 0, size: 2 },
+    uint32: { type: native_types.Integer, schema_type: "Integer", min_value: 0, size: 4 },
+    uint64: { type: native_types.Integer, schema_type: "Integer", min_value: 0, size: 8 },
     //
-    float:  { type: native_types.Numeric, size: 4 },
-    double: { type: native_types.Numeric, size: 8 },
+    float:  { type: native_types.Numeric, schema_type: "Numeric", size: 4 },
+    double: { type: native_types.Numeric, schema_type: "Numeric", size: 8 },
     //
-    bool:   { type: native_types.Boolean },
-    string: { type: native_types.Alpha },
+    bool:   { type: native_types.Boolean, schema_type: "Boolean" },
+    string: { type: native_types.Alpha, schema_type: "Alpha" },
     fixedString: fixedString.bind(null, false),
     //
     optional: {
@@ -573,6 +3206,16 @@ module.exports = {
     ObjectDef: ObjectDef,
     TypeDef: TypeDef,
     GroupDef: GroupDef,
+    MessageGraph: messages.MessageGraph,
+    MessageType: messages.MessageType,
+    InterfaceMap: interfaces.InterfaceMap,
+    Interface: interfaces.Interface,
+    CrossReference: xref.CrossReference,
+    UsageKind: xref.UsageKind,
+    SchemaDiff: schema_diff.SchemaDiff,
+    UnitRegistry: units.UnitRegistry,
+    //
+    units: units.registry,
     //
     xml: require("./converters/xml"),
     json: require("./converters/json"),
@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * Runtime validation of message objects against their ObjectDef. Objects are plain
+ * objects, or object class instances, keyed by attribute and reference name.
+ * @module schema/instance
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const schema_util = require("./index").util;
+
+
+/**
+ * @typedef {Object} ObjectError
+ * @property {String} path JSON path of the offending value, e.g.
+ * 'TradeToOrder[1].OrderID'. Empty when the problem is the object itself.
+ * @property {String} code Short identifier of the check, e.g. 'missing-attribute'.
+ * @property {String} message
+ */
+
+// Checks of the values of every native type.
+const type_checks = {
+    Integer: function (val) {
+        return typeof val === "number" && Number.isInteger(val);
+    },
+    Numeric: function (val) {
+        return typeof val === "number" && isFinite(val);
+    },
+    Alpha: function (val) {
+        return typeof val === "string";
+    },
+    Boolean: function (val) {
+        return typeof val === "boolean";
+    },
+    Node: function (val) {
+        return typeof val === "object";
+    }
+};
+
+
+/**
+ * Validates the given object against the given object definition and returns every
+ * problem found, the object is valid when the list is empty.
+ * @param {Schema} schema
+ * @param {Object} obj
+ * @param {ObjectDef} obj_def
+ * @returns {Array.<ObjectError>}
+ */
+function validate(schema, obj, obj_def) {
+    let res = [];
+    validateObject(schema, obj, obj_def, "", res);
+    return res;
+}
+
+
+//
+
+function validateObject(schema, obj, obj_def, path, res) {
+    if (null === obj || typeof obj !== "object" || Array.isArray(obj))
+        return res.push(error(path, "invalid-object", "Expected an instance of '" +
+            obj_def.fullName() + "', found " + describe(obj) + "."));
+
+    (obj_def.all_attrs || obj_def.attrs).forEach(function (a) {
+        validateAttr(schema, obj[a.name], a, join(path, a.name), res);
+    });
+
+    (obj_def.all_refs || obj_def.refs).forEach(function (r) {
+        validateRef(schema, obj[r.name], obj_def, r, join(path, r.name), res);
+    });
+}
+
+function validateAttr(schema, val, attr, path, res) {
+    if (undefined === val || null === val) {
+        if (!attr.optional)
+            res.push(error(path, "missing-attribute", "The non-optional attribute '" +
+                attr.name + "' is missing."));
+
+        return;
+    }
+
+    let t;
+    try {
+        t = schema.getEffectiveType(attr);
+    }
+    catch (e) {
+        return res.push(error(path, "unknown-type", e.message));
+    }
+
+    let check = type_checks[schema.getNativeType(attr)];
+    if (check && !check(val))
+        return res.push(error(path, "invalid-type", "Expected a value of type '" +
+            t.type_name + "' (" + t.native_type + "), found " + describe(val) + "."));
+
+    // MinValue and MaxValue only bound numbers, they are ignored for other types.
+    let numeric = "Integer" === t.native_type || "Numeric" === t.native_type;
+
+    if (numeric && undefined !== t.min_value && val < t.min_value)
+        res.push(error(path, "out-of-range", "The value " + val + " is less than the " +
+            "minimum value " + t.min_value + "."));
+
+    if (numeric && undefined !== t.max_value && val > t.max_value)
+        res.push(error(path, "out-of-range", "The value " + val + " is greater than " +
+            "the maximum value " + t.max_value + "."));
+
+    if (t.values.length > 0 && !t.values.some(function (v) {
+        return String(v.value) === String(val);
+    }))
+        res.push(error(path, "invalid-value", "The value " + JSON.stringify(val) +
+            " is not one of the allowed values of type '" + t.type_name + "': " +
+            t.values.map(function (v) { return v.value; }).join(", ") + "."));
+}
+
+function validateRef(schema, val, obj_def, ref, path, res) {
+    let min = ref.min_count || 0;
+    let items;
+
+    if (undefined === val || null === val)
+        items = [];
+    else if (Array.isArray(val))
+        items = val;
+    else
+        items = [ val ];
+
+    if (Array.isArray(val) && !schema_util.isContainer(ref))
+        return res.push(error(path, "invalid-type", "Expected a single '" + ref.name +
+            "' object, found an array."));
+
+    if (items.length < min)
+        res.push(error(path, "invalid-count", "Expected at least " + min + " '" +
+            ref.name + "' object(s), found " + items.length + "."));
+
+    if (undefined !== ref.max_count && items.length > ref.max_count)
+        res.push(error(path, "invalid-count", "Expected at most " + ref.max_count +
+            " '" + ref.name + "' object(s), found " + items.length + "."));
+
+    if (items.length === 0)
+        return;
+
+    let ref_obj;
+    try {
+        ref_obj = obj_def.getRefObject(ref);
+    }
+    catch (e) {
+        return res.push(error(path, "unknown-object", e.message));
+    }
+
+    if (!ref_obj)
+        return res.push(error(path, "unknown-object", "The object '" +
+            schema_util.getRefTypeName(ref) + "' referenced by '" + ref.name +
+            "' is not defined."));
+
+    items.forEach(function (item, i) {
+        validateObject(schema, item, ref_obj,
+            Array.isArray(val) ? path + "[" + i + "]" : path, res);
+    });
+}
+
+function error(path, code, message) {
+    return { path: path, code: code, message: message };
+}
+
+function join(path, name) {
+    return path ? path + "." + name : name;
+}
+
+function describe(val) {
+    if (null === val)
+        return "null";
+
+    if (Array.isArray(val))
+        return "an array";
+
+    if (typeof val === "object")
+        return "an object";
+
+    return typeof val + " " + JSON.stringify(val);
+}
+
+
+module.exports = {
+    validate: validate
+};
@@ -0,0 +1,290 @@
+"use strict";
+
+/**
+ * Interface model of a schema. Groups marked with 'IsInterface' define an interface,
+ * whose operations are the requests defined in the group, or in its nested groups that
+ * are not interfaces themselves, together with their responses. Interfaces inherit the
+ * operations of the interface named by 'ParentInterface'.
+ * @module schema/interfaces
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const messages = require("./messages");
+
+
+/**
+ * An operation of an interface, a request and the responses that answer it.
+ * @param {Interface} iface Interface defining the operation.
+ * @param {ObjectDef} request
+ * @param {Array.<ObjectDef>} responses
+ * @returns {Operation}
+ * @constructor
+ */
+function Operation(iface, request, responses) {
+    if (!this)
+        return new Operation(iface, request, responses);
+
+    Object.defineProperty(this, 'interface', { value: iface, enumerable: false });
+
+    this.name = request.name;
+    this.request = request;
+    this.responses = responses;
+    this.is_async = request.msg_type === messages.MessageType.AsyncRequest;
+}
+
+/**
+ * Returns the response of the operation, undefined for operations without response.
+ * @returns {ObjectDef|undefined}
+ */
+Operation.prototype.getResponse = function () {
+    return this.responses[0];
+};
+
+
+/**
+ * An interface, defined by a group marked with 'IsInterface'.
+ * @param {InterfaceMap} map
+ * @param {GroupDef} group
+ * @returns {Interface}
+ * @constructor
+ */
+function Interface(map, group) {
+    if (!this)
+        return new Interface(map, group);
+
+    Object.defineProperty(this, 'map', { value: map, enumerable: false });
+    Object.defineProperty(this, 'group', { value: group, enumerable: false });
+
+    // Resolved by the InterfaceMap once every interface is known.
+    Object.defineProperty(this, 'parent',
+        { writable: true, value: null, enumerable: false });
+
+    this.name = group.fullName();
+    this.guid = group.interface_guid;
+    this.parent_interface = group.parent_interface;
+    this.operations = [];
+}
+
+/**
+ * Returns the full name of the interface, that of its group.
+ * @returns {String}
+ */
+Interface.prototype.fullName = function () {
+    return this.name;
+};
+
+/**
+ * Returns the interfaces this interface inherits from, starting with its parent.
+ * @returns {Array.<Interface>}
+ */
+Interface.prototype.getBaseChain = function () {
+    let res = [];
+    for (let p = this.parent; p && res.indexOf(p) < 0; p = p.parent)
+        res.push(p);
+
+    return res;
+};
+
+/**
+ * Returns true if this interface is, or inherits from, the given interface.
+ * @param {Interface|String} iface Interface or full name.
+ * @returns {Boolean}
+ */
+Interface.prototype.isA = function (iface) {
+    let name = (typeof iface === "string") ? iface : iface.name;
+    return this.name === name || this.getBaseChain().some(function (p) {
+        return p.name === name;
+    });
+};
+
+/**
+ * Returns the operations of the interface, including the inherited ones. Operations
+ * defined by the interface hide the inherited operations with the same name.
+ * @returns {Array.<Operation>}
+ */
+Interface.prototype.getOperations = function () {
+    let res = this.operations.slice();
+
+    this.getBaseChain().forEach(function (p) {
+        p.operations.forEach(function (op) {
+            if (!res.some(function (o) { return o.name === op.name; }))
+                res.push(op);
+        });
+    });
+
+    return res;
+};
+
+/**
+ * Returns the operation with the given name, including inherited operations.
+ * @param {String} name
+ * @returns {Operation|undefined}
+ */
+Interface.prototype.getOperation = function (name) {
+    return this.getOperations().find(function (op) { return op.name === name; });
+};
+
+/**
+ * Returns true if the given request is one of the operations of the interface,
+ * including the inherited ones.
+ * @param {ObjectDef|String} request Object definition or full name.
+ * @returns {Boolean}
+ */
+Interface.prototype.accepts = function (request) {
+    let obj_def = this.map._objectDef(request);
+    return this.getOperations().some(function (op) { return op.request === obj_def; });
+};
+
+
+/**
+ * Builds the interfaces of the given schema. Problems found while resolving the parent
+ * interfaces do not throw, they are reported by 'validate'.
+ * @param {Schema} schema
+ * @returns {InterfaceMap}
+ * @constructor
+ */
+function InterfaceMap(schema) {
+    if (!this)
+        return new InterfaceMap(schema);
+
+    let self = this;
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'by_group',
+        { writable: true, value: new Map(), enumerable: false });
+
+    this.interfaces = [];
+    this.problems = [];
+
+    schema.groups.forEach(function (g) {
+        if (!g.is_interface)
+            return;
+
+        let iface = new Interface(self, g);
+        self.interfaces.push(iface);
+        self.by_group.set(g, iface);
+    });
+
+    schema.objects.forEach(function (o) {
+        if (!messages.isRequest(o))
+            return;
+
+        let iface = self.getInterfaceOf(o);
+        if (iface)
+            iface.operations.push(new Operation(iface, o, schema.messages ?
+                schema.messages.getResponses(o) : []));
+    });
+
+    this.interfaces.forEach(function (iface) {
+        if (iface.parent_interface)
+            iface.parent = self._resolveParent(iface);
+    });
+
+    this.interfaces.forEach(function (iface) {
+        if (iface.getBaseChain().indexOf(iface) >= 0)
+            self.problems.push(problem(iface, "Interface '" + iface.name + "' inherits " +
+                "from itself through its parent interface '" + iface.parent_interface +
+                "'."));
+    });
+}
+
+/**
+ * Returns the interface with the given name, either the full name of its group or a
+ * name qualified as needed to tell it apart from the other interfaces, as in
+ * 'BaseEngine'. Throws if the name matches more than one interface.
+ * @param {String|GroupDef} name
+ * @returns {Interface|undefined}
+ */
+InterfaceMap.prototype.getInterface = function (name) {
+    if (typeof name !== "string")
+        return this.by_group.get(name);
+
+    let candidates = this._find(name);
+    if (candidates.length > 1)
+        throw new Error("The interface name '" + name + "' is ambiguous, it matches: " +
+            names(candidates) + ".");
+
+    return candidates[0];
+};
+
+/**
+ * Returns the interface the given object is defined in, that of its innermost
+ * enclosing interface group.
+ * @param {ObjectDef|String} obj Object definition or full name.
+ * @returns {Interface|undefined}
+ */
+InterfaceMap.prototype.getInterfaceOf = function (obj) {
+    let obj_def = this._objectDef(obj);
+    for (let g = obj_def && obj_def.parent; g; g = g.parent)
+        if (this.by_group.has(g))
+            return this.by_group.get(g);
+
+    return undefined;
+};
+
+/**
+ * Returns the interfaces that accept the given request, those that define it and every
+ * interface inheriting from them.
+ * @param {ObjectDef|String} request Object definition or full name.
+ * @returns {Array.<Interface>}
+ */
+InterfaceMap.prototype.getAccepting = function (request) {
+    return this.interfaces.filter(function (iface) { return iface.accepts(request); });
+};
+
+/**
+ * Returns the problems found while building the interfaces, an empty list means every
+ * parent interface was resolved.
+ * @returns {Array.<{ interface: Interface, message: String }>}
+ */
+InterfaceMap.prototype.validate = function () {
+    return this.problems.slice();
+};
+
+InterfaceMap.prototype._objectDef = function (obj) {
+    if (typeof obj === "string")
+        return this.schema.getObject(obj);
+
+    return obj;
+};
+
+InterfaceMap.prototype._find = function (name) {
+    let group = this.schema.group_map[name];
+    if (group && this.by_group.has(group))
+        return [ this.by_group.get(group) ];
+
+    return this.interfaces.filter(function (i) { return i.name.endsWith("::" + name); });
+};
+
+InterfaceMap.prototype._resolveParent = function (iface) {
+    let name = iface.parent_interface;
+    let candidates = this._find(name);
+
+    if (candidates.length === 1)
+        return candidates[0];
+
+    if (candidates.length === 0)
+        this.problems.push(problem(iface, "The parent interface '" + name + "' of '" +
+            iface.name + "' is not defined."));
+    else
+        this.problems.push(problem(iface, "The parent interface '" + name + "' of '" +
+            iface.name + "' is ambiguous, it matches: " + names(candidates) + "."));
+
+    return null;
+};
+
+
+function problem(iface, message) {
+    return { interface: iface, message: message };
+}
+
+function names(interfaces) {
+    return interfaces.map(function (i) { return i.name; }).join(", ");
+}
+
+
+module.exports = {
+    Operation: Operation,
+    Interface: Interface,
+    InterfaceMap: InterfaceMap
+};
@@ -0,0 +1,186 @@
+"use strict";
+
+/**
+ * Request/response model of the messages defined in a schema. Responses name the
+ * request they answer through the 'ResponseRequest' attribute ('Group:Object').
+ * @module schema/messages
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+
+/**
+ * Message types as found in the 'MessageType' attribute of an ObjectDef.
+ * @enum {String}
+ */
+const MessageType = {
+    None: "None",
+    SyncRequest: "SyncRequest",
+    AsyncRequest: "AsyncRequest",
+    Response: "Response"
+};
+
+
+/**
+ * Builds the request/response graph of the given schema. Problems found while
+ * building the graph, such as a 'ResponseRequest' naming an unknown object, do not
+ * throw, they are reported by 'validate'.
+ * @param {Schema} schema
+ * @returns {MessageGraph}
+ * @constructor
+ */
+function MessageGraph(schema) {
+    if (!this)
+        return new MessageGraph(schema);
+
+    let self = this;
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'responses',
+        { writable: true, value: new Map(), enumerable: false });
+    Object.defineProperty(this, 'requests',
+        { writable: true, value: new Map(), enumerable: false });
+
+    this.pairs = [];
+    this.problems = [];
+
+    schema.objects.forEach(function (o) {
+        if (o.msg_type !== MessageType.Response)
+            return;
+
+        if (!o.response_request)
+            return self.problems.push(problem(o, "Response '" + o.fullName() +
+                "' does not specify the request it answers."));
+
+        let req;
+        try {
+            req = schema.findObject(o.response_request, o.parent);
+        }
+        catch (e) {
+            return self.problems.push(problem(o, e.message));
+        }
+
+        if (!req)
+            return self.problems.push(problem(o, "Response '" + o.fullName() +
+                "' answers the request '" + o.response_request + "', which is not " +
+                "defined."));
+
+        if (!isRequest(req))
+            return self.problems.push(problem(o, "Response '" + o.fullName() +
+                "' answers '" + req.fullName() + "', which is not a request (" +
+                "MessageType=" + req.msg_type + ")."));
+
+        self.pairs.push({ request: req, response: o });
+        add(self.responses, req, o);
+        add(self.requests, o, req);
+    });
+
+
+    //
+
+    function add(map, key, val) {
+        if (!map.has(key))
+            map.set(key, []);
+
+        map.get(key).push(val);
+    }
+}
+
+/**
+ * Returns the response for the given request, or undefined if the request is not
+ * answered by any response.
+ * @param {ObjectDef|String} request Object definition or full name.
+ * @returns {ObjectDef|undefined}
+ */
+MessageGraph.prototype.getResponse = function (request) {
+    return this.getResponses(request)[0];
+};
+
+/**
+ * Returns every response that answers the given request.
+ * @param {ObjectDef|String} request Object definition or full name.
+ * @returns {Array.<ObjectDef>}
+ */
+MessageGraph.prototype.getResponses = function (request) {
+    return (this.responses.get(this._objectDef(request)) || []).slice();
+};
+
+/**
+ * Returns the requests answered by the given response.
+ * @param {ObjectDef|String} response Object definition or full name.
+ * @returns {Array.<ObjectDef>}
+ */
+MessageGraph.prototype.getRequests = function (response) {
+    return (this.requests.get(this._objectDef(response)) || []).slice();
+};
+
+/**
+ * Returns the SyncRequest objects not answered by any response.
+ * @returns {Array.<ObjectDef>}
+ */
+MessageGraph.prototype.getOrphanRequests = function () {
+    let self = this;
+    return this.schema.objects.filter(function (o) {
+        return o.msg_type === MessageType.SyncRequest && !self.responses.has(o);
+    });
+};
+
+/**
+ * Returns the Response objects that could not be paired with a request.
+ * @returns {Array.<ObjectDef>}
+ */
+MessageGraph.prototype.getOrphanResponses = function () {
+    let self = this;
+    return this.schema.objects.filter(function (o) {
+        return o.msg_type === MessageType.Response && !self.requests.has(o);
+    });
+};
+
+/**
+ * Validates the graph and returns the list of problems found, an empty list means the
+ * graph is valid. Every SyncRequest must be answered by exactly one Response and every
+ * Response must answer a known request.
+ * @returns {Array.<{ object: ObjectDef, message: String }>}
+ */
+MessageGraph.prototype.validate = function () {
+    let self = this;
+    let res = this.problems.slice();
+
+    this.getOrphanRequests().forEach(function (o) {
+        res.push(problem(o, "SyncRequest '" + o.fullName() + "' does not have a " +
+            "matching Response."));
+    });
+
+    this.responses.forEach(function (responses, req) {
+        if (responses.length > 1)
+            res.push(problem(req, "Request '" + req.fullName() + "' is answered by " +
+                "more than one Response: " + responses.map(function (o) {
+                    return o.fullName();
+                }).join(", ") + "."));
+    });
+
+    return res;
+};
+
+MessageGraph.prototype._objectDef = function (obj) {
+    if (typeof obj === "string")
+        return this.schema.getObject(obj);
+
+    return obj;
+};
+
+
+function isRequest(obj_def) {
+    return obj_def.msg_type === MessageType.SyncRequest ||
+        obj_def.msg_type === MessageType.AsyncRequest;
+}
+
+function problem(obj_def, message) {
+    return { object: obj_def, message: message };
+}
+
+
+module.exports = {
+    MessageType: MessageType,
+    MessageGraph: MessageGraph,
+    isRequest: isRequest
+};
@@ -0,0 +1,599 @@
+"use strict";
+
+/**
+ * RPC over the interfaces of a schema. A Client sends the requests of an interface and
+ * resolves the matching responses as promises, a Server dispatches the requests it
+ * receives to the handlers registered per request object. Messages travel as frames
+ * over a pluggable transport, an in-process transport and a TCP transport are provided.
+ * @module schema/rpc
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const EventEmitter = require("events");
+const net = require("net");
+const util = require("util");
+/** @type {Restructure} */
+const rs = require("restructure");
+//
+const struct = require("./converters/struct");
+
+
+/**
+ * Kind of a frame.
+ * @enum {String}
+ */
+const FrameKind = {
+    Request: "request",
+    Response: "response",
+    Error: "error"
+};
+
+/**
+ * @typedef {Object} Frame
+ * @property {FrameKind} kind
+ * @property {Number} id Identifier of the call, responses and errors carry the
+ * identifier of the request they answer.
+ * @property {String} name Full name of the request or response object, errors carry the
+ * name of the request they answer.
+ * @property {Object} body The message, '{ message: String }' for errors.
+ */
+
+/**
+ * A transport carries frames between two endpoints. Transports emit 'frame' for every
+ * frame received, 'close' once closed and 'err' on failures.
+ * @typedef {EventEmitter} Transport
+ * @property {function(Frame)} send
+ * @property {function()} close
+ */
+
+/**
+ * @typedef {Object} RpcOptions
+ * @property {Number} [timeout] Time, in milliseconds, to wait for a response before
+ * rejecting the call. Calls wait forever by default.
+ * @property {Boolean} [validate] Validates the requests against their ObjectDef before
+ * sending them.
+ */
+
+/**
+ * @typedef {Object} TcpOptions
+ * @property {Schema} schema Schema the objects of the frames are defined in.
+ * @property {Converter} [converter] Converter of the messages to binary, the struct
+ * converter by default.
+ */
+
+// Frames are sent as a 4 bytes big-endian length followed by the header and the body.
+const frame_header = new rs.Struct({
+    kind: rs.uint8,
+    id: rs.uint32,
+    name: new rs.String(rs.uint16, "utf8"),
+    size: rs.uint32
+});
+
+const frame_kinds = [ FrameKind.Request, FrameKind.Response, FrameKind.Error ];
+const MAX_ID = 0xffffffff;
+
+
+/**
+ * In-process transport, one of the two endpoints created by 'LocalTransport.pair'.
+ * Frames are delivered asynchronously, as a real transport would.
+ * @returns {LocalTransport}
+ * @constructor
+ */
+function LocalTransport() {
+    if (!this)
+        return new LocalTransport();
+
+    EventEmitter.call(this);
+
+    Object.defineProperty(this, 'peer',
+        { writable: true, value: null, enumerable: false });
+    this.closed = false;
+}
+
+util.inherits(LocalTransport, EventEmitter);
+
+/**
+ * Returns two connected endpoints, the frames sent by one are received by the other.
+ * @returns {Array.<LocalTransport>}
+ */
+LocalTransport.pair = function () {
+    let a = new LocalTransport();
+    let b = new LocalTransport();
+    a.peer = b;
+    b.peer = a;
+    return [ a, b ];
+};
+
+/**
+ * @param {Frame} frame
+ */
+LocalTransport.prototype.send = function (frame) {
+    if (this.closed)
+        throw new Error("Failed to send frame '" + frame.name + "', the transport is " +
+            "closed.");
+
+    let peer = this.peer;
+    setImmediate(function () {
+        if (!peer.closed)
+            peer.emit("frame", frame);
+    });
+};
+
+LocalTransport.prototype.close = function () {
+    if (this.closed)
+        return;
+
+    this.closed = true;
+    this.emit("close");
+    this.peer.close();
+};
+
+
+/**
+ * TCP transport over a connected socket. Frame bodies are encoded with the converter
+ * given in the options, using the object class of the ObjectDef the frame names.
+ * @param {net.Socket} socket
+ * @param {TcpOptions} opts
+ * @returns {TcpTransport}
+ * @constructor
+ */
+function TcpTransport(socket, opts) {
+    if (!this)
+        return new TcpTransport(socket, opts);
+
+    if (!opts || !opts.schema)
+        throw new Error("Failed to create the TCP transport, the schema is missing.");
+
+    let self = this;
+
+    EventEmitter.call(this);
+
+    Object.defineProperty(this, 'socket', { value: socket, enumerable: false });
+    Object.defineProperty(this, 'schema', { value: opts.schema, enumerable: false });
+    Object.defineProperty(this, 'converter',
+        { value: opts.converter || struct, enumerable: false });
+    Object.defineProperty(this, 'obj_classes', { value: new Map(), enumerable: false });
+
+    this.closed = false;
+
+    let pending = Buffer.alloc(0);
+
+    socket.on("data", function (data) {
+        pending = Buffer.concat([ pending, data ]);
+
+        while (pending.length >= 4 && pending.length >= 4 + pending.readUInt32BE(0)) {
+            let size = pending.readUInt32BE(0);
+            let frame;
+
+            try {
+                frame = self._decode(pending.slice(4, 4 + size));
+            }
+            catch (e) {
+                self.emit("err", e);
+            }
+
+            pending = pending.slice(4 + size);
+            if (frame)
+                self.emit("frame", frame);
+        }
+    });
+
+    socket.on("error", function (err) {
+        self.emit("err", err);
+    });
+
+    socket.on("close", function () {
+        self.closed = true;
+        self.emit("close");
+    });
+}
+
+util.inherits(TcpTransport, EventEmitter);
+
+/**
+ * Connects to a TCP server and resolves the connected transport.
+ * @param {Number} port
+ * @param {String} host
+ * @param {TcpOptions} opts
+ * @returns {Promise.<TcpTransport>}
+ */
+TcpTransport.connect = function (port, host, opts) {
+    return new Promise(function (resolve, reject) {
+        let socket = net.connect(port, host || "localhost");
+
+        socket.once("error", reject);
+        socket.once("connect", function () {
+            socket.removeListener("error", reject);
+            resolve(new TcpTransport(socket, opts));
+        });
+    });
+};
+
+/**
+ * @param {Frame} frame
+ */
+TcpTransport.prototype.send = function (frame) {
+    if (this.closed)
+        throw new Error("Failed to send frame '" + frame.name + "', the transport is " +
+            "closed.");
+
+    this.socket.write(this._encode(frame));
+};
+
+TcpTransport.prototype.close = function () {
+    this.socket.end();
+};
+
+TcpTransport.prototype._encode = function (frame) {
+    let body;
+
+    if (frame.kind === FrameKind.Error)
+        body = Buffer.from(JSON.stringify(frame.body), "utf8");
+    else {
+        let data = this.converter.fromObj(frame.body, this._objClass(frame.name));
+        if (undefined === data || null === data)
+            throw new Error("Failed to encode frame '" + frame.name + "', the " +
+                "converter did not return any data.");
+
+        body = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+    }
+
+    let header = encode(frame_header, {
+        kind: frame_kinds.indexOf(frame.kind),
+        id: frame.id,
+        name: frame.name,
+        size: body.length
+    });
+
+    let size = Buffer.alloc(4);
+    size.writeUInt32BE(header.length + body.length, 0);
+
+    return Buffer.concat([ size, header, body ]);
+};
+
+TcpTransport.prototype._decode = function (data) {
+    let stream = new rs.DecodeStream(data);
+    let header = frame_header.decode(stream);
+    let body = data.slice(stream.pos, stream.pos + header.size);
+    let kind = frame_kinds[header.kind];
+
+    if (!kind)
+        throw new Error("Failed to decode frame '" + header.name + "', the frame kind " +
+            header.kind + " is not valid.");
+
+    return {
+        kind: kind,
+        id: header.id,
+        name: header.name,
+        body: (kind === FrameKind.Error) ? JSON.parse(body.toString("utf8")) :
+            this.converter.toObj(body, this._objClass(header.name))
+    };
+};
+
+TcpTransport.prototype._objClass = function (name) {
+    if (!this.obj_classes.has(name)) {
+        let obj_def = this.schema.getObject(name);
+        if (!obj_def)
+            throw new Error("Failed to convert frame '" + name + "', the object is not " +
+                "defined.");
+
+        this.obj_classes.set(name, obj_def.getObjClass());
+    }
+
+    return this.obj_classes.get(name);
+};
+
+
+/**
+ * RPC client of an interface. Besides 'call', every operation of the interface is
+ * available as a function of 'stub', as in 'client.stub.GetEngineInfo(body)'.
+ * @param {Schema} schema
+ * @param {Interface|String} iface Interface or interface name.
+ * @param {Transport} transport
+ * @param {RpcOptions} [opts]
+ * @returns {Client}
+ * @constructor
+ */
+function Client(schema, iface, transport, opts) {
+    if (!this)
+        return new Client(schema, iface, transport, opts);
+
+    let self = this;
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'interface',
+        { value: getInterface(schema, iface, "client"), enumerable: false });
+    Object.defineProperty(this, 'transport', { value: transport, enumerable: false });
+    Object.defineProperty(this, 'pending', { value: new Map(), enumerable: false });
+    Object.defineProperty(this, 'last_id',
+        { writable: true, value: 0, enumerable: false });
+
+    this.options = Object.assign({ timeout: 0, validate: false }, opts);
+    this.stub = {};
+
+    this.interface.getOperations().forEach(function (op) {
+        self.stub[op.name] = function (body) {
+            return self.call(op.name, body);
+        };
+    });
+
+    transport.on("frame", function (frame) {
+        self._onFrame(frame);
+    });
+
+    transport.on("close", function () {
+        self.pending.forEach(function (p, id) {
+            self._settle(id, new Error("Failed to call '" + p.name + "', the transport " +
+                "was closed before the response was received."));
+        });
+    });
+}
+
+/**
+ * Sends the given request and resolves its response. Requests without a response, such
+ * as AsyncRequest messages, are resolved with undefined once sent.
+ * @param {String} name Name of the operation or full name of the request object.
+ * @param {Object} [body]
+ * @returns {Promise.<Object|undefined>}
+ */
+Client.prototype.call = function (name, body) {
+    let self = this;
+    let iface = this.interface;
+    let op = iface.getOperations().find(function (o) {
+        return o.name === name || o.request.fullName() === name;
+    });
+
+    return new Promise(function (resolve, reject) {
+        if (!op)
+            throw new Error("Failed to call '" + name + "', it is not an operation of " +
+                "interface '" + iface.name + "'.");
+
+        body = body || {};
+
+        if (self.options.validate) {
+            let errs = self.schema.validateObject(body, op.request);
+            if (errs.length > 0)
+                throw new Error("Failed to call '" + name + "', the request is not " +
+                    "valid: " + errs.map(function (e) {
+                        return (e.path ? e.path + ": " : "") + e.message;
+                    }).join(" "));
+        }
+
+        self.last_id = (self.last_id % MAX_ID) + 1;
+
+        let id = self.last_id;
+        let frame = { kind: FrameKind.Request, id: id, name: op.request.fullName(),
+            body: body };
+
+        if (!op.getResponse()) {
+            self.transport.send(frame);
+            return resolve(undefined);
+        }
+
+        let timer = null;
+        if (self.options.timeout > 0)
+            timer = setTimeout(function () {
+                self._settle(id, new Error("Failed to call '" + name + "', no response " +
+                    "was received within " + self.options.timeout + " ms."));
+            }, self.options.timeout);
+
+        self.pending.set(id,
+            { name: name, resolve: resolve, reject: reject, timer: timer });
+
+        try {
+            self.transport.send(frame);
+        }
+        catch (e) {
+            self._settle(id, e);
+        }
+    });
+};
+
+/**
+ * Closes the transport of the client, pending calls are rejected.
+ */
+Client.prototype.close = function () {
+    this.transport.close();
+};
+
+Client.prototype._onFrame = function (frame) {
+    if (frame.kind === FrameKind.Request || !this.pending.has(frame.id))
+        return;
+
+    if (frame.kind === FrameKind.Error)
+        this._settle(frame.id, new Error((frame.body && frame.body.message) ||
+            "The request failed."));
+    else
+        this._settle(frame.id, null, frame.body);
+};
+
+Client.prototype._settle = function (id, err, body) {
+    let p = this.pending.get(id);
+    if (!p)
+        return;
+
+    this.pending.delete(id);
+    if (p.timer)
+        clearTimeout(p.timer);
+
+    if (err)
+        p.reject(err);
+    else
+        p.resolve(body);
+};
+
+
+/**
+ * RPC server of an interface. Handlers are registered per request object, inherited
+ * operations included, and receive the request body and the operation. The value they
+ * return, or resolve, is sent as the response of the request. Failures of requests
+ * without response are emitted as 'err' events.
+ * @param {Schema} schema
+ * @param {Interface|String} iface Interface or interface name.
+ * @param {RpcOptions} [opts]
+ * @returns {Server}
+ * @constructor
+ */
+function Server(schema, iface, opts) {
+    if (!this)
+        return new Server(schema, iface, opts);
+
+    EventEmitter.call(this);
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'interface',
+        { value: getInterface(schema, iface, "server"), enumerable: false });
+    Object.defineProperty(this, 'handlers', { value: new Map(), enumerable: false });
+
+    this.options = Object.assign({ validate: false }, opts);
+}
+
+util.inherits(Server, EventEmitter);
+
+/**
+ * Registers the handler of the given request.
+ * @param {String} name Name of the operation or full name of the request object.
+ * @param {function(Object, Operation): (Object|Promise.<Object>)} handler
+ * @returns {Server}
+ */
+Server.prototype.handle = function (name, handler) {
+    let op = this._operation(name);
+    if (!op)
+        throw new Error("Failed to register the handler of '" + name + "', it is not " +
+            "an operation of interface '" + this.interface.name + "'.");
+
+    this.handlers.set(op.request, handler);
+    return this;
+};
+
+/**
+ * Serves the requests received through the given transport.
+ * @param {Transport} transport
+ * @returns {Transport}
+ */
+Server.prototype.serve = function (transport) {
+    let self = this;
+
+    transport.on("frame", function (frame) {
+        if (frame.kind === FrameKind.Request)
+            self._dispatch(transport, frame);
+    });
+
+    transport.on("err", function (err) {
+        self.emit("err", err);
+    });
+
+    return transport;
+};
+
+/**
+ * Returns a client connected to this server through an in-process transport.
+ * @param {RpcOptions} [opts]
+ * @returns {Client}
+ */
+Server.prototype.connect = function (opts) {
+    let ends = LocalTransport.pair();
+    this.serve(ends[1]);
+    return new Client(this.schema, this.interface, ends[0], opts);
+};
+
+/**
+ * Accepts TCP connections on the given port and serves their requests.
+ * @param {Number} port Port to listen on, 0 for any free port.
+ * @param {TcpOptions} [opts] The schema of the server is used by default.
+ * @returns {Promise.<net.Server>}
+ */
+Server.prototype.listen = function (port, opts) {
+    let self = this;
+    opts = Object.assign({ schema: this.schema }, opts);
+
+    return new Promise(function (resolve, reject) {
+        let tcp_server = net.createServer(function (socket) {
+            self.serve(new TcpTransport(socket, opts));
+        });
+
+        tcp_server.once("error", reject);
+        tcp_server.listen(port, function () {
+            tcp_server.removeListener("error", reject);
+            resolve(tcp_server);
+        });
+    });
+};
+
+Server.prototype._operation = function (name) {
+    return this.interface.getOperations().find(function (o) {
+        return o.name === name || o.request.fullName() === name;
+    });
+};
+
+Server.prototype._dispatch = function (transport, frame) {
+    let self = this;
+    let op = this._operation(frame.name);
+    let response = op && op.getResponse();
+
+    Promise.resolve().then(function () {
+        if (!op)
+            throw new Error("The request '" + frame.name + "' is not an operation of " +
+                "interface '" + self.interface.name + "'.");
+
+        let handler = self.handlers.get(op.request);
+        if (!handler)
+            throw new Error("No handler is registered for the request '" + frame.name +
+                "'.");
+
+        if (self.options.validate) {
+            let errs = self.schema.validateObject(frame.body, op.request);
+            if (errs.length > 0)
+                throw new Error("The request '" + frame.name + "' is not valid: " +
+                    errs.map(function (e) {
+                        return (e.path ? e.path + ": " : "") + e.message;
+                    }).join(" "));
+        }
+
+        return handler(frame.body, op);
+    }).then(function (body) {
+        if (response)
+            transport.send({ kind: FrameKind.Response, id: frame.id,
+                name: response.fullName(), body: body || {} });
+    }).catch(function (err) {
+        if (op && !response)
+            return self.emit("err", err);
+
+        try {
+            transport.send({ kind: FrameKind.Error, id: frame.id, name: frame.name,
+                body: { message: err.message } });
+        }
+        catch (e) {
+            self.emit("err", e);
+        }
+    });
+};
+
+
+//
+
+function getInterface(schema, iface, what) {
+    let res = (typeof iface === "string") ? schema.interfaces.getInterface(iface) : iface;
+    if (!res)
+        throw new Error("Failed to create the RPC " + what + ", the interface '" + iface +
+            "' is not defined.");
+
+    return res;
+}
+
+function encode(type, val) {
+    let stream = new rs.EncodeStream();
+    type.encode(stream, val);
+    stream.end();
+
+    return stream.read() || Buffer.alloc(0);
+}
+
+
+module.exports = {
+    FrameKind: FrameKind,
+    LocalTransport: LocalTransport,
+    TcpTransport: TcpTransport,
+    Client: Client,
+    Server: Server
+};
@@ -0,0 +1,276 @@
+"use strict";
+
+/**
+ * Units of measure of attribute values. Types declaring an 'ExternalUnit' hold their
+ * values in the internal unit of the dimension of that unit, converters use the
+ * external unit when importing or exporting messages. Units that are not defined in the
+ * registry, as the Delphi units named by some schemas, leave values untouched.
+ * @module schema/units
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+
+/**
+ * Dimensions of the built-in units.
+ * @enum {String}
+ */
+const Dimension = {
+    Time: "time",
+    Currency: "currency",
+    Ratio: "ratio"
+};
+
+
+/**
+ * A unit of measure, 'factor' is the size of the unit in base units of its dimension.
+ * @param {String} name
+ * @param {String} dimension
+ * @param {Number} factor
+ * @param {Object} [opts]
+ * @param {String} [opts.symbol] Symbol used for display, the name by default.
+ * @param {Number} [opts.decimals] Decimals used for display, all by default.
+ * @returns {Unit}
+ * @constructor
+ */
+function Unit(name, dimension, factor, opts) {
+    if (!this)
+        return new Unit(name, dimension, factor, opts);
+
+    opts = opts || {};
+
+    if (typeof factor !== "number" || !(factor > 0) || !isFinite(factor))
+        throw new Error("Failed to define unit '" + name + "', the factor '" + factor +
+            "' is not a positive number.");
+
+    this.name = name;
+    this.dimension = dimension;
+    this.factor = factor;
+    this.symbol = undefined !== opts.symbol ? opts.symbol : name;
+    this.decimals = opts.decimals;
+}
+
+
+/**
+ * Registry of units. Values of a dimension are held in its internal unit, the base unit
+ * of the dimension unless set with 'setInternal'.
+ * @returns {UnitRegistry}
+ * @constructor
+ */
+function UnitRegistry() {
+    if (!this)
+        return new UnitRegistry();
+
+    Object.defineProperty(this, 'units', { value: new Map(), enumerable: false });
+    Object.defineProperty(this, 'internal', { value: new Map(), enumerable: false });
+}
+
+/**
+ * Defines a new unit.
+ * @param {String} name
+ * @param {String} dimension
+ * @param {Number} factor Size of the unit in base units of the dimension.
+ * @param {Object} [opts] See {@link Unit}.
+ * @returns {Unit}
+ */
+UnitRegistry.prototype.define = function (name, dimension, factor, opts) {
+    if (this.units.has(name))
+        throw new Error("Failed to define unit '" + name + "', it is already defined.");
+
+    let unit = new Unit(name, dimension, factor, opts);
+    this.units.set(name, unit);
+    return unit;
+};
+
+/**
+ * Returns the unit with the given name, undefined if not defined.
+ * @param {String|Unit} name
+ * @returns {Unit|undefined}
+ */
+UnitRegistry.prototype.get = function (name) {
+    if (name instanceof Unit)
+        return name;
+
+    return this.units.get(name);
+};
+
+/**
+ * Returns true if a unit with the given name is defined.
+ * @param {String} name
+ * @returns {Boolean}
+ */
+UnitRegistry.prototype.has = function (name) {
+    return this.units.has(name);
+};
+
+/**
+ * Returns the units defined for the given dimension, or every unit.
+ * @param {String} [dimension]
+ * @returns {Array.<Unit>}
+ */
+UnitRegistry.prototype.getUnits = function (dimension) {
+    let res = Array.from(this.units.values());
+    if (undefined === dimension)
+        return res;
+
+    return res.filter(function (u) { return u.dimension === dimension; });
+};
+
+/**
+ * Sets the unit values of its dimension are held in.
+ * @param {String} name
+ */
+UnitRegistry.prototype.setInternal = function (name) {
+    let unit = this._unit(name, "set the internal unit");
+    this.internal.set(unit.dimension, unit);
+};
+
+/**
+ * Returns the unit values of the given dimension are held in.
+ * @param {String} dimension
+ * @returns {Unit|undefined}
+ */
+UnitRegistry.prototype.getInternal = function (dimension) {
+    if (this.internal.has(dimension))
+        return this.internal.get(dimension);
+
+    return this.getUnits(dimension).find(function (u) { return u.factor === 1; });
+};
+
+/**
+ * Converts a value between two units of the same dimension.
+ * @param {Number} val
+ * @param {String|Unit} from
+ * @param {String|Unit} to
+ * @returns {Number}
+ */
+UnitRegistry.prototype.convert = function (val, from, to) {
+    from = this._unit(from, "convert from unit");
+    to = this._unit(to, "convert to unit");
+
+    if (from.dimension !== to.dimension)
+        throw new Error("Failed to convert from unit '" + from.name + "' to '" +
+            to.name + "', they measure different dimensions.");
+
+    if (from === to || undefined === val || null === val || "" === val)
+        return val;
+
+    let num = Number(val);
+    if (isNaN(num))
+        throw new Error("Failed to convert '" + val + "' from unit '" + from.name +
+            "', it is not a number.");
+
+    // Rounded to 15 significant digits, so that 0.7 ms is 700 us and not 699.99...
+    return Number((num * from.factor / to.factor).toPrecision(15));
+};
+
+/**
+ * Converts a value held in the internal unit into the given external unit. Values are
+ * returned as is when the unit is not defined.
+ * @param {Number} val
+ * @param {String} unit External unit.
+ * @returns {Number}
+ */
+UnitRegistry.prototype.toExternal = function (val, unit) {
+    let ext = this.get(unit);
+    if (!ext)
+        return val;
+
+    return this.convert(val, this._internalOf(ext), ext);
+};
+
+/**
+ * Converts a value in the given external unit into the internal unit. Values are
+ * returned as is when the unit is not defined.
+ * @param {Number} val
+ * @param {String} unit External unit.
+ * @returns {Number}
+ */
+UnitRegistry.prototype.toInternal = function (val, unit) {
+    let ext = this.get(unit);
+    if (!ext)
+        return val;
+
+    return this.convert(val, ext, this._internalOf(ext));
+};
+
+/**
+ * Formats a value held in the internal unit for display in the given external unit,
+ * as in '1.5 ms'. Values are only converted to strings when the unit is not defined.
+ * @param {Number} val
+ * @param {String} unit External unit.
+ * @returns {String}
+ */
+UnitRegistry.prototype.format = function (val, unit) {
+    let ext = this.get(unit);
+    if (!ext || undefined === val || null === val || "" === val)
+        return (undefined === val || null === val) ? "" : String(val);
+
+    let num = this.toExternal(val, ext);
+    let str = (undefined !== ext.decimals) ? num.toFixed(ext.decimals) : String(num);
+
+    if (!ext.symbol)
+        return str;
+
+    return str + (/^\W/.test(ext.symbol) ? "" : " ") + ext.symbol;
+};
+
+
+//
+
+UnitRegistry.prototype._unit = function (name, action) {
+    let unit = this.get(name);
+    if (!unit)
+        throw new Error("Failed to " + action + " '" + name + "', it is not defined.");
+
+    return unit;
+};
+
+UnitRegistry.prototype._internalOf = function (unit) {
+    let res = this.getInternal(unit.dimension);
+    if (!res)
+        throw new Error("Failed to convert unit '" + unit.name + "', the dimension '" +
+            unit.dimension + "' has no internal unit.");
+
+    return res;
+};
+
+
+/**
+ * Creates a registry holding the built-in units: time units, currency minor units and
+ * ratios as percentages and basis points.
+ * @returns {UnitRegistry}
+ */
+function defaultRegistry() {
+    let res = new UnitRegistry();
+
+    res.define("s", Dimension.Time, 1);
+    res.define("ns", Dimension.Time, 1e-9);
+    res.define("us", Dimension.Time, 1e-6);
+    res.define("ms", Dimension.Time, 1e-3);
+    res.define("min", Dimension.Time, 60);
+    res.define("h", Dimension.Time, 3600);
+    res.define("d", Dimension.Time, 86400);
+
+    res.define("major", Dimension.Currency, 1, { symbol: "", decimals: 2 });
+    res.define("cents", Dimension.Currency, 1e-2, { decimals: 0 });
+    res.define("mills", Dimension.Currency, 1e-3, { decimals: 0 });
+
+    res.define("ratio", Dimension.Ratio, 1, { symbol: "" });
+    res.define("percent", Dimension.Ratio, 1e-2, { symbol: "%" });
+    res.define("bps", Dimension.Ratio, 1e-4, { symbol: "bp" });
+
+    return res;
+}
+
+
+module.exports = {
+    Dimension: Dimension,
+    Unit: Unit,
+    UnitRegistry: UnitRegistry,
+    defaultRegistry: defaultRegistry,
+    /**
+     * Registry used by the converters, units defined here are available to every schema.
+     * @type {UnitRegistry}
+     */
+    registry: defaultRegistry()
+};
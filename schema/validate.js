@@ -0,0 +1,278 @@
+"use strict";
+
+/**
+ * Lint pass over a loaded schema. Problems are reported as Diagnostic instances that
+ * carry the file and line of the offending definition.
+ * @module schema/validate
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const util = require("util");
+const UsageKind = require("./xref").UsageKind;
+
+
+/**
+ * Severity of a diagnostic.
+ * @enum {String}
+ */
+const Severity = {
+    Error: "error",
+    Warning: "warning"
+};
+
+
+/**
+ * A problem found in a schema definition.
+ * @param {Severity} severity
+ * @param {String} code Short identifier of the check, e.g. 'unknown-type'.
+ * @param {String} message
+ * @param {Object} [def] Definition the problem was found on, its 'position' property,
+ * if any, is used to locate the problem.
+ * @returns {Diagnostic}
+ * @constructor
+ */
+function Diagnostic(severity, code, message, def) {
+    if (!this)
+        return new Diagnostic(severity, code, message, def);
+
+    let pos = (def && def.position) || {};
+
+    this.severity = severity;
+    this.code = code;
+    this.file = pos.file || null;
+    this.line = (undefined === pos.line) ? null : pos.line;
+    this.message = message;
+
+    Object.defineProperty(this, 'def', { value: def, enumerable: false });
+    Error.captureStackTrace(this, Diagnostic);
+}
+
+util.inherits(Diagnostic, Error);
+
+Diagnostic.prototype.name = "Diagnostic";
+
+/**
+ * Formats the diagnostic as 'file:line: severity: message'.
+ * @returns {String}
+ */
+Diagnostic.prototype.toString = function () {
+    let loc = "";
+    if (this.file)
+        loc = this.file + (null !== this.line ? ":" + this.line : "") + ": ";
+
+    return loc + this.severity + ": " + this.message;
+};
+
+
+/**
+ * Runs every check against the given schema.
+ * @param {Schema} schema
+ * @returns {Array.<Diagnostic>}
+ */
+function validate(schema) {
+    let res = [];
+
+    schema.types.forEach(function (t) {
+        res.push.apply(res, validateType(schema, t));
+    });
+
+    schema.groups.forEach(function (g) {
+        res.push.apply(res, validateGroup(schema, g));
+    });
+
+    schema.objects.forEach(function (o) {
+        res.push.apply(res, validateObject(schema, o));
+    });
+
+    if (schema.messages)
+        res.push.apply(res, validateMessages(schema));
+
+    if (schema.interfaces)
+        res.push.apply(res, validateInterfaces(schema));
+
+    if (schema.xref)
+        res.push.apply(res, validateXref(schema));
+
+    return res;
+}
+
+function validateType(schema, type_def) {
+    let res = [];
+    let where = "type '" + type_def.name + "'";
+
+    if (!knownType(schema, type_def.type))
+        res.push(new Diagnostic(Severity.Error, "unknown-type", "The base type '" +
+            type_def.type + "' of " + where + " is not defined.", type_def));
+
+    res.push.apply(res, checkRange(type_def.min, type_def.max, where, type_def));
+    res.push.apply(res, checkValues(type_def.values, type_def.min, type_def.max, where));
+
+    return res;
+}
+
+function validateGroup(schema, group) {
+    let res = [];
+    let seen = {};
+
+    schema.objects.forEach(function (o) {
+        if (o.parent !== group)
+            return;
+
+        if (seen[o.name])
+            res.push(new Diagnostic(Severity.Error, "duplicate-object", "Object '" +
+                o.name + "' is defined more than once in group '" + group.name +
+                "', first defined at line " + seen[o.name].position.line + ".", o));
+        else
+            seen[o.name] = o;
+    });
+
+    return res;
+}
+
+function validateObject(schema, obj_def) {
+    let res = [];
+    let indexed = [];
+
+    obj_def.attrs.forEach(function (a) {
+        let where = "attribute '" + obj_def.name + "." + a.name + "'";
+
+        if (!knownType(schema, a.type))
+            res.push(new Diagnostic(Severity.Error, "unknown-type", "The type '" +
+                a.type + "' of " + where + " is not defined in AttributeTypes.", a));
+
+        res.push.apply(res, checkRange(a.min_value, a.max_value, where, a));
+
+        let type_def = schema.getType(a.type);
+        if (type_def)
+            res.push.apply(res, checkValues(type_def.values, a.min_value, a.max_value,
+                where, a));
+
+        if (undefined !== a.index)
+            indexed.push(a);
+    });
+
+    obj_def.refs.forEach(function (r) {
+        if (undefined !== r.min_count && undefined !== r.max_count &&
+            r.min_count > r.max_count)
+            res.push(new Diagnostic(Severity.Error, "invalid-count", "MinCount (" +
+                r.min_count + ") is greater than MaxCount (" + r.max_count + ") in " +
+                "reference '" + obj_def.name + "." + r.name + "'.", r));
+
+        if (undefined !== r.index)
+            indexed.push(r);
+    });
+
+    res.push.apply(res, checkIndexes(obj_def, indexed));
+
+    return res;
+}
+
+/**
+ * Converts the problems found in the request/response graph to diagnostics.
+ * @param {Schema} schema
+ * @returns {Array.<Diagnostic>}
+ */
+function validateMessages(schema) {
+    return schema.messages.validate().map(function (p) {
+        return new Diagnostic(Severity.Warning, "unpaired-message", p.message, p.object);
+    });
+}
+
+/**
+ * Converts the problems found while resolving the parent interfaces to diagnostics.
+ * @param {Schema} schema
+ * @returns {Array.<Diagnostic>}
+ */
+function validateInterfaces(schema) {
+    return schema.interfaces.validate().map(function (p) {
+        return new Diagnostic(Severity.Warning, "unknown-interface", p.message,
+            p.interface.group);
+    });
+}
+
+/**
+ * Converts the references the cross references could not resolve, missing or ambiguous,
+ * to diagnostics. Unknown types are reported by the checks of the types and objects.
+ * @param {Schema} schema
+ * @returns {Array.<Diagnostic>}
+ */
+function validateXref(schema) {
+    return schema.xref.validate().filter(function (p) {
+        return p.kind === UsageKind.Reference;
+    }).map(function (p) {
+        return new Diagnostic(Severity.Warning, "unresolved-reference", p.message,
+            p.member || p.definition);
+    });
+}
+
+
+//
+
+function knownType(schema, type_name) {
+    return schema.isNativeType(type_name) || undefined !== schema.getType(type_name);
+}
+
+function checkRange(min, max, where, def) {
+    if (undefined === min || undefined === max || min <= max)
+        return [];
+
+    return [ new Diagnostic(Severity.Error, "invalid-range", "MinValue (" + min +
+        ") is greater than MaxValue (" + max + ") in " + where + ".", def) ];
+}
+
+// Diagnostics point to 'def' if given, to the allowed value otherwise.
+function checkValues(values, min, max, where, def) {
+    let res = [];
+
+    (values || []).forEach(function (v) {
+        let n = Number(v.value);
+        if (isNaN(n))
+            return;
+
+        if ((undefined !== min && n < min) || (undefined !== max && n > max))
+            res.push(new Diagnostic(Severity.Warning, "value-out-of-range",
+                "Allowed value " + v.value + " (" + v.meaning + ") of " + where +
+                " is outside of the range [" + (undefined === min ? "" : min) + ", " +
+                (undefined === max ? "" : max) + "].", def || v));
+    });
+
+    return res;
+}
+
+function checkIndexes(obj_def, members) {
+    let res = [];
+    let by_index = {};
+
+    members.forEach(function (m) {
+        if (by_index[m.index])
+            res.push(new Diagnostic(Severity.Error, "duplicate-index", "Index " +
+                m.index + " of '" + obj_def.name + "." + m.name + "' is already used " +
+                "by '" + by_index[m.index].name + "'.", m));
+        else
+            by_index[m.index] = m;
+    });
+
+    let indexes = Object.keys(by_index).map(Number).sort(function (a, b) {
+        return a - b;
+    });
+
+    for (let i = 0, expected = 1; i < indexes.length; ++i, ++expected)
+        if (indexes[i] !== expected) {
+            res.push(new Diagnostic(Severity.Warning, "index-gap", "The Index values " +
+                "of object '" + obj_def.name + "' are not contiguous, expected " +
+                expected + " but found " + indexes[i] + ".", by_index[indexes[i]]));
+            break;
+        }
+
+    return res;
+}
+
+
+module.exports = {
+    Severity: Severity,
+    Diagnostic: Diagnostic,
+    validate: validate,
+    validateMessages: validateMessages,
+    validateInterfaces: validateInterfaces,
+    validateXref: validateXref
+};
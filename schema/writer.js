@@ -0,0 +1,441 @@
+"use strict";
+
+/**
+ * Writes a schema back to CrabelObjectSchema XML. Definitions read from a file keep the
+ * order of their attributes and child elements, the original text of values that did
+ * not change and any attribute the schema model does not know about, so the diff of an
+ * edited file only shows the actual edits.
+ * @module schema/writer
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+const path = require("path");
+//
+const xml = require("../xml");
+
+
+/**
+ * @typedef {Object} XmlWriterOptions
+ * @property {String} [source] Only writes the definitions read from this file, by
+ * default every definition of the schema is written.
+ * @property {String} [indent] Indentation of each level, four spaces by default.
+ * @property {String} [eol] End of line, by default the one used by the source file.
+ */
+
+// Conversions of attribute values, 'parse' as done by the schema loader.
+const bool = {
+    parse: xml.parse.bool,
+    format: function (v) { return v ? "True" : "False"; }
+};
+const num = { parse: xml.parse.number, format: String };
+const str = { parse: function (v) { return v; }, format: String };
+
+/*
+ * Attributes of every element, in their default order. 'get' returns the model value of
+ * the attribute, undefined or null when missing. Attributes flagged 'always' are written
+ * for new definitions even when false, as the schema editor does.
+ */
+const element_attrs = {
+    CrabelObjectSchema: [
+        { name: "Version", type: str, get: field("version") },
+        { name: "CodeOutputDirectory", type: str, get: field("code_output_dir") },
+        { name: "Engines", type: { parse: splitList, format: String },
+            get: function (s) { return s.engines.length ? s.engines.join(",") : null; } }
+    ],
+    Group: [
+        { name: "Name", type: str,
+            get: function (g) { return g.name.split("::").pop(); } },
+        { name: "IsInterface", type: bool, always: true, get: field("is_interface") },
+        { name: "InterfaceGUID", type: str, get: field("interface_guid") },
+        { name: "ParentInterface", type: str, get: field("parent_interface") }
+    ],
+    ObjectDef: [
+        { name: "Name", type: str, get: field("name") },
+        { name: "MessageType", type: str, get: field("msg_type") },
+        { name: "InheritsFrom", type: str, get: field("inherits_from") },
+        { name: "ResponseRequest", type: str, get: field("response_request") },
+        { name: "IsEvent", type: bool, always: true, get: field("is_event") },
+        { name: "DoNotArchive", type: bool, always: true, get: field("do_not_archive") },
+        { name: "NotPersistent", type: bool, always: true, get: field("not_persistent") },
+        { name: "CustomTimeToLive", type: bool, always: true,
+            get: field("custom_time_to_live") },
+        { name: "TimeToLive", type: num, get: field("time_to_live") },
+        { name: "EnableSetOf", type: bool, get: field("enable_set_of") },
+        { name: "Compressible", type: bool, get: field("compressible") },
+        { name: "MappedType", type: str, get: field("mapped_type") },
+        { name: "CPPObjectType", type: num, default: 1, get: field("cpp_obj_type") }
+    ],
+    Attribute: [
+        { name: "Name", type: str, get: field("name") },
+        { name: "Index", type: num, get: field("index") },
+        { name: "Type", type: str, get: field("type") },
+        { name: "Size", type: str, get: field("size") },
+        { name: "MinValue", type: num, get: field("min_value") },
+        { name: "MaxValue", type: num, get: field("max_value") },
+        { name: "Optional", type: bool, get: field("optional") },
+        { name: "EnableSetOf", type: bool, get: field("enable_set_of") }
+    ],
+    Object: [
+        { name: "Name", type: str,
+            get: function (r) { return isLinked(r) ? r.type : r.name; } },
+        { name: "Index", type: num, get: field("index") },
+        { name: "Type", type: str, get: function (r) {
+            return isLinked(r) ? (original(r, "Type") || "Node") : r.type;
+        } },
+        { name: "Intent", type: str, get: field("intent") },
+        { name: "LinkName", type: str,
+            get: function (r) { return isLinked(r) ? r.name : null; } },
+        { name: "MinCount", type: num, get: field("min_count") },
+        { name: "MaxCount", type: num, get: field("max_count") },
+        { name: "size", type: str, get: field("size") }
+    ],
+    TypeDef: [
+        { name: "Name", type: str, get: field("name") },
+        { name: "Type", type: str, get: field("type") },
+        { name: "Size", type: num, get: field("size") },
+        { name: "MinValue", type: num, get: field("min") },
+        { name: "MaxValue", type: num, get: field("max") },
+        { name: "ExternalUnit", type: str, get: field("external_unit") },
+        { name: "EnableSetOf", type: bool, get: field("enable_set_of") }
+    ],
+    AllowedValue: [
+        { name: "Value", type: str, get: field("value") },
+        { name: "Meaning", type: str, get: field("meaning") },
+        { name: "Intent", type: str, get: field("intent") }
+    ]
+};
+
+// Attributes written from the unit names of the schema.
+const UNIT_SUFFIX = "Unit";
+
+
+/**
+ * Returns the XML document of the given schema.
+ * @param {Schema} schema
+ * @param {XmlWriterOptions} [opts]
+ * @returns {String}
+ */
+function write(schema, opts) {
+    opts = Object.assign({ indent: "    " }, opts);
+
+    let root = schema.xml_roots[opts.source || schema.file_name || ""] || {};
+    let eol = opts.eol || root.eol || "\n";
+    let filter = sourceFilter(schema, opts.source);
+    let lines = [];
+
+    let children = {
+        Includes: function (level) {
+            if (!root.includes || root.includes.length === 0)
+                return null;
+
+            return [ open(level, "Includes") ].concat(root.includes.map(function (f) {
+                return pad(level + 1) + "<Include File=\"" + escapeAttr(f) + "\"/>";
+            }), [ close(level, "Includes") ]);
+        },
+        Groups: function (level, optional) {
+            return list(level, "Groups", schema.groups.filter(function (g) {
+                return !g.parent && filter.group(g);
+            }), writeGroup, optional);
+        },
+        AttributeTypes: function (level, optional) {
+            return list(level, "AttributeTypes", schema.types.filter(filter.type),
+                writeType, optional);
+        }
+    };
+
+    lines.push("<CrabelObjectSchema" + attributes(schema, rootAttrs(schema, root),
+        root.attrs) + ">");
+    writeChildren(lines, 1, root.children ? root : null,
+        [ "Includes", "Groups", "AttributeTypes" ], children);
+    lines.push("</CrabelObjectSchema>");
+
+    return lines.join(eol) + (root.final_eol === false ? "" : eol);
+
+
+    //
+
+    function pad(level) {
+        let res = "";
+        for (let i = 0; i < level; ++i)
+            res += opts.indent;
+
+        return res;
+    }
+
+    function open(level, name) {
+        return pad(level) + "<" + name + ">";
+    }
+
+    function close(level, name) {
+        return pad(level) + "</" + name + ">";
+    }
+
+    /**
+     * Writes the child elements in the order of the original element 'elem', followed
+     * by the missing default ones. Sections missing from an existing element are only
+     * added when they are not empty.
+     */
+    function writeChildren(lines, level, elem, defaults, children) {
+        let names = elem ? elem.children.slice() : [];
+        let added = [];
+
+        defaults.forEach(function (n) {
+            if (names.indexOf(n) < 0) {
+                names.push(n);
+                added.push(n);
+            }
+        });
+
+        names.forEach(function (n) {
+            let res;
+            if (children[n])
+                res = children[n](level, Boolean(elem) && added.indexOf(n) >= 0);
+            else if (elem.empty.indexOf(n) >= 0)
+                res = [ pad(level) + "<" + n + "/>" ];
+
+            if (res)
+                lines.push.apply(lines, res);
+        });
+    }
+
+    function list(level, name, defs, write_fn, optional) {
+        if (defs.length === 0)
+            return optional ? null : [ pad(level) + "<" + name + "/>" ];
+
+        let res = [ open(level, name) ];
+        defs.forEach(function (d) {
+            res.push.apply(res, write_fn(d, level + 1));
+        });
+        res.push(close(level, name));
+
+        return res;
+    }
+
+    function intent(level, text) {
+        if (!text || text === "<missing>" || text === "<Missing>")
+            return null;
+
+        return [ pad(level) + "<Intent>" + escapeText(text) + "</Intent>" ];
+    }
+
+    function element(level, name, def, defaults, children) {
+        let head = pad(level) + "<" + (name === "TypeDef" ? "Attribute" : name) +
+            attributes(def, element_attrs[name], def.xml_elem && def.xml_elem.attrs);
+
+        let body = [];
+        writeChildren(body, level + 1, def.xml_elem, defaults, children);
+
+        if (body.length === 0)
+            return [ head + "/>" ];
+
+        return [ head + ">" ].concat(body,
+            [ close(level, name === "TypeDef" ? "Attribute" : name) ]);
+    }
+
+    function writeGroup(group, level) {
+        return element(level, "Group", group, [ "Intent", "Groups", "ObjectTypes" ], {
+            Intent: function (l) { return intent(l, group.intent); },
+            Groups: function (l, optional) {
+                return list(l, "Groups", schema.groups.filter(function (g) {
+                    return g.parent === group && filter.group(g);
+                }), writeGroup, optional);
+            },
+            ObjectTypes: function (l, optional) {
+                return list(l, "ObjectTypes", schema.objects.filter(function (o) {
+                    return o.parent === group && filter.object(o);
+                }), writeObject, optional);
+            }
+        });
+    }
+
+    function writeObject(obj_def, level) {
+        let defaults = [ "Intent", "Attributes", "References" ];
+
+        return element(level, "ObjectDef", obj_def, defaults, {
+            Intent: function (l) { return intent(l, obj_def.intent); },
+            Attributes: function (l, optional) {
+                return list(l, "Attributes", obj_def.attrs, writeAttr, optional);
+            },
+            References: function (l, optional) {
+                return list(l, "References", obj_def.refs, writeRef, optional);
+            }
+        });
+    }
+
+    function writeAttr(attr, level) {
+        return element(level, "Attribute", attr, [ "Intent" ], {
+            Intent: function (l) { return intent(l, attr.intent); }
+        });
+    }
+
+    function writeRef(ref, level) {
+        return element(level, "Object", ref, [], {});
+    }
+
+    function writeType(type_def, level) {
+        let defaults = [ "Intent" ];
+        if (type_def.values.length > 0)
+            defaults.push("AllowedValues");
+
+        return element(level, "TypeDef", type_def, defaults, {
+            Intent: function (l) { return intent(l, type_def.intent); },
+            AllowedValues: function (l, optional) {
+                return list(l, "AllowedValues", type_def.values, writeValue, optional);
+            }
+        });
+    }
+
+    function writeValue(value, level) {
+        return element(level, "AllowedValue", value, [], {});
+    }
+}
+
+
+//
+
+/**
+ * Returns the attributes of the given definition as ' Name="value"' pairs, in the order
+ * of the original attributes 'raw' followed by the missing ones.
+ * @param {Object} def
+ * @param {Array} descriptors
+ * @param {Object} [raw]
+ * @returns {String}
+ */
+function attributes(def, descriptors, raw) {
+    let is_new = !raw;
+    raw = raw || {};
+
+    let names = Object.keys(raw);
+    let res = "";
+
+    descriptors.forEach(function (d) {
+        if (names.indexOf(d.name) < 0)
+            names.push(d.name);
+    });
+
+    names.forEach(function (n) {
+        let d = descriptors.find(function (d) { return d.name === n; });
+        let val;
+
+        if (!d)
+            val = raw[n];
+        else
+            val = value(d, def, raw[n], is_new);
+
+        if (undefined !== val && null !== val)
+            res += " " + n + "=\"" + escapeAttr(val) + "\"";
+    });
+
+    return res;
+}
+
+function value(desc, def, raw, is_new) {
+    let val = desc.get(def);
+
+    if (undefined === val || null === val)
+        return null;
+
+    if (undefined !== raw && same(desc.type.parse(raw), val))
+        return raw;
+
+    if (undefined === raw && val === desc.default)
+        return null;
+
+    // Flags are only added to existing elements when set.
+    if (false === val && undefined === raw && !(desc.always && is_new))
+        return null;
+
+    return desc.type.format(val);
+}
+
+function same(a, b) {
+    return a === b || String(a) === String(b);
+}
+
+function rootAttrs(schema, root) {
+    let raw_names = Object.keys(root.attrs || {});
+
+    let units = Object.keys(schema.units).map(function (u) {
+        let name = u.split("_").map(function (p) {
+            return p.charAt(0).toUpperCase() + p.slice(1);
+        }).join("") + UNIT_SUFFIX;
+
+        // Keeps the original spelling of the attribute.
+        name = raw_names.find(function (k) {
+            return k.toLowerCase() === name.toLowerCase();
+        }) || name;
+
+        return { name: name, type: str, get: function (s) { return s.units[u]; } };
+    });
+
+    return element_attrs.CrabelObjectSchema.concat(units);
+}
+
+function field(name) {
+    return function (def) { return def[name]; };
+}
+
+function splitList(v) {
+    return v.split(",").map(function (e) { return e.trim(); }).filter(function (e) {
+        return e.length > 0;
+    }).join(",");
+}
+
+function isLinked(ref) {
+    if (ref.xml_elem)
+        return undefined !== ref.xml_elem.attrs.LinkName;
+
+    return ref.type !== "Node";
+}
+
+function original(def, attr_name) {
+    return def.xml_elem ? def.xml_elem.attrs[attr_name] : undefined;
+}
+
+/**
+ * Returns the predicates selecting the definitions read from the given source file.
+ */
+function sourceFilter(schema, source) {
+    let all = function () { return true; };
+    if (!source)
+        return { group: all, object: all, type: all };
+
+    let file = path.resolve(source);
+    let fromSource = function (def) {
+        return Boolean(def.position && def.position.file &&
+            path.resolve(def.position.file) === file);
+    };
+
+    let group = function (g) {
+        return fromSource(g) || schema.objects.some(function (o) {
+            return fromSource(o) && isIn(o.parent, g);
+        });
+    };
+
+    return { group: group, object: fromSource, type: fromSource };
+
+
+    //
+
+    function isIn(child, g) {
+        for (let p = child; p; p = p.parent)
+            if (p === g)
+                return true;
+
+        return false;
+    }
+}
+
+function escapeText(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+function escapeAttr(val) {
+    return escapeText(val).replace(/"/g, "&quot;");
+}
+
+
+module.exports = {
+    write: write
+};
@@ -0,0 +1,279 @@
+"use strict";
+
+/**
+ * Cross-reference ("where used") index of a schema. Types are used by the attributes
+ * declared with them and by the types based on them, objects by the references that
+ * point to them and by the objects inheriting from them.
+ * @module schema/xref
+ * @author Carlos Galavis <cgalavis@crabel.com>
+ */
+
+
+/**
+ * Kinds of usage recorded by the index.
+ * @enum {String}
+ */
+const UsageKind = {
+    // An attribute of an object declared with the type.
+    Attribute: "attribute",
+    // A type based on the type.
+    Type: "type",
+    // A reference of an object pointing to the object.
+    Reference: "reference",
+    // An object inheriting from the object.
+    Inheritance: "inheritance"
+};
+
+
+/**
+ * @typedef {Object} Usage
+ * @property {String} kind See {@link UsageKind}.
+ * @property {ObjectDef|TypeDef} user Definition using the type or object.
+ * @property {Object} [member] Attribute or reference of 'user', if any.
+ */
+
+/**
+ * @typedef {Object} Dependencies
+ * @property {Array.<ObjectDef>} objects
+ * @property {Array.<TypeDef>} types
+ */
+
+
+/**
+ * Cross-reference index of the given schema, built when created. The schema creates it
+ * once loaded and again after every change, see 'Schema.refresh'. Types and objects
+ * that cannot be resolved do not throw, they are reported by 'validate'.
+ * @param {Schema} schema
+ * @returns {CrossReference}
+ * @constructor
+ */
+function CrossReference(schema) {
+    if (!this)
+        return new CrossReference(schema);
+
+    Object.defineProperty(this, 'schema', { value: schema, enumerable: false });
+    Object.defineProperty(this, 'users',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'uses',
+        { writable: true, value: null, enumerable: false });
+    Object.defineProperty(this, 'problems',
+        { writable: true, value: null, enumerable: false });
+
+    this._index();
+}
+
+/**
+ * Returns the usages of the given type or object, those of the given kind only if a
+ * kind is given.
+ * @param {TypeDef|ObjectDef|String} def Definition, type name or object name.
+ * @param {String} [kind] See {@link UsageKind}.
+ * @returns {Array.<Usage>}
+ */
+CrossReference.prototype.getUsers = function (def, kind) {
+    let res = this.users.get(this._def(def)) || [];
+    if (undefined === kind)
+        return res.slice();
+
+    return res.filter(function (u) { return u.kind === kind; });
+};
+
+/**
+ * Returns true if the given type or object is used by any other definition.
+ * @param {TypeDef|ObjectDef|String} def Definition, type name or object name.
+ * @returns {Boolean}
+ */
+CrossReference.prototype.isUsed = function (def) {
+    return this.users.has(this._def(def));
+};
+
+/**
+ * Returns the types not used by any attribute or type.
+ * @returns {Array.<TypeDef>}
+ */
+CrossReference.prototype.getUnusedTypes = function () {
+    let self = this;
+
+    return this.schema.types.filter(function (t) { return !self.users.has(t); });
+};
+
+/**
+ * Returns the objects no reference points to and no object inherits from. Messages
+ * are usually among them, they are sent on their own.
+ * @returns {Array.<ObjectDef>}
+ */
+CrossReference.prototype.getUnreferencedObjects = function () {
+    let self = this;
+
+    return this.schema.objects.filter(function (o) { return !self.users.has(o); });
+};
+
+/**
+ * Returns every object and type the given object depends on, directly or through other
+ * definitions: its base objects, the objects it references and the types of their
+ * attributes, together with the types those types are based on.
+ * @param {ObjectDef|String} obj Object definition or name.
+ * @returns {Dependencies}
+ */
+CrossReference.prototype.getDependencies = function (obj) {
+    return this._walk(this._def(obj), this.uses);
+};
+
+/**
+ * Returns every object and type that depends on the given type or object, directly or
+ * through other definitions. These are the definitions affected by a change to it.
+ * @param {TypeDef|ObjectDef|String} def Definition, type name or object name.
+ * @returns {Dependencies}
+ */
+CrossReference.prototype.getDependents = function (def) {
+    let users = new Map();
+
+    this.users.forEach(function (usages, d) {
+        users.set(d, usages.map(function (u) { return u.user; }));
+    });
+
+    return this._walk(this._def(def), users);
+};
+
+/**
+ * Returns the problems found while building the index, an empty list means every type
+ * and reference was resolved. The kind of usage and the attribute or reference that
+ * could not be resolved, if any, are given as well.
+ * @returns {Array.<{ definition: (ObjectDef|TypeDef), message: String, kind: String,
+ *  member: Object }>}
+ */
+CrossReference.prototype.validate = function () {
+    return this.problems.slice();
+};
+
+
+//
+
+CrossReference.prototype._index = function () {
+    let self = this;
+    let schema = this.schema;
+
+    this.users = new Map();
+    this.uses = new Map();
+    this.problems = [];
+
+    schema.types.forEach(function (t) {
+        if (schema.isNativeType(t.type))
+            return;
+
+        let base = schema.getType(t.type);
+        if (!base)
+            return self.problems.push(problem(t, "The base type '" + t.type +
+                "' of type '" + t.name + "' is not defined.", UsageKind.Type));
+
+        self._add(base, usage(UsageKind.Type, t));
+    });
+
+    schema.objects.forEach(function (o) {
+        if (o.base)
+            self._add(o.base, usage(UsageKind.Inheritance, o));
+
+        o.attrs.forEach(function (a) {
+            if (schema.isNativeType(a.type))
+                return;
+
+            let type_def = schema.getType(a.type);
+            if (!type_def)
+                return self.problems.push(problem(o, "The type '" + a.type + "' of " +
+                    "attribute '" + a.name + "' of '" + o.fullName() + "' is not " +
+                    "defined.", UsageKind.Attribute, a));
+
+            self._add(type_def, usage(UsageKind.Attribute, o, a));
+        });
+
+        o.refs.forEach(function (r) {
+            let ref_obj;
+            try {
+                ref_obj = o.getRefObject(r);
+            }
+            catch (e) {
+                return self.problems.push(problem(o, e.message, UsageKind.Reference, r));
+            }
+
+            if (!ref_obj)
+                return self.problems.push(problem(o, "The object referenced by '" +
+                    r.name + "' of '" + o.fullName() + "' is not defined.",
+                    UsageKind.Reference, r));
+
+            self._add(ref_obj, usage(UsageKind.Reference, o, r));
+        });
+    });
+};
+
+CrossReference.prototype._add = function (def, u) {
+    if (!this.users.has(def))
+        this.users.set(def, []);
+
+    this.users.get(def).push(u);
+
+    if (!this.uses.has(u.user))
+        this.uses.set(u.user, []);
+
+    if (this.uses.get(u.user).indexOf(def) < 0)
+        this.uses.get(u.user).push(def);
+};
+
+CrossReference.prototype._def = function (def) {
+    if (typeof def !== "string")
+        return def;
+
+    let res = this.schema.getType(def) || this.schema.getObject(def) ||
+        this.schema.findObject(def);
+
+    if (!res)
+        throw new Error("Failed to look up '" + def + "', it is neither a type nor an " +
+            "object of the schema.");
+
+    return res;
+};
+
+CrossReference.prototype._walk = function (def, edges) {
+    let res = { objects: [], types: [] };
+    let visited = new Set([ def ]);
+    let pending = [ def ];
+
+    // Breadth first, nearer definitions are listed first.
+    while (pending.length > 0) {
+        (edges.get(pending.shift()) || []).forEach(function (d) {
+            if (visited.has(d))
+                return;
+
+            visited.add(d);
+            pending.push(d);
+
+            if (d.fullName)
+                res.objects.push(d);
+            else
+                res.types.push(d);
+        });
+    }
+
+    return res;
+};
+
+
+function usage(kind, user, member) {
+    let res = { kind: kind, user: user };
+    if (member)
+        res.member = member;
+
+    return res;
+}
+
+function problem(def, message, kind, member) {
+    let res = { definition: def, message: message, kind: kind };
+    if (member)
+        res.member = member;
+
+    return res;
+}
+
+
+module.exports = {
+    UsageKind: UsageKind,
+    CrossReference: CrossReference
+};
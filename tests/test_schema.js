@@ -0,0 +1,1965 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+let expect = require("chai").expect;
+
+const Schema = require("../schema").Schema;
+
+const tmp_path = path.join(os.tmpdir(), "crabel-shared-test-schema");
+const opts = { path: tmp_path };
+
+function loadXml(xml_str, cb) {
+    if (!fs.existsSync(tmp_path))
+        fs.mkdirSync(tmp_path);
+
+    let file_name = path.join(tmp_path, "Schema.xml");
+    fs.writeFileSync(file_name, xml_str, "utf8");
+    Schema.load(file_name, opts, cb);
+}
+
+function objectDef(name, props, attrs) {
+    if (typeof props === "string")
+        props = { InheritsFrom: props };
+
+    props = Object.assign({ MessageType: "None" }, props);
+
+    return '<ObjectDef Name="' + name + '"' +
+        Object.keys(props).map(function (k) {
+            return ' ' + k + '="' + props[k] + '"';
+        }).join("") +
+        '><Intent>' + name + '</Intent><Attributes>' +
+        (attrs || []).map(function (a) {
+            return '<Attribute Name="' + a + '" Type="Integer"/>';
+        }).join("") + '</Attributes><References/></ObjectDef>';
+}
+
+// Every object and type is written on its own line, starting at line 2.
+function schemaXml(objects, types) {
+    return '<CrabelObjectSchema Version="1.10" Engines="TradeEngine, ViewEngine" ' +
+        'TagsUnit="CrabelPipelineTags"><Groups>' +
+        '<Group Name="Test" IsInterface="False"><Intent>Test</Intent><Groups/>' +
+        '<ObjectTypes>\n' + objects.join("\n") + '</ObjectTypes></Group>' +
+        '</Groups><AttributeTypes>\n' + (types || []).join("\n") +
+        '</AttributeTypes></CrabelObjectSchema>';
+}
+
+
+// ===================
+// Schema Test Suite
+// ===================
+describe("Schema Test Suite", function () {
+    describe("Loading", function () {
+        let xml_str = schemaXml([ objectDef("Order", {}, [ "ID" ]) ]);
+
+        it("Schema.parse from strings and buffers", function () {
+            let s = Schema.parse(xml_str, opts);
+            expect(s.findObject("Order").attrs[0].name).to.equal("ID");
+
+            s = Schema.parse(Buffer.from(xml_str, "utf8"), opts);
+            expect(s.objects.length).to.equal(1);
+            expect(s.file_name).to.equal(null);
+        });
+
+        it("Schema.loadSync", function () {
+            let file_name = path.join(tmp_path, "Sync.xml");
+            fs.writeFileSync(file_name, xml_str, "utf8");
+
+            let s = Schema.loadSync(file_name, opts);
+            expect(s.objects.length).to.equal(1);
+            expect(s.file_name).to.equal(file_name);
+
+            expect(function () {
+                Schema.loadSync(path.join(tmp_path, "Missing.xml"), opts);
+            }).to.throw(Error, /does not exist/);
+        });
+
+        it("Schema.loadAsync", function () {
+            let file_name = path.join(tmp_path, "Async.xml");
+            fs.writeFileSync(file_name, xml_str, "utf8");
+
+            return Schema.loadAsync(file_name, opts).then(function (s) {
+                expect(s.objects.length).to.equal(1);
+                return Schema.loadAsync(path.join(tmp_path, "Missing.xml"), opts);
+            }).then(function () {
+                throw new Error("The promise should have been rejected.");
+            }, function (err) {
+                expect(err.message).to.contain("does not exist");
+            });
+        });
+
+        it("Reports errors consistently", function (done) {
+            expect(function () { Schema.parse("<Broken>", opts); })
+                .to.throw(Error, /Failed to parse schema document/);
+            expect(function () { Schema.parse("<Other/>", opts); })
+                .to.throw(Error, /'CrabelObjectSchema' element is missing/);
+
+            let s = new Schema(opts);
+            let emitted = [];
+            s.on("err", function (e) { emitted.push(e); });
+
+            expect(function () { s.parse("<Other/>"); }).to.throw(Error);
+            expect(emitted.length).to.equal(1);
+
+            // Failures found once the documents are parsed are emitted once as well.
+            let bad_base = schemaXml([ objectDef("Fill", "Missing") ]);
+            expect(function () { s.parse(bad_base); }).to.throw(Error, /is not valid/);
+            expect(emitted.length).to.equal(2);
+
+            loadXml("<Other/>", function (err, s) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.message).to.contain("'CrabelObjectSchema' element is missing");
+                expect(s).to.equal(null);
+
+                let file_name = path.join(tmp_path, "Schema.xml");
+                let async_emitted = [];
+                fs.writeFileSync(file_name, bad_base, "utf8");
+
+                let a = new Schema(opts);
+                a.on("err", function (e) { async_emitted.push(e); });
+                a.load(file_name, function (err) {
+                    expect(err.message).to.contain("is not valid");
+                    expect(async_emitted).to.deep.equal([ err ]);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe("Streaming Load", function () {
+        it("Announces definitions as they are parsed", function () {
+            let file_name = path.join(tmp_path, "Events.xml");
+            let objects = [ objectDef("Order", {}, [ "ID" ]), objectDef("Fill", "Order") ];
+            let types = [ '<Attribute Name="TQty" Type="Integer"/>' ];
+            fs.writeFileSync(file_name, schemaXml(objects, types), "utf8");
+
+            let s = new Schema(opts);
+            let events = [];
+            let progress = [];
+            [ "group", "type", "object" ].forEach(function (name) {
+                s.on(name, function (def) {
+                    events.push(name + ":" + (def.fullName ? def.fullName() : def.name));
+                });
+            });
+            s.on("progress", function (p) { progress.push(p); });
+            s.on("done", function () { events.push("done"); });
+
+            return s.loadAsync(file_name).then(function () {
+                expect(events).to.deep.equal([ "object:Test::Order", "object:Test::Fill",
+                    "group:Test", "type:TQty", "done" ]);
+
+                let size = fs.statSync(file_name).size;
+                expect(progress[progress.length - 1])
+                    .to.deep.equal({ file_name: file_name, bytes: size, total: size });
+            });
+        });
+
+        it("Parses documents larger than a chunk", function () {
+            let objects = [];
+            let props = { Comment: "x".repeat(256) };
+            for (let i = 0; i < 500; ++i)
+                objects.push(objectDef("Order" + i, props, [ "ID", "Qty" ]));
+
+            let xml_str = schemaXml(objects);
+            let s = new Schema(opts);
+            let progress = [];
+            s.on("progress", function (p) { progress.push(p.bytes); });
+            s.parse(xml_str);
+
+            expect(progress.length).to.be.above(1);
+            expect(progress[progress.length - 1]).to.equal(Buffer.byteLength(xml_str));
+            expect(s.objects.length).to.equal(500);
+            expect(s.findObject("Order499").position.line).to.equal(501);
+            expect(s.findObject("Order499").attrs.map(function (a) { return a.name; }))
+                .to.deep.equal([ "ID", "Qty" ]);
+        });
+
+        it("Skips the byte order mark", function () {
+            let xml_str = schemaXml([ objectDef("Order", {}, [ "ID" ]) ]);
+            let bom = Buffer.from([ 0xEF, 0xBB, 0xBF ]);
+            let s = Schema.parse(Buffer.concat([ bom, Buffer.from(xml_str) ]), opts);
+
+            expect(s.findObject("Order").position.line).to.equal(2);
+            expect(s.findObject("Order").attrs[0].name).to.equal("ID");
+        });
+    });
+
+    describe("Merging", function () {
+        function writeXml(name, xml_str) {
+            let file_name = path.join(tmp_path, name);
+            fs.writeFileSync(file_name, xml_str, "utf8");
+            return file_name;
+        }
+
+        it("Loads several files into one schema", function () {
+            let a = writeXml("A.xml", schemaXml([ objectDef("Order", {}, [ "ID" ]) ]));
+            let b = writeXml("B.xml", schemaXml([ objectDef("Fill", "Order") ],
+                [ '<Attribute Name="TQty" Type="Integer"/>' ]));
+
+            let s = Schema.loadSync([ a, b ], opts);
+            expect(s.groups.length).to.equal(1);
+            expect(s.objects.map(function (o) { return o.fullName(); }))
+                .to.deep.equal([ "Test::Order", "Test::Fill" ]);
+            expect(s.findObject("Fill").base).to.equal(s.findObject("Order"));
+            expect(s.findObject("Fill").position).to.deep.equal({ file: b, line: 2 });
+            expect(s.getType("TQty").position.file).to.equal(b);
+            expect(s.files).to.deep.equal([ a, b ]);
+
+            return Schema.loadAsync([ a, b ], opts).then(function (s) {
+                expect(s.objects.length).to.equal(2);
+            });
+        });
+
+        it("Loads included files once", function () {
+            let a = writeXml("IncA.xml", schemaXml([ objectDef("Order", {}, [ "ID" ]) ]));
+            let b = writeXml("IncB.xml", schemaXml([ objectDef("Fill", "Order") ])
+                .replace("<Groups>", '<Includes><Include File="IncA.xml"/></Includes>' +
+                    '<Groups>'));
+
+            let s = Schema.loadSync([ a, b ], opts);
+            expect(s.files).to.deep.equal([ a, b ]);
+
+            s = Schema.loadSync(b, opts);
+            expect(s.files).to.deep.equal([ b, a ]);
+            expect(s.findObject("Order").position.file).to.equal(a);
+
+            let c = writeXml("IncC.xml", schemaXml([ objectDef("Cancel", "Order") ])
+                .replace("<Groups>", '<Includes><Include File="IncA.xml"/>' +
+                    '<Include File="IncB.xml"/></Includes><Groups>'));
+
+            return Schema.loadAsync(c, opts).then(function (s) {
+                expect(s.files).to.deep.equal([ c, a, b ]);
+                expect(s.objects.map(function (o) { return o.fullName(); }))
+                    .to.deep.equal([ "Test::Order", "Test::Fill", "Test::Cancel" ]);
+                expect(s.findObject("Cancel").position)
+                    .to.deep.equal({ file: c, line: 2 });
+                expect(JSON.stringify(s))
+                    .to.equal(JSON.stringify(Schema.loadSync(c, opts)));
+            });
+        });
+
+        it("Rejects objects and types defined twice", function () {
+            let a = writeXml("DupA.xml", schemaXml([ objectDef("Order", {}, [ "ID" ]) ],
+                [ '<Attribute Name="TQty" Type="Integer"/>' ]));
+
+            let s = Schema.loadSync(a, opts);
+            expect(function () {
+                s.merge(schemaXml([ objectDef("Order", {}, [ "ID" ]) ]), "Dup.xml");
+            }).to.throw("Failed to merge the schema file 'Dup.xml', the object " +
+                "'Test::Order' is already defined in '" + a + "' at line 2.");
+
+            expect(function () {
+                Schema.parse(schemaXml([], [ '<Attribute Name="TQty" Type="Integer"/>' ]),
+                    opts).merge(schemaXml([], [ '<Attribute Name="TQty" Type="Alpha"/>' ]));
+            }).to.throw("the type 'TQty' is already defined at line 3.");
+        });
+    });
+
+    describe("JSON Dump", function () {
+        let xml_str = schemaXml([
+            objectDef("Order", { IsEvent: "True" }, [ "ID" ]),
+            objectDef("Fill", "Order", [ "Qty" ])
+        ], [ '<Attribute Name="TSide" Type="Integer"><AllowedValues>' +
+            '<AllowedValue Value="1" Meaning="Buy"/></AllowedValues></Attribute>' ]);
+
+        it("Restores the schema with Schema.fromJSON", function () {
+            let s = Schema.parse(xml_str, opts);
+            let r = Schema.fromJSON(JSON.stringify(s), opts);
+
+            expect(JSON.stringify(r)).to.equal(JSON.stringify(s));
+            expect(r.getObject("Test::Fill").parent).to.equal(r.group_map.Test);
+            expect(r.getObject("Test::Fill").base).to.equal(r.getObject("Test::Order"));
+            expect(r.getObject("Test::Fill").getAttr("ID").origin).to.equal("Test::Order");
+            expect(r.getObject("Test::Fill").position.line).to.equal(3);
+            expect(r.getEnum("TSide")).to.deep.equal({ Buy: 1 });
+
+            expect(function () { Schema.fromJSON("{}", opts); })
+                .to.throw("not a schema dump");
+        });
+
+        it("Reuses the cache while the source does not change", function () {
+            let file_name = path.join(tmp_path, "Cached.xml");
+            let cache_opts = { path: tmp_path, cache: path.join(tmp_path, "cache.json") };
+
+            fs.writeFileSync(file_name, xml_str, "utf8");
+            if (fs.existsSync(cache_opts.cache))
+                fs.unlinkSync(cache_opts.cache);
+
+            let s = Schema.loadSync(file_name, cache_opts);
+            expect(s.sources[0].hash).to.have.length(40);
+            expect(fs.existsSync(cache_opts.cache)).to.equal(true);
+
+            // Tampering with the cache shows whether it was used.
+            let cached = JSON.parse(fs.readFileSync(cache_opts.cache, "utf8"));
+            cached.version = "cached";
+            fs.writeFileSync(cache_opts.cache, JSON.stringify(cached), "utf8");
+
+            expect(Schema.loadSync(file_name, cache_opts).version).to.equal("cached");
+
+            // Same content with a new modification time, the hash still matches.
+            fs.utimesSync(file_name, new Date(), new Date(Date.now() + 10000));
+            expect(Schema.loadSync(file_name, cache_opts).version).to.equal("cached");
+
+            fs.writeFileSync(file_name, xml_str.replace("1.10", "1.11"), "utf8");
+            expect(Schema.loadSync(file_name, cache_opts).version).to.equal("1.11");
+        });
+
+        it("Parses the source when the cache is corrupt", function () {
+            let file_name = path.join(tmp_path, "Cached.xml");
+            let cache_opts = { path: tmp_path, cache: path.join(tmp_path, "cache.json") };
+
+            fs.writeFileSync(file_name, xml_str, "utf8");
+            Schema.loadSync(file_name, cache_opts);
+
+            let cached = JSON.parse(fs.readFileSync(cache_opts.cache, "utf8"));
+            delete cached.sources;
+            cached.version = "cached";
+            fs.writeFileSync(cache_opts.cache, JSON.stringify(cached), "utf8");
+
+            let s = new Schema(cache_opts);
+            let errors = [];
+            s.on("err", function (e) { errors.push(e); });
+
+            return s.loadAsync(file_name).then(function () {
+                expect(s.version).to.equal("1.10");
+                expect(s.objects.length).to.equal(2);
+
+                // Restoring fails once the sources are there, the types are missing.
+                cached = JSON.parse(fs.readFileSync(cache_opts.cache, "utf8"));
+                delete cached.types;
+                fs.writeFileSync(cache_opts.cache, JSON.stringify(cached), "utf8");
+
+                expect(Schema.loadSync(file_name, cache_opts).getType("TSide"))
+                    .to.not.equal(undefined);
+                expect(errors).to.deep.equal([]);
+            });
+        });
+
+        it("Writes the source back after a cache hit", function () {
+            let file_name = path.join(tmp_path, "Cached.xml");
+            let cache_opts = { path: tmp_path, cache: path.join(tmp_path, "cache.json") };
+
+            fs.writeFileSync(file_name, xml_str, "utf8");
+            if (fs.existsSync(cache_opts.cache))
+                fs.unlinkSync(cache_opts.cache);
+
+            let xml_doc = Schema.loadSync(file_name, cache_opts).toXml();
+
+            let s = new Schema(cache_opts);
+            let parsed = false;
+            s.on("loaded", function () { parsed = true; });
+            s.loadSync(file_name);
+
+            expect(parsed).to.equal(false);
+            expect(s.toXml()).to.equal(xml_doc);
+            expect(xml_doc).to.not.contain("DoNotArchive");
+        });
+    });
+
+    describe("Name Resolution", function () {
+        function group(name, objects, groups) {
+            return '<Group Name="' + name + '" IsInterface="False"><Groups>' +
+                (groups || []).join("") + '</Groups><ObjectTypes>' +
+                objects.map(function (o) { return objectDef(o, {}); }).join("") +
+                '</ObjectTypes></Group>';
+        }
+
+        let xml_str = '<CrabelObjectSchema Version="1.10"><Groups>' +
+            group("Orders", [ "Order", "Fill" ], [
+                group("Lists", [ "OrderList", "Order" ]),
+                group("Fill", [ "Detail" ])
+            ]) +
+            group("Trades", [ "Trade", "Detail" ]) +
+            '</Groups><AttributeTypes><Attribute Name="TSide" Type="Integer"/>' +
+            '</AttributeTypes></CrabelObjectSchema>';
+
+        it("Builds consistent full names", function () {
+            let s = Schema.parse(xml_str, opts);
+            let lists = s.group_map["Orders::Lists"];
+
+            expect(lists.fullName()).to.equal("Orders::Lists");
+            expect(lists.getShortName()).to.equal("Lists");
+            expect(s.findObject("OrderList").fullName())
+                .to.equal("Orders::Lists::OrderList");
+            expect(s.getObject("Orders::Lists::OrderList").name).to.equal("OrderList");
+        });
+
+        it("Resolves names from the innermost scope outwards", function () {
+            let s = Schema.parse(xml_str, opts);
+            let lists = s.group_map["Orders::Lists"];
+            let name = function (d) { return d && d.fullName ? d.fullName() : d; };
+
+            expect(name(s.resolve("Order", lists))).to.equal("Orders::Lists::Order");
+            expect(name(s.resolve("Order", "Orders"))).to.equal("Orders::Order");
+            expect(name(s.resolve("::Orders::Order", lists))).to.equal("Orders::Order");
+            expect(name(s.resolve("Lists::OrderList", "Orders"))).to.equal(
+                "Orders::Lists::OrderList");
+            expect(name(s.resolve("Trades", lists))).to.equal("Trades");
+            expect(s.resolve("Orders::OrderList")).to.equal(undefined);
+            expect(s.resolve("OrderList", "Trades")).to.equal(undefined);
+            expect(s.resolve("TSide", lists).name).to.equal("TSide");
+            expect(s.resolve("::Lists::OrderList")).to.equal(undefined);
+
+            // The group 'Orders::Fill' hides nothing when looking for objects only.
+            expect(name(s.resolve("Fill", "Orders", "object"))).to.equal("Orders::Fill");
+            expect(function () { s.resolve("Fill", "Orders"); }).to.throw(
+                "The name 'Fill' is ambiguous in group 'Orders', it matches: " +
+                "Orders::Fill (group), Orders::Fill (object).");
+            expect(name(s.resolve("Detail", s.findObject("Trade")))).to.equal(
+                "Trades::Detail");
+        });
+
+        it("Finds objects the way schema documents reference them", function () {
+            let s = Schema.parse(xml_str, opts);
+            let name = function (d) { return d && d.fullName ? d.fullName() : d; };
+
+            expect(name(s.findObject("OrderList", "Trades")))
+                .to.equal("Orders::Lists::OrderList");
+            expect(name(s.resolve("Lists", "Trades", "group", { loose: true })))
+                .to.equal("Orders::Lists");
+            expect(name(s.findObject("Detail", "Orders::Lists")))
+                .to.equal("Orders::Fill::Detail");
+            expect(function () { s.findObject("Detail"); }).to.throw(
+                "it matches: Orders::Fill::Detail (object), Trades::Detail (object).");
+            expect(name(s.findObject("Orders::OrderList")))
+                .to.equal("Orders::Lists::OrderList");
+            expect(s.findObject("Trades::OrderList")).to.equal(undefined);
+
+            s.removeGroup("Orders::Lists");
+            expect(s.findObject("OrderList")).to.equal(undefined);
+        });
+
+        it("Resolves required references to objects other than their own", function () {
+            let s = Schema.parse(schemaXml([
+                objectDef("Order", {}, [ "ID" ]),
+                '<ObjectDef Name="Node" MessageType="None"><Attributes/><References>' +
+                    '<Object Name="Node" Type="Node" MinCount="0"/></References>' +
+                    '</ObjectDef>'
+            ]).replace("<Groups/>", '<Groups><Group Name="Wire"><ObjectTypes>' +
+                '<ObjectDef Name="Order" MessageType="None"><Attributes/><References>' +
+                '<Object Name="Order" Type="Node" MinCount="1" MaxCount="1"/>' +
+                '</References></ObjectDef></ObjectTypes></Group></Groups>'), opts);
+
+            let wire = s.getObject("Test::Wire::Order");
+            let node = s.getObject("Test::Node");
+            expect(wire.getRefObject(wire.refs[0])).to.equal(s.getObject("Test::Order"));
+            expect(node.getRefObject(node.refs[0])).to.equal(node);
+            expect(s.xref.validate()).to.deep.equal([]);
+        });
+    });
+
+    describe("Inheritance", function () {
+        it("Flattens inherited attributes", function (done) {
+            loadXml(schemaXml([
+                objectDef("Base", null, [ "ID", "Name" ]),
+                objectDef("Middle", "Base", [ "Size" ]),
+                objectDef("Derived", "Middle", [ "Name", "Price" ])
+            ]), function (err, s) {
+                expect(err).to.equal(null);
+
+                let derived = s.objects.find(function (o) { return o.name === "Derived"; });
+                expect(derived.attrs.map(function (a) { return a.name; }))
+                    .to.deep.equal([ "Name", "Price" ]);
+                expect(derived.all_attrs.map(function (a) { return a.name; }))
+                    .to.deep.equal([ "ID", "Size", "Name", "Price" ]);
+                expect(derived.getBaseChain().map(function (o) { return o.name; }))
+                    .to.deep.equal([ "Middle", "Base" ]);
+
+                expect(derived.getAttr("ID").origin).to.equal(derived.base.base.fullName());
+                expect(derived.getAttr("Name").origin).to.equal(derived.fullName());
+                expect(derived.isA(derived.base.base)).to.equal(true);
+                done();
+            });
+        });
+
+        it("Fails on missing base objects", function (done) {
+            loadXml(schemaXml([
+                objectDef("Derived", "Missing", [])
+            ]), function (err, s) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.message).to.contain("'Missing'");
+                expect(s).to.equal(null);
+                done();
+            });
+        });
+
+        it("Fails on circular inheritance", function (done) {
+            loadXml(schemaXml([
+                objectDef("A", "B", []),
+                objectDef("B", "A", [])
+            ]), function (err, s) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.message).to.contain("Circular inheritance");
+                done();
+            });
+        });
+    });
+
+    describe("Metadata", function () {
+        it("Parses object and root metadata", function (done) {
+            loadXml(schemaXml([
+                objectDef("Fill", { MessageType: "AsyncRequest", IsEvent: "True",
+                    NotPersistent: "True", CustomTimeToLive: "True", TimeToLive: "0" }),
+                objectDef("Order", { Compressible: "True" })
+            ]), function (err, s) {
+                expect(err).to.equal(null);
+                expect(s.version).to.equal("1.10");
+                expect(s.engines).to.deep.equal([ "TradeEngine", "ViewEngine" ]);
+                expect(s.units).to.deep.equal({ tags: "CrabelPipelineTags" });
+                expect(s.groups[0].is_interface).to.equal(false);
+
+                let fill = s.findObject("Fill");
+                expect(fill.intent).to.equal("Fill");
+                expect(s.groups[0].intent).to.equal("Test");
+                expect(fill.is_event).to.equal(true);
+                expect(fill.do_not_archive).to.equal(false);
+                expect(fill.time_to_live).to.equal(0);
+
+                let names = function (list) {
+                    return list.map(function (o) { return o.name; });
+                };
+
+                expect(names(s.getEvents())).to.deep.equal([ "Fill" ]);
+                expect(names(s.getPersistentObjects())).to.deep.equal([ "Order" ]);
+                expect(names(s.getCustomTtlObjects())).to.deep.equal([ "Fill" ]);
+                expect(names(s.getCompressibleObjects())).to.deep.equal([ "Order" ]);
+                expect(names(s.filterObjects({ msg_type: "AsyncRequest" })))
+                    .to.deep.equal([ "Fill" ]);
+                done();
+            });
+        });
+    });
+
+    describe("Request/Response Messages", function () {
+        let schema;
+        let warnings = [];
+
+        before(function (done) {
+            let s = new Schema(opts);
+            s.on("warning", function (d) { warnings.push(d.message); });
+
+            fs.writeFileSync(path.join(tmp_path, "Messages.xml"), schemaXml([
+                objectDef("GetOrder", { MessageType: "SyncRequest" }),
+                objectDef("GetOrderResponse",
+                    { MessageType: "Response", ResponseRequest: "Test:GetOrder" }),
+                objectDef("GetFill", { MessageType: "SyncRequest" }),
+                objectDef("Notify", { MessageType: "AsyncRequest" })
+            ]), "utf8");
+
+            s.load(path.join(tmp_path, "Messages.xml"), function (err) {
+                schema = s;
+                done(err);
+            });
+        });
+
+        it("Pairs requests and responses", function () {
+            let req = schema.findObject("GetOrder");
+            let resp = schema.findObject("GetOrderResponse");
+
+            expect(req.isRequest()).to.equal(true);
+            expect(resp.isResponse()).to.equal(true);
+            expect(schema.messages.getResponse(req)).to.equal(resp);
+            expect(schema.messages.getResponse(req.fullName())).to.equal(resp);
+            expect(schema.messages.getRequests(resp)).to.deep.equal([ req ]);
+            expect(schema.messages.getResponse(schema.findObject("Notify")))
+                .to.equal(undefined);
+        });
+
+        it("Reports orphan requests", function () {
+            let orphans = schema.messages.getOrphanRequests();
+            expect(orphans.map(function (o) { return o.name; }))
+                .to.deep.equal([ "GetFill" ]);
+
+            let problems = schema.messages.validate();
+            expect(problems.length).to.equal(1);
+            expect(problems[0].object.name).to.equal("GetFill");
+            expect(warnings).to.deep.equal([ problems[0].message ]);
+        });
+    });
+
+    describe("Interfaces", function () {
+        function iface(name, parent, objects, groups) {
+            return '<Group Name="' + name + '" IsInterface="True" InterfaceGUID="{' +
+                name + '}"' + (parent ? ' ParentInterface="' + parent + '"' : '') +
+                '><Groups>' + (groups || []).join("") + '</Groups><ObjectTypes>' +
+                objects.join("") + '</ObjectTypes></Group>';
+        }
+
+        let xml_str = '<CrabelObjectSchema Version="1.10"><Groups>' +
+            iface("Base", null, [
+                objectDef("GetInfo", { MessageType: "SyncRequest" }),
+                objectDef("GetInfoResponse", { MessageType: "Response",
+                    ResponseRequest: "Base:GetInfo" }),
+                objectDef("Restart", { MessageType: "AsyncRequest" })
+            ]) +
+            iface("Engine", "Base", [
+                objectDef("Restart", { MessageType: "AsyncRequest" })
+            ], [
+                '<Group Name="Orders" IsInterface="False"><Groups/><ObjectTypes>' +
+                    objectDef("NewOrder", { MessageType: "AsyncRequest" }) +
+                    objectDef("Order", {}) + '</ObjectTypes></Group>'
+            ]) +
+            iface("Feed", "Missing", []) +
+            '</Groups><AttributeTypes/></CrabelObjectSchema>';
+
+        it("Lists own and inherited operations", function () {
+            let s = Schema.parse(xml_str, opts);
+            let engine = s.interfaces.getInterface("Engine");
+
+            expect(engine.guid).to.equal("{Engine}");
+            expect(engine.parent.name).to.equal("Base");
+            expect(engine.isA("Base")).to.equal(true);
+            expect(engine.operations.map(function (op) { return op.name; }))
+                .to.deep.equal([ "NewOrder", "Restart" ]);
+            expect(engine.getOperations().map(function (op) {
+                return op.interface.name + "::" + op.name;
+            })).to.deep.equal([ "Engine::NewOrder", "Engine::Restart", "Base::GetInfo" ]);
+
+            let op = engine.getOperation("GetInfo");
+            expect(op.is_async).to.equal(false);
+            expect(op.getResponse().fullName()).to.equal("Base::GetInfoResponse");
+            expect(engine.getOperation("NewOrder").getResponse()).to.equal(undefined);
+        });
+
+        it("Finds the interfaces accepting a message", function () {
+            let s = Schema.parse(xml_str, opts);
+            let names = function (list) {
+                return list.map(function (i) { return i.name; });
+            };
+
+            expect(names(s.interfaces.getAccepting("Base::GetInfo")))
+                .to.deep.equal([ "Base", "Engine" ]);
+            expect(names(s.interfaces.getAccepting("Base::Restart")))
+                .to.deep.equal([ "Base" ]);
+            expect(names(s.interfaces.getAccepting(s.findObject("NewOrder"))))
+                .to.deep.equal([ "Engine" ]);
+            expect(s.interfaces.getInterfaceOf("Engine::Orders::Order").name)
+                .to.equal("Engine");
+        });
+
+        it("Reports unknown parent interfaces", function () {
+            let warnings = [];
+            let s = new Schema(opts);
+            s.on("warning", function (d) { warnings.push(d.code + ": " + d.message); });
+            s.merge(xml_str);
+
+            expect(s.interfaces.getInterface("Feed").parent).to.equal(null);
+            expect(warnings).to.deep.equal([ "unknown-interface: The parent interface " +
+                "'Missing' of 'Feed' is not defined." ]);
+        });
+
+        it("Forgets the interfaces and messages of removed groups", function () {
+            let s = Schema.parse(xml_str, opts);
+            let get_info = s.getObject("Base::GetInfo");
+            expect(s.messages.getResponse(get_info).fullName())
+                .to.equal("Base::GetInfoResponse");
+
+            s.removeGroup("Base");
+            expect(s.interfaces.interfaces.map(function (i) { return i.name; }))
+                .to.deep.equal([ "Engine", "Feed" ]);
+            expect(s.interfaces.getInterface("Engine").parent).to.equal(null);
+            expect(s.messages.getResponse(get_info)).to.equal(undefined);
+        });
+    });
+
+    describe("Cross References", function () {
+        const UsageKind = require("../schema").UsageKind;
+
+        let types = [
+            '<Attribute Name="TObjectID" Type="Integer"/>',
+            '<Attribute Name="TTargetID" Type="TObjectID"/>',
+            '<Attribute Name="TUnused" Type="Alpha" Size="8"/>'
+        ];
+
+        let objects = [
+            '<ObjectDef Name="Target" MessageType="None"><Attributes>' +
+                '<Attribute Name="ID" Type="TTargetID"/></Attributes><References/>' +
+                '</ObjectDef>',
+            '<ObjectDef Name="Order" MessageType="None"><Attributes>' +
+                '<Attribute Name="ID" Type="TObjectID"/></Attributes><References>' +
+                '<Object Name="Target" LinkName="Targets" MaxCount="3"/></References>' +
+                '</ObjectDef>',
+            objectDef("LimitOrder", "Order", [ "Price" ])
+        ];
+
+        it("Answers who uses a type or object", function () {
+            let s = Schema.parse(schemaXml(objects, types), opts);
+
+            expect(s.xref.getUsers("TObjectID").map(function (u) {
+                return u.kind + ":" + (u.member ? u.user.name + "." + u.member.name :
+                    u.user.name);
+            })).to.deep.equal([ "type:TTargetID", "attribute:Order.ID" ]);
+
+            let users = s.xref.getUsers("Target", UsageKind.Reference);
+            expect(users.length).to.equal(1);
+            expect(users[0].user).to.equal(s.findObject("Order"));
+            expect(users[0].member.name).to.equal("Targets");
+
+            expect(s.xref.getUsers(s.findObject("Order"))[0].kind)
+                .to.equal(UsageKind.Inheritance);
+            expect(s.xref.getUnusedTypes().map(function (t) { return t.name; }))
+                .to.deep.equal([ "TUnused" ]);
+            expect(s.xref.getUnreferencedObjects().map(function (o) { return o.name; }))
+                .to.deep.equal([ "LimitOrder" ]);
+            expect(s.xref.validate()).to.deep.equal([]);
+        });
+
+        it("Reports transitive dependencies and dependents", function () {
+            let s = Schema.parse(schemaXml(objects, types), opts);
+
+            let deps = s.xref.getDependencies("LimitOrder");
+            expect(deps.objects.map(function (o) { return o.name; }))
+                .to.deep.equal([ "Order", "Target" ]);
+            expect(deps.types.map(function (t) { return t.name; }))
+                .to.deep.equal([ "TObjectID", "TTargetID" ]);
+
+            let dependents = s.xref.getDependents("TObjectID");
+            expect(dependents.types.map(function (t) { return t.name; }))
+                .to.deep.equal([ "TTargetID" ]);
+            expect(dependents.objects.map(function (o) { return o.name; }))
+                .to.deep.equal([ "Order", "Target", "LimitOrder" ]);
+
+            s.findObject("Target").removeAttr("ID");
+            expect(s.xref.getUsers("TTargetID")).to.deep.equal([]);
+
+            s.addType("TSpare", { type: "TObjectID" });
+            s.removeType("TUnused");
+            expect(s.xref.getUnusedTypes().map(function (t) { return t.name; }))
+                .to.deep.equal([ "TTargetID", "TSpare" ]);
+            expect(s.xref.getUsers("TObjectID").length).to.equal(3);
+        });
+    });
+
+    describe("RPC", function () {
+        const rpc = require("../schema/rpc");
+
+        let xml_str = '<CrabelObjectSchema Version="1.10"><Groups>' +
+            '<Group Name="Base" IsInterface="True" InterfaceGUID="{1}"><Groups/>' +
+            '<ObjectTypes>' +
+            objectDef("GetInfo", { MessageType: "SyncRequest" }, [ "Detail" ]) +
+            objectDef("GetInfoResponse", { MessageType: "Response",
+                ResponseRequest: "GetInfo" }, [ "Detail", "Version" ]) +
+            '</ObjectTypes></Group>' +
+            '<Group Name="Engine" IsInterface="True" InterfaceGUID="{2}" ' +
+            'ParentInterface="Base"><Groups/><ObjectTypes>' +
+            objectDef("Restart", { MessageType: "AsyncRequest" }, [ "Delay" ]) +
+            objectDef("Fail", { MessageType: "SyncRequest" }) +
+            objectDef("FailResponse", { MessageType: "Response",
+                ResponseRequest: "Fail" }) +
+            '</ObjectTypes></Group></Groups><AttributeTypes/></CrabelObjectSchema>';
+
+        function engineServer(s, restarts) {
+            return new rpc.Server(s, "Engine")
+                .handle("GetInfo", function (req) {
+                    return { Detail: req.Detail, Version: 3 };
+                })
+                .handle("Engine::Restart", function (req) {
+                    restarts.push(req.Delay);
+                })
+                .handle("Fail", function () {
+                    throw new Error("Engine is down");
+                });
+        }
+
+        it("Calls operations through the in-process transport", function () {
+            let s = Schema.parse(xml_str, opts);
+            let restarts = [];
+            let client = engineServer(s, restarts).connect({ validate: true });
+
+            expect(Object.keys(client.stub)).to.deep.equal([ "Restart", "Fail",
+                "GetInfo" ]);
+
+            return client.stub.GetInfo({ Detail: 1 }).then(function (res) {
+                expect(res).to.deep.equal({ Detail: 1, Version: 3 });
+                return client.call("Restart", { Delay: 5 });
+            }).then(function (res) {
+                expect(res).to.equal(undefined);
+                return client.call("Fail");
+            }).then(function () {
+                throw new Error("The call should have failed.");
+            }, function (err) {
+                expect(err.message).to.equal("Engine is down");
+                expect(restarts).to.deep.equal([ 5 ]);
+                return client.call("GetInfo", { Detail: "x" });
+            }).then(function () {
+                throw new Error("The call should have failed.");
+            }, function (err) {
+                expect(err.message).to.match(/^Failed to call 'GetInfo', the request is/);
+                client.close();
+            });
+        });
+
+        it("Encodes TCP frame bodies with the struct converter by default", function () {
+            const EventEmitter = require("events");
+            const struct = require("../schema/converters/struct");
+
+            let s = Schema.parse(xml_str, opts);
+            let socket = new EventEmitter();
+            let written = [];
+            socket.write = function (data) { written.push(data); };
+
+            let frame = { kind: rpc.FrameKind.Request, id: 1, name: "Base::GetInfo",
+                body: { Detail: 7 } };
+            new rpc.TcpTransport(socket, { schema: s }).send(frame);
+
+            let body = struct.fromObj(frame.body,
+                s.getObject("Base::GetInfo").getObjClass());
+            expect(written[0].slice(-body.length)).to.deep.equal(body);
+
+            let frames = [];
+            let peer = new EventEmitter();
+            new rpc.TcpTransport(peer, { schema: s }).on("frame", function (f) {
+                frames.push(f);
+            });
+            peer.emit("data", written[0]);
+            expect(frames).to.deep.equal([ frame ]);
+        });
+
+        it("Calls operations over TCP", function () {
+            let s = Schema.parse(xml_str, opts);
+            let tcp_opts = { schema: s };
+            let tcp_server;
+            let client;
+
+            return engineServer(s, []).listen(0, tcp_opts).then(function (srv) {
+                tcp_server = srv;
+                return rpc.TcpTransport.connect(srv.address().port, "127.0.0.1",
+                    tcp_opts);
+            }).then(function (transport) {
+                client = new rpc.Client(s, "Engine", transport, { timeout: 2000 });
+                return Promise.all([ client.stub.GetInfo({ Detail: 7 }),
+                    client.call("Fail").catch(function (e) { return e.message; }) ]);
+            }).then(function (res) {
+                expect(res).to.deep.equal([ { Detail: 7, Version: 3 },
+                    "Engine is down" ]);
+            }).then(function () {
+                client.close();
+                tcp_server.close();
+            }, function (err) {
+                if (client)
+                    client.close();
+                tcp_server.close();
+                throw err;
+            });
+        });
+    });
+
+    describe("Validation", function () {
+        it("Reports problems with their position", function (done) {
+            let types = [
+                '<Attribute Name="TSide" Type="Integer" MinValue="1" MaxValue="2">' +
+                    '<AllowedValues><AllowedValue Value="1" Meaning="Buy"/>' +
+                    '<AllowedValue Value="3" Meaning="Sell"/></AllowedValues>' +
+                    '</Attribute>',
+                '<Attribute Name="TPrice" Type="Numeric" MinValue="10" MaxValue="1"/>'
+            ];
+
+            let objects = [
+                '<ObjectDef Name="Order" MessageType="None"><Attributes>' +
+                    '<Attribute Name="ID" Index="1" Type="TObjectId"/>' +
+                    '<Attribute Name="Side" Index="1" Type="TSide" MaxValue="1"/>' +
+                    '<Attribute Name="Qty" Index="4" Type="Integer"/></Attributes>' +
+                    '<References><Object Name="Fill" Type="Node" MinCount="3" ' +
+                    'MaxCount="2"/></References></ObjectDef>',
+                objectDef("Order", {})
+            ];
+
+            loadXml(schemaXml(objects, types), function (err, s) {
+                expect(err).to.equal(null);
+
+                let emitted = [];
+                s.on("err", function (d) { emitted.push(d); });
+                s.on("warning", function (d) { emitted.push(d); });
+
+                let diags = s.validate();
+                expect(emitted).to.deep.equal(diags);
+
+                let found = diags.map(function (d) {
+                    return [ d.severity, d.code, d.line ];
+                });
+
+                expect(found).to.deep.equal([
+                    [ "warning", "value-out-of-range", 4 ],
+                    [ "error", "invalid-range", 5 ],
+                    [ "error", "duplicate-object", 3 ],
+                    [ "error", "unknown-type", 2 ],
+                    [ "warning", "value-out-of-range", 2 ],
+                    [ "error", "invalid-count", 2 ],
+                    [ "error", "duplicate-index", 2 ],
+                    [ "warning", "index-gap", 2 ],
+                    [ "warning", "unresolved-reference", 2 ]
+                ]);
+
+                expect(diags[3].file).to.equal(path.join(tmp_path, "Schema.xml"));
+                expect(diags[3].message).to.contain("'TObjectId'");
+                expect(diags[3].toString()).to.match(/Schema\.xml:2: error: /);
+                expect(diags[4].message).to.contain("'Order.Side'");
+                expect(diags[8].message).to.equal("The object referenced by 'Fill' " +
+                    "of 'Test::Order' is not defined.");
+                done();
+            });
+        });
+    });
+
+    describe("Editing", function () {
+        let xml_str = [
+            '<CrabelObjectSchema Version="1.10" TagsUnit="CrabelPipelineTags">',
+            '    <Groups>',
+            '        <Group Name="Orders" IsInterface="False">',
+            '            <Intent>Orders</Intent>',
+            '            <Groups/>',
+            '            <ObjectTypes>',
+            '                <ObjectDef Name="Order" MessageType="None" IsEvent="false">',
+            '                    <Intent>An &quot;order&quot; &amp; more</Intent>',
+            '                    <Attributes>',
+            '                        <Attribute Type="Integer" Name="ID" SizeInBits="32"/>',
+            '                    </Attributes>',
+            '                    <References/>',
+            '                </ObjectDef>',
+            '            </ObjectTypes>',
+            '        </Group>',
+            '    </Groups>',
+            '    <AttributeTypes/>',
+            '</CrabelObjectSchema>',
+            ''
+        ].join("\r\n");
+
+        it("Writes back an unchanged schema as is", function () {
+            expect(Schema.parse(xml_str, opts).toXml())
+                .to.equal(xml_str.replace("&quot;order&quot;", '"order"'));
+        });
+
+        it("Adds, edits and removes definitions", function () {
+            let s = Schema.parse(xml_str, opts);
+
+            s.addType("TSide", { type: "Integer", values: [
+                { value: 1, meaning: "Buy" }, { value: 2, meaning: "Sell" } ] });
+
+            let order = s.findObject("Order");
+            order.addAttr({ name: "Side", type: "TSide", optional: true });
+            order.attrs[0].type = "Alpha";
+            order.is_event = true;
+
+            s.addGroup("Orders::Fills", { intent: "Fills" });
+            let fill = s.addObject("Orders::Fills", "Fill", {
+                inherits_from: "Order",
+                refs: [ { name: "Trades", type: "Order", min_count: 1 } ]
+            });
+
+            expect(fill.getAttr("Side").origin).to.equal("Orders::Order");
+            expect(function () { s.removeObject(order); })
+                .to.throw(/inherits from 'Orders::Order'/);
+
+            let out = s.toXml();
+            expect(out.split("\r\n").slice(4, 18)).to.deep.equal([
+                '            <Groups>',
+                '                <Group Name="Fills" IsInterface="False">',
+                '                    <Intent>Fills</Intent>',
+                '                    <Groups/>',
+                '                    <ObjectTypes>',
+                '                        <ObjectDef Name="Fill" MessageType="None" ' +
+                    'InheritsFrom="Order" IsEvent="False" DoNotArchive="False" ' +
+                    'NotPersistent="False" CustomTimeToLive="False">',
+                '                            <Attributes/>',
+                '                            <References>',
+                '                                <Object Name="Order" Type="Node" ' +
+                    'LinkName="Trades" MinCount="1"/>',
+                '                            </References>',
+                '                        </ObjectDef>',
+                '                    </ObjectTypes>',
+                '                </Group>',
+                '            </Groups>'
+            ]);
+
+            expect(out).to.contain('<ObjectDef Name="Order" MessageType="None" ' +
+                'IsEvent="True">');
+            expect(out).to.contain('<Attribute Type="Alpha" Name="ID" SizeInBits="32"/>');
+            expect(out).to.contain('<Attribute Name="Side" Type="TSide" Optional="True"/>');
+            expect(out).to.contain('<AllowedValue Value="2" Meaning="Sell"/>');
+
+            let r = Schema.parse(out, opts);
+            expect(r.findObject("Fill").getRef("Trades").type).to.equal("Order");
+            expect(r.getEnum("TSide")).to.deep.equal({ Buy: 1, Sell: 2 });
+
+            expect(function () { s.removeType("TSide"); })
+                .to.throw("it is the type of attribute 'Orders::Order.Side'");
+
+            s.removeGroup("Orders::Fills");
+            order.removeAttr("Side");
+            s.removeType("TSide");
+            expect(s.toXml()).to.not.contain("Fill").and.not.contain("TSide");
+        });
+    });
+
+    describe("Enums", function () {
+        const schema = require("../schema");
+
+        let types = [
+            '<Attribute Name="TBuySell" Type="Integer"><AllowedValues>' +
+                '<AllowedValue Value="1" Meaning="Buy"/>' +
+                '<AllowedValue Value="2" Meaning="Sell"/></AllowedValues></Attribute>',
+            '<Attribute Name="TSide" Type="TBuySell"/>'
+        ];
+
+        let s = Schema.parse(schemaXml([], types), opts);
+
+        it("Looks up values and meanings", function () {
+            let t = s.getType("TSide");
+
+            expect(t.isEnum()).to.equal(true);
+            expect(t.getMeaning("2")).to.equal("Sell");
+            expect(t.getValue("Buy")).to.equal(1);
+            expect(t.toValue("Sell")).to.equal(2);
+            expect(t.toValue(2)).to.equal(2);
+            expect(t.toValue("Short")).to.equal(undefined);
+            expect(Array.from(t, function (v) { return v.meaning; }))
+                .to.deep.equal([ "Buy", "Sell" ]);
+
+            expect(s.getEnumTypes().map(function (t) { return t.name; }))
+                .to.deep.equal([ "TBuySell", "TSide" ]);
+
+            let side = s.getEnum("TSide");
+            expect(side).to.deep.equal({ Buy: 1, Sell: 2 });
+            expect(Object.isFrozen(side)).to.equal(true);
+        });
+
+        it("Converters accept meanings and emit values", function () {
+            let Order = {
+                _name: "Order",
+                _attrs: { Side: { type: "Number", enum: s.getEnum("TSide") } },
+                _refs: {}
+            };
+
+            expect(schema.util.convertAttr(Order._attrs.Side, "Sell")).to.equal(2);
+            expect(schema.util.convertAttr(Order._attrs.Side, "1")).to.equal(1);
+            expect(function () { schema.util.convertAttr(Order._attrs.Side, "Short"); })
+                .to.throw("Invalid value 'Short'");
+
+            expect(schema.json.fromObj({ Side: "Buy" }, Order)).to.equal('{"Side":1}');
+            expect(schema.json.toObj('{"Side":"Sell"}', Order)).to.deep.equal({ Side: 2 });
+            expect(schema.xml.fromObj({ Order: { Side: "Sell" } }, Order))
+                .to.equal('<Order Side="2"/>\n');
+            expect(schema.xml.toObj('<Order Side="Sell"/>', Order))
+                .to.deep.equal({ Order: { Side: 2 } });
+            expect(schema.xml.toObj('<Order Side="2"/>', Order))
+                .to.deep.equal({ Order: { Side: 2 } });
+        });
+    });
+
+    describe("Units", function () {
+        const schema = require("../schema");
+
+        let types = [
+            '<Attribute Name="TLatency" Type="Numeric" ExternalUnit="ms"/>',
+            '<Attribute Name="TTimeout" Type="TLatency"/>',
+            '<Attribute Name="TFee" Type="Numeric" ExternalUnit="bps"/>',
+            '<Attribute Name="TSide" Type="Integer" ExternalUnit="PatTypes"/>',
+            '<Attribute Name="TDelay" Type="Numeric" ExternalUnit="ms"><AllowedValues>' +
+                '<AllowedValue Value="0.25" Meaning="Short"/>' +
+                '<AllowedValue Value="1" Meaning="Long"/></AllowedValues></Attribute>'
+        ];
+        let objs = [
+            '<ObjectDef Name="Order"><Attributes>' +
+                '<Attribute Name="Timeout" Type="TTimeout"/>' +
+                '<Attribute Name="Fee" Type="TFee"/>' +
+                '<Attribute Name="Side" Type="TSide"/>' +
+                '</Attributes></ObjectDef>',
+            '<ObjectDef Name="Timer"><Attributes>' +
+                '<Attribute Name="Delay" Type="TDelay"/>' +
+                '</Attributes></ObjectDef>'
+        ];
+
+        let s = Schema.parse(schemaXml(objs, types), opts);
+
+        it("Converts between units of the same dimension", function () {
+            let units = new schema.UnitRegistry();
+            units.define("s", "time", 1);
+            units.define("ms", "time", 1e-3, { decimals: 1 });
+            units.define("cents", "currency", 1e-2);
+
+            expect(units.convert(1.5, "s", "ms")).to.equal(1500);
+            expect(units.convert(0.7, "ms", "s")).to.equal(0.0007);
+            expect(units.toExternal(2, "ms")).to.equal(2000);
+            expect(units.toInternal(250, "ms")).to.equal(0.25);
+            expect(units.toInternal(250, "PatTypes")).to.equal(250);
+            expect(units.format(0.01234, "ms")).to.equal("12.3 ms");
+            expect(function () { units.convert(1, "s", "cents"); })
+                .to.throw("they measure different dimensions");
+            expect(function () { units.define("ms", "time", 1); })
+                .to.throw("Failed to define unit 'ms', it is already defined.");
+
+            units.setInternal("ms");
+            expect(units.toExternal(2000, "s")).to.equal(2);
+            expect(schema.units.format(0.0125, "percent")).to.equal("1.25%");
+            expect(schema.units.format(1.5, "cents")).to.equal("150 cents");
+        });
+
+        it("Converters use the external unit of the types", function () {
+            let Order = s.findObject("Order").getObjClass();
+            expect(Order._attrs.Timeout.unit).to.equal("ms");
+            expect(Order._attrs.Side.unit).to.equal(undefined);
+
+            let order = { Timeout: 0.25, Fee: 0.0015, Side: 2 };
+            expect(schema.json.fromObj(order, Order))
+                .to.equal('{"Timeout":250,"Fee":15,"Side":2}');
+            expect(schema.json.toObj('{"Timeout":250,"Fee":15,"Side":2}', Order))
+                .to.deep.equal(order);
+
+            let xml_str = '<Order Timeout="250" Fee="15" Side="2"/>\n';
+            expect(schema.xml.fromObj({ Order: order }, Order)).to.equal(xml_str);
+            expect(schema.xml.toObj(xml_str, Order))
+                .to.deep.equal({ Order: order });
+
+            expect(schema.util.displayValue(Order._attrs.Timeout, 0.25))
+                .to.equal("250 ms");
+        });
+
+        it("Converters match allowed values in the internal unit", function () {
+            let Timer = s.findObject("Timer").getObjClass();
+
+            [ 0.25, "Short" ].forEach(function (delay) {
+                expect(schema.json.fromObj({ Delay: delay }, Timer))
+                    .to.equal('{"Delay":250}');
+                expect(schema.xml.fromObj({ Timer: { Delay: delay } }, Timer))
+                    .to.equal('<Timer Delay="250"/>\n');
+            });
+
+            expect(schema.json.toObj('{"Delay":1000}', Timer))
+                .to.deep.equal({ Delay: 1 });
+            expect(schema.xml.toObj('<Timer Delay="1000"/>', Timer))
+                .to.deep.equal({ Timer: { Delay: 1 } });
+            expect(function () { schema.json.fromObj({ Delay: 250 }, Timer); })
+                .to.throw("Invalid value '250'");
+        });
+    });
+
+    describe("Schema Diff", function () {
+        function typeXml(values) {
+            return '<Attribute Name="TSide" Type="Integer"><AllowedValues>' +
+                values.map(function (v, i) {
+                    return '<AllowedValue Value="' + (i + 1) + '" Meaning="' + v + '"/>';
+                }).join("") + '</AllowedValues></Attribute>';
+        }
+
+        let old_schema = Schema.parse(schemaXml([
+            objectDef("Order", {}, [ "ID", "Qty" ]),
+            objectDef("Cancel", {}, [ "ID" ])
+        ], [ typeXml([ "Buy", "Sell", "Short" ]) ]), opts);
+
+        it("Reports no changes for the same schema", function () {
+            expect(old_schema.diff(old_schema).isEmpty()).to.equal(true);
+        });
+
+        it("Classifies compatible and breaking changes", function () {
+            let new_schema = Schema.parse(schemaXml([
+                objectDef("Order", {}, [ "ID", "Qty", "Price" ]),
+                objectDef("Fill", {}, [ "ID" ])
+            ], [ typeXml([ "Buy", "Sell" ]) ]), opts);
+
+            let d = new_schema.diff(old_schema);
+            expect(d.changes.map(function (c) {
+                return (c.breaking ? "! " : "  ") + c.kind + " " + c.element + " " + c.name;
+            })).to.deep.equal([
+                "! removed allowed-value TSide",
+                "! added attribute Test::Order.Price",
+                "! removed object Test::Cancel",
+                "  added object Test::Fill"
+            ]);
+
+            expect(d.isCompatible()).to.equal(false);
+            expect(d.filter({ element: "object" }).length).to.equal(2);
+            expect(d.report()).to.contain("4 change(s), 3 breaking.");
+        });
+
+        it("Classifies attribute changes", function () {
+            let new_schema = Schema.parse(schemaXml([
+                '<ObjectDef Name="Order" MessageType="None"><Attributes>' +
+                    '<Attribute Name="ID" Type="Integer" Optional="True"/>' +
+                    '<Attribute Name="Qty" Type="Alpha"/></Attributes><References/>' +
+                    '</ObjectDef>',
+                objectDef("Cancel", {}, [ "ID" ])
+            ], [ typeXml([ "Buy", "Sell", "Short" ]) ]), opts);
+
+            expect(new_schema.diff(old_schema).changes.map(function (c) {
+                return c.breaking + " " + c.message;
+            })).to.deep.equal([
+                "false Attribute 'Test::Order.ID': became optional.",
+                "true Attribute 'Test::Order.Qty': the type changed from Integer to Alpha."
+            ]);
+        });
+    });
+
+    describe("Object Validation", function () {
+        let types = [
+            '<Attribute Name="TSide" Type="Alpha"><AllowedValues>' +
+                '<AllowedValue Value="B" Meaning="Buy"/>' +
+                '<AllowedValue Value="S" Meaning="Sell"/></AllowedValues></Attribute>',
+            '<Attribute Name="TQty" Type="Integer" MinValue="1"/>',
+            '<Attribute Name="TObjectID" Type="Alpha" MinValue="1" MaxValue="1"/>'
+        ];
+
+        let objects = [
+            '<ObjectDef Name="Order" MessageType="None"><Attributes>' +
+                '<Attribute Name="Side" Type="TSide"/>' +
+                '<Attribute Name="Note" Type="Alpha" Optional="True"/>' +
+                '<Attribute Name="ObjectID" Type="TObjectID" Optional="True"/>' +
+                '</Attributes><References>' +
+                '<Object Name="Fill" LinkName="TradeToOrder" MinCount="1" MaxCount="3"/>' +
+                '</References></ObjectDef>',
+            '<ObjectDef Name="Fill" MessageType="None"><Attributes>' +
+                '<Attribute Name="OrderID" Type="Integer"/>' +
+                '<Attribute Name="Qty" Type="TQty" MaxValue="100"/>' +
+                '</Attributes><References/></ObjectDef>'
+        ];
+
+        let s = Schema.parse(schemaXml(objects, types), opts);
+        let fill = { OrderID: 1, Qty: 10 };
+
+        it("Accepts valid objects", function () {
+            expect(s.validateObject({ Side: "B", TradeToOrder: [ fill ] }, "Test::Order"))
+                .to.deep.equal([]);
+        });
+
+        it("Reports every error with its path", function () {
+            let errs = s.validateObject({
+                Side: "X",
+                TradeToOrder: [ fill, { OrderID: "1", Qty: 0 }, { Qty: 101 }, fill ]
+            }, "Test::Order");
+
+            expect(errs.map(function (e) { return e.path + " " + e.code; })).to.deep.equal([
+                "Side invalid-value",
+                "TradeToOrder invalid-count",
+                "TradeToOrder[1].OrderID invalid-type",
+                "TradeToOrder[1].Qty out-of-range",
+                "TradeToOrder[2].OrderID missing-attribute",
+                "TradeToOrder[2].Qty out-of-range"
+            ]);
+
+            expect(s.validateObject({ Side: "B" }, "Order")[0].message)
+                .to.equal("Expected at least 1 'TradeToOrder' object(s), found 0.");
+
+            expect(function () { s.validateObject({}, "Test::Trade"); })
+                .to.throw("'Test::Trade' is not defined");
+        });
+
+        it("Applies MinValue and MaxValue to numbers only", function () {
+            [ "0", "535", "ABC" ].forEach(function (id) {
+                let order = { Side: "B", ObjectID: id, TradeToOrder: [ fill ] };
+                expect(s.validateObject(order, "Test::Order")).to.deep.equal([]);
+            });
+        });
+    });
+
+    describe("Fake Objects", function () {
+        const fake = require("../schema/fake");
+
+        let types = [
+            '<Attribute Name="TSide" Type="Integer" MinValue="1"><AllowedValues>' +
+                '<AllowedValue Value="0" Meaning="None"/>' +
+                '<AllowedValue Value="1" Meaning="Buy"/>' +
+                '<AllowedValue Value="2" Meaning="Sell"/></AllowedValues></Attribute>',
+            '<Attribute Name="TQty" Type="Integer" Size="2" MinValue="1" ' +
+                'MaxValue="500"/>',
+            '<Attribute Name="TSymbol" Type="Alpha" Size="4"/>'
+        ];
+
+        let objects = [
+            '<ObjectDef Name="Order" MessageType="None"><Attributes>' +
+                '<Attribute Name="Side" Type="TSide"/>' +
+                '<Attribute Name="Symbol" Type="TSymbol"/>' +
+                '<Attribute Name="Price" Type="Numeric" MinValue="-5" MaxValue="5"/>' +
+                '<Attribute Name="Note" Type="Alpha" Optional="True"/>' +
+                '</Attributes><References>' +
+                '<Object Name="Fill" LinkName="Fills" MinCount="1" MaxCount="3"/>' +
+                '<Object Name="Fill" LinkName="Last" MaxCount="1"/>' +
+                '</References></ObjectDef>',
+            '<ObjectDef Name="Fill" MessageType="None"><Attributes>' +
+                '<Attribute Name="Qty" Type="TQty"/>' +
+                '<Attribute Name="Final" Type="Boolean"/>' +
+                '</Attributes><References/></ObjectDef>'
+        ];
+
+        let s = Schema.parse(schemaXml(objects, types), opts);
+
+        it("Generates valid objects", function () {
+            let gen = new fake.FakeGenerator(s, { seed: 42 });
+
+            for (let i = 0; i < 50; ++i) {
+                let order = gen.create("Order");
+                expect(s.validateObject(order, "Test::Order")).to.deep.equal([]);
+                expect(order.Side).to.be.oneOf([ 1, 2 ]);
+                expect(order.Symbol.length).to.be.within(1, 4);
+                expect(order.Fills.length).to.be.within(1, 3);
+                expect(order.Last === undefined || !Array.isArray(order.Last))
+                    .to.equal(true);
+            }
+
+            let notes = 0;
+            for (let i = 0; i < 50; ++i)
+                if (undefined !== gen.create("Order").Note)
+                    ++notes;
+
+            expect(notes).to.be.within(1, 49);
+        });
+
+        it("Reproduces objects from a seed", function () {
+            let a = new fake.FakeGenerator(s, { seed: "orders" });
+            let b = new fake.FakeGenerator(s, { seed: "orders" });
+
+            expect([ a.create("Order"), a.create("Order") ])
+                .to.deep.equal([ b.create("Order"), b.create("Order") ]);
+            expect(s.fakeObject("Order", { seed: 1 }))
+                .to.deep.equal(s.fakeObject("Order", { seed: 1 }));
+            expect(s.fakeObject("Order", { seed: 1 }))
+                .to.not.deep.equal(s.fakeObject("Order", { seed: 2 }));
+        });
+
+        it("Renders objects as XML and JSON", function () {
+            let obj = s.fakeObject("Order", { seed: 7 });
+            let Order = s.findObject("Order").getObjClass();
+
+            expect(s.fakeObject("Order", { seed: 7, format: "xml" }))
+                .to.equal(require("../schema").xml.fromObj({ Order: obj }, Order))
+                .and.match(/^<Order Side="\d" /);
+            expect(JSON.parse(s.fakeObject("Order", { seed: 7, format: "json" })))
+                .to.deep.equal(obj);
+            expect(function () { s.fakeObject("Order", { format: "yaml" }); })
+                .to.throw("unknown format 'yaml'");
+        });
+    });
+
+    describe("Binary Converter", function () {
+        const struct = require("../schema").struct;
+
+        let types = [
+            '<Attribute Name="TQty" Type="Integer" Size="2" MinValue="0"/>',
+            '<Attribute Name="TSymbol" Type="Alpha" Size="4"/>',
+            '<Attribute Name="TTime" Type="Integer" Size="8"/>'
+        ];
+
+        let objects = [
+            '<ObjectDef Name="Order" MessageType="None"><Attributes>' +
+                '<Attribute Name="Qty" Type="TQty"/>' +
+                '<Attribute Name="Symbol" Type="TSymbol"/>' +
+                '<Attribute Name="Time" Type="TTime"/>' +
+                '<Attribute Name="Price" Type="Numeric"/>' +
+                '<Attribute Name="Note" Type="Alpha" Optional="True"/>' +
+                '</Attributes><References>' +
+                '<Object Name="Order" LinkName="Legs"/>' +
+                '<Object Name="Order" LinkName="Parent" MaxCount="1"/>' +
+                '</References></ObjectDef>'
+        ];
+
+        let s = Schema.parse(schemaXml(objects, types), opts);
+        let Order = s.findObject("Order").getObjClass();
+
+        it("Encodes and decodes objects", function () {
+            let obj = { Qty: 3, Symbol: "ES", Time: 1500000000000, Price: -1.5,
+                Legs: [ { Qty: 1, Symbol: "ESZ8", Time: 0, Price: 0, Note: "",
+                    Legs: [] } ] };
+
+            let buf = struct.fromObj(obj, Order);
+            expect(buf.slice(0, 6).toString("hex")).to.equal("000345530000");
+            expect(struct.toObj(buf, Order)).to.deep.equal(obj);
+
+            let le_opts = { byte_order: struct.ByteOrder.LittleEndian };
+            let le = struct.fromObj(obj, Order, le_opts);
+            expect(le.length).to.equal(buf.length);
+            expect(le.slice(0, 2).toString("hex")).to.equal("0300");
+            expect(struct.toObj(le, Order, le_opts)).to.deep.equal(obj);
+
+            expect(struct.toObj(struct.fromObj({}, Order), Order)).to.deep.equal(
+                { Qty: 0, Symbol: "", Time: 0, Price: 0, Legs: [] });
+        });
+
+        it("Reports values and buffers that do not fit", function () {
+            expect(function () { struct.fromObj({ Symbol: "TOOLONG" }, Order); })
+                .to.throw("The string 'TOOLONG' is longer than 4 bytes.");
+            expect(function () { struct.fromObj({ Qty: -1 }, Order); })
+                .to.throw(/Failed to convert object 'Order' to a struct reference/);
+
+            let buf = struct.fromObj({ Qty: 1 }, Order);
+            expect(function () { struct.toObj(buf.slice(0, 10), Order); })
+                .to.throw(/buffer ends at byte 10/);
+            expect(function () { struct.toObj(Buffer.concat([ buf, buf ]), Order); })
+                .to.throw("bytes were left over.");
+            expect(function () { struct.fromObj({}, Order, { byte_order: "XE" }); })
+                .to.throw("Invalid byte order 'XE'");
+        });
+
+        it("Encodes enumerations without negative values as unsigned", function () {
+            let type = '<Attribute Name="TInstrumentType" Type="Integer" Size="1">' +
+                '<AllowedValues><AllowedValue Value="1" Meaning="Future"/>' +
+                '<AllowedValue Value="253" Meaning="Spread"/></AllowedValues>' +
+                '</Attribute>';
+            let instrument = '<ObjectDef Name="Instrument" MessageType="None">' +
+                '<Attributes><Attribute Name="Type" Type="TInstrumentType"/>' +
+                '</Attributes><References/></ObjectDef>';
+
+            let e = Schema.parse(schemaXml([ instrument ], [ type ]), opts);
+            let Instrument = e.findObject("Instrument").getObjClass();
+            let uint8 = struct.getBinaryType({ schema_type: "Integer", size: 1,
+                min_value: 0 });
+
+            expect(struct.getBinaryType(e.getType("TInstrumentType"))).to.equal(uint8);
+            expect(struct.getBinaryType(Instrument._attrs.Type)).to.equal(uint8);
+
+            let buf = struct.fromObj({ Type: "Spread" }, Instrument);
+            expect(buf.toString("hex")).to.equal("fd");
+            expect(struct.toObj(buf, Instrument)).to.deep.equal({ Type: 253 });
+        });
+
+        it("Encodes and decodes streams of objects", function (done) {
+            let objs = [ { Qty: 1 }, { Qty: 2, Parent: { Qty: 3 } } ].map(function (o) {
+                return struct.toObj(struct.fromObj(o, Order), Order);
+            });
+
+            let encoder = struct.createEncodeStream(Order, { byte_order: "LE" });
+            let decoder = struct.createDecodeStream(Order, { byte_order: "LE" });
+            let res = [];
+
+            // Bytes are fed one at a time, objects span several chunks.
+            encoder.on("data", function (chunk) {
+                for (let i = 0; i < chunk.length; ++i)
+                    decoder.write(chunk.slice(i, i + 1));
+            });
+            encoder.on("end", function () { decoder.end(); });
+            decoder.on("data", function (obj) { res.push(obj); });
+            decoder.on("end", function () {
+                expect(res).to.deep.equal(objs);
+                expect(res[1].Parent.Qty).to.equal(3);
+                done();
+            });
+
+            objs.forEach(function (o) { encoder.write(o); });
+            encoder.end();
+        });
+    });
+
+    describe("JavaScript Generator", function () {
+        const js_gen = require("../schema/generators/js");
+
+        let xml_str =
+            '<CrabelObjectSchema Version="1.10"><Groups>' +
+            '<Group Name="Orders" IsInterface="False"><Intent>Orders</Intent>' +
+            '<Groups><Group Name="Lists" IsInterface="False"><Intent>Lists</Intent>' +
+            '<Groups/><ObjectTypes>' +
+            '<ObjectDef Name="OrderList" MessageType="None"><Intent>List</Intent>' +
+            '<Attributes><Attribute Name="Immediate" Type="Boolean" Optional="True"/>' +
+            '</Attributes><References><Object Name="Order" Type="Node"/>' +
+            '</References></ObjectDef></ObjectTypes></Group></Groups>' +
+            '<ObjectTypes><ObjectDef Name="Order" MessageType="None"><Intent>Order' +
+            '</Intent><Attributes>' +
+            '<Attribute Name="OrderID" Type="TObjectID"/>' +
+            '<Attribute Name="Qty" Type="Integer"/>' +
+            '<Attribute Name="Resting" Type="Boolean"/>' +
+            '<Attribute Name="Price" Type="Numeric" Optional="True"/>' +
+            '</Attributes><References/></ObjectDef></ObjectTypes></Group>' +
+            '</Groups><AttributeTypes><Attribute Name="TObjectID" Type="Alpha" ' +
+            'Size="8"/></AttributeTypes></CrabelObjectSchema>';
+
+        let files;
+        let gen_path = path.join(tmp_path, "gen");
+
+        before(function () {
+            let s = Schema.parse(xml_str, opts);
+            files = js_gen.generate(s, {
+                path: gen_path,
+                schema_module: path.resolve(__dirname, "../schema")
+            });
+        });
+
+        it("Generates one module per group", function () {
+            expect(files).to.deep.equal([
+                path.join(gen_path, "Orders.js"),
+                path.join(gen_path, "Orders", "Lists.js")
+            ]);
+
+            let Order = require(files[0]).Order;
+            expect(Order._name).to.equal("Order");
+            expect(Order._attrs.OrderID).to.deep.equal({
+                type: "String", schema_type: "Alpha", type_name: "TObjectID", size: 8
+            });
+        });
+
+        it("Applies defaults without dropping falsy values", function () {
+            let Order = require(files[0]).Order;
+
+            let order = new Order({ OrderID: 12, Qty: 0, Resting: "False" });
+            expect(order.OrderID).to.equal("12");
+            expect(order.Qty).to.equal(0);
+            expect(order.Resting).to.equal(false);
+            expect(order.Price).to.equal(null);
+
+            order = new Order();
+            expect(order.Qty).to.equal(0);
+            expect(order.OrderID).to.equal("");
+        });
+
+        it("Defaults enumerated attributes to their first allowed value", function () {
+            let objects = [
+                '<ObjectDef Name="Alert" MessageType="None"><Attributes>' +
+                    '<Attribute Name="Severity" Type="TSeverity"/>' +
+                    '<Attribute Name="Previous" Type="TSeverity" Optional="True"/>' +
+                    '<Attribute Name="Origin" Type="TOrigin"/>' +
+                    '</Attributes><References/></ObjectDef>'
+            ];
+            let types = [ '<Attribute Name="TSeverity" Type="Integer"><AllowedValues>' +
+                '<AllowedValue Value="2" Meaning="Warning"/>' +
+                '<AllowedValue Value="3" Meaning="Error"/></AllowedValues></Attribute>' ];
+
+            let s = Schema.parse(schemaXml(objects, types), opts);
+            let warnings = [];
+            s.on("warning", function (d) { warnings.push(d); });
+
+            let Alert = require(js_gen.generate(s, {
+                path: path.join(tmp_path, "gen_enum"),
+                schema_module: path.resolve(__dirname, "../schema")
+            })[0]).Alert;
+
+            expect(JSON.parse(new Alert().toJson())).to.deep.equal({ Severity: 2 });
+            expect(new Alert({ Severity: "Error" }).Severity).to.equal(3);
+            expect(warnings.map(function (d) { return d.code; }))
+                .to.deep.equal([ "unknown-type" ]);
+            expect(warnings[0].message).to.contain("attribute 'Origin'");
+        });
+
+        it("Converts instances to XML and JSON", function () {
+            let OrderList = require(files[1]).OrderList;
+            let Order = require(files[0]).Order;
+
+            let list = new OrderList({
+                Immediate: false,
+                Order: [ { OrderID: "1", Qty: 10 }, { OrderID: "2", Qty: 0 } ]
+            });
+
+            expect(list.Order[1]).to.be.an.instanceof(Order);
+            expect(JSON.parse(list.toJson())).to.deep.equal({
+                Immediate: false,
+                Order: [
+                    { OrderID: "1", Qty: 10, Resting: false },
+                    { OrderID: "2", Qty: 0, Resting: false }
+                ]
+            });
+
+            let xml_doc = list.toXml();
+            expect(xml_doc).to.contain('<OrderList Immediate="False">');
+            expect(OrderList.fromXml(xml_doc)).to.deep.equal(list);
+            expect(OrderList.fromJson(list.toJson())).to.deep.equal(list);
+        });
+
+        it("Reports every reference it cannot resolve", function () {
+            let objects = [
+                '<ObjectDef Name="Order" MessageType="None"><Attributes/><References>' +
+                    '<Object Name="Fill" Type="Node"/><Object Name="Cancel" Type="Node"/>' +
+                    '</References></ObjectDef>'
+            ];
+
+            let s = Schema.parse(schemaXml(objects), opts);
+            let warnings = [];
+            s.on("warning", function (d) { warnings.push(d); });
+
+            let src = js_gen.render(s)["Test.js"];
+            expect(warnings.map(function (d) { return [ d.code, d.line ]; }))
+                .to.deep.equal([ [ "unresolved-reference", 2 ],
+                    [ "unresolved-reference", 2 ] ]);
+            expect(warnings[0].message).to.match(
+                /reference 'Fill' of 'Test::Order'.*'Fill' is not defined/);
+            expect(warnings[1].message).to.match(/reference 'Cancel' of 'Test::Order'/);
+            expect(src).to.contain("get ref_class() { return null; }");
+        });
+    });
+
+    describe("TypeScript Generator", function () {
+        const ts_gen = require("../schema/generators/ts");
+
+        it("Renders namespaces, interfaces and literal unions", function () {
+            let types = [
+                '<Attribute Name="TSide" Type="Integer"><AllowedValues>' +
+                    '<AllowedValue Value="1" Meaning="Buy"/>' +
+                    '<AllowedValue Value="2" Meaning="Sell"/></AllowedValues>' +
+                    '</Attribute>',
+                '<Attribute Name="TCode" Type="Alpha"><AllowedValues>' +
+                    '<AllowedValue Value="A"/><AllowedValue Value="B"/>' +
+                    '</AllowedValues></Attribute>'
+            ];
+
+            let objects = [
+                '<ObjectDef Name="Order" MessageType="None"><Attributes>' +
+                    '<Attribute Name="Side" Type="TSide"/>' +
+                    '<Attribute Name="Note" Type="Alpha" Optional="True"/>' +
+                    '</Attributes><References>' +
+                    '<Object Name="Fill" Type="Node"/>' +
+                    '<Object Name="Fill" Type="Node" LinkName="LastFill" MinCount="1" ' +
+                    'MaxCount="1"/></References></ObjectDef>',
+                objectDef("Fill", {}, [ "Qty" ])
+            ];
+
+            let s = Schema.parse(schemaXml(objects, types), opts);
+            let dts = ts_gen.render(s)["schema.d.ts"];
+
+            expect(dts).to.contain("export type TSide =\n    | 1 // Buy\n    | 2; // Sell");
+            expect(dts).to.contain("export type TCode =\n    | \"A\"\n    | \"B\";");
+            expect(dts).to.contain("export namespace Test {");
+            expect(dts).to.contain(
+                "    export interface Order {\n" +
+                "        Side: TSide;\n" +
+                "        Note?: string;\n" +
+                "        Fill?: Test.Fill[];\n" +
+                "        LastFill: Test.Fill;\n" +
+                "    }");
+        });
+    });
+
+    describe("JSON Schema Export", function () {
+        const json_schema = require("../schema/generators/json_schema");
+
+        it("Exports objects and types", function () {
+            let types = [
+                '<Attribute Name="TSide" Type="Integer" MinValue="1" MaxValue="2">' +
+                    '<Intent>Side</Intent><AllowedValues>' +
+                    '<AllowedValue Value="1" Meaning="Buy"/>' +
+                    '<AllowedValue Value="2" Meaning="Sell"/></AllowedValues>' +
+                    '</Attribute>'
+            ];
+
+            let objects = [
+                '<ObjectDef Name="Order" MessageType="None"><Intent>An order</Intent>' +
+                    '<Attributes>' +
+                    '<Attribute Name="Side" Type="TSide"/>' +
+                    '<Attribute Name="Note" Type="Alpha" Size="20" Optional="True"/>' +
+                    '</Attributes><References>' +
+                    '<Object Name="Fill" Type="Node" MinCount="1" MaxCount="5"/>' +
+                    '</References></ObjectDef>',
+                objectDef("Fill", {})
+            ];
+
+            let s = Schema.parse(schemaXml(objects, types), opts);
+            let doc = json_schema.objectSchema(s, s.findObject("Order"),
+                { base_uri: "https://schemas.crabel.com/", strict: true });
+
+            expect(doc).to.deep.equal({
+                $schema: "https://json-schema.org/draft/2020-12/schema",
+                $id: "https://schemas.crabel.com/Test/Order.schema.json",
+                title: "Order",
+                description: "An order",
+                type: "object",
+                properties: {
+                    Side: { $ref: "#/$defs/TSide" },
+                    Note: { type: "string", maxLength: 20 },
+                    Fill: {
+                        type: "array",
+                        items: { $ref: "#/$defs/Test.Fill" },
+                        minItems: 1,
+                        maxItems: 5
+                    }
+                },
+                required: [ "Side", "Fill" ],
+                additionalProperties: false,
+                $defs: {
+                    TSide: {
+                        type: "integer",
+                        minimum: 1,
+                        maximum: 2,
+                        enum: [ 1, 2 ],
+                        description: "Side"
+                    },
+                    "Test.Fill": {
+                        title: "Fill",
+                        description: "Fill",
+                        type: "object",
+                        properties: {},
+                        additionalProperties: false
+                    }
+                }
+            });
+
+            expect(Object.keys(json_schema.render(s)))
+                .to.deep.equal([ "Test/Order.schema.json", "Test/Fill.schema.json" ]);
+        });
+    });
+
+    describe("Documentation Generator", function () {
+        const docs = require("../schema/generators/docs");
+
+        let types = [
+            '<Attribute Name="TSide" Type="Integer"><Intent>Side</Intent>' +
+                '<AllowedValues>' +
+                '<AllowedValue Value="1" Meaning="Buy" Intent="Buy side"/>' +
+                '<AllowedValue Value="2" Meaning="Sell"/></AllowedValues></Attribute>'
+        ];
+
+        let objects = [
+            '<ObjectDef Name="Order" MessageType="None"><Intent>An order</Intent>' +
+                '<Attributes><Attribute Name="Side" Type="TSide"/></Attributes>' +
+                '<References><Object Name="Fill" Type="Node" MaxCount="3"/>' +
+                '</References></ObjectDef>',
+            objectDef("Fill", {}, [ "Qty" ]),
+            objectDef("LimitOrder", "Order", [ "Price" ])
+        ];
+
+        it("Renders Markdown pages with cross-links", function () {
+            let s = Schema.parse(schemaXml(objects, types), opts);
+            let files = docs.render(s, { format: "markdown" });
+
+            expect(Object.keys(files)).to.deep.equal([ "index.md", "Test/index.md",
+                "Test/Order.md", "Test/Fill.md", "Test/LimitOrder.md", "types/TSide.md",
+                "search_index.json" ]);
+
+            expect(files["index.md"]).to.contain("- [Test](Test/index.md)\n" +
+                "  - [Order](Test/Order.md)\n");
+
+            expect(files["Test/LimitOrder.md"]).to.contain(
+                "Inherits from [Test::Order](Order.md).\n\n" +
+                "## Attributes\n\n" +
+                "| Name | Type | Optional | Description | Defined In |\n" +
+                "| --- | --- | --- | --- | --- |\n" +
+                "| Side | [TSide](../types/TSide.md) | No |  | " +
+                "[Test::Order](Order.md) |\n" +
+                "| Price | Integer | No |  |  |\n");
+
+            expect(files["Test/Fill.md"]).to.contain("## Referenced By\n\n" +
+                "- [Test::Order](Order.md)\n");
+
+            expect(files["types/TSide.md"]).to.contain(
+                "| 1 | Buy | Buy side |\n| 2 | Sell |  |\n\n## Used By\n\n" +
+                "- [Test::Order.Side](../Test/Order.md)\n");
+        });
+
+        it("Renders an HTML site with a search index", function () {
+            let s = Schema.parse(schemaXml(objects, types), opts);
+            let files = docs.render(s, { title: "Orders & Fills" });
+
+            expect(files["Test/Order.html"]).to.contain(
+                "<title>Test::Order - Orders &amp; Fills</title>");
+            expect(files["Test/Order.html"]).to.contain(
+                "<tr><td>Fill</td><td><a href=\"Fill.html\">Test::Fill</a></td>" +
+                "<td>0..3</td><td></td><td></td></tr>");
+            expect(files["index.html"]).to.contain('<script src="search.js"></script>');
+            expect(files).to.have.property("style.css");
+
+            expect(JSON.parse(files["search_index.json"])).to.deep.include({
+                name: "TSide.Buy", kind: "value", url: "types/TSide.html",
+                text: "Buy side"
+            });
+            expect(docs.searchIndex(s, { format: "markdown" })[1]).to.deep.equal({
+                name: "Test::Order", kind: "object", url: "Test/Order.md",
+                text: "An order"
+            });
+        });
+
+        it("Renders schemas of realistic size", function () {
+            // 1500 objects referencing objects of other groups by short name, resolving
+            // every reference for each page does not finish in time.
+            let groups = [];
+            for (let g = 0; g < 30; ++g) {
+                let objs = [];
+                for (let i = 0; i < 50; ++i)
+                    objs.push('<ObjectDef Name="Obj' + g + "_" + i + '" ' +
+                        'MessageType="None"><Attributes>' +
+                        '<Attribute Name="Side" Type="TSide"/></Attributes><References>' +
+                        refXml((g + 1) % 30, i) + refXml((g + 2) % 30, i) +
+                        '</References></ObjectDef>');
+
+                groups.push('<Group Name="G' + g + '" IsInterface="False"><Groups/>' +
+                    '<ObjectTypes>' + objs.join("") + '</ObjectTypes></Group>');
+            }
+
+            let s = Schema.parse('<CrabelObjectSchema Version="1.10"><Groups>' +
+                groups.join("") + '</Groups><AttributeTypes>' + types.join("") +
+                '</AttributeTypes></CrabelObjectSchema>', opts);
+            let files = docs.render(s);
+
+            expect(Object.keys(files).length).to.equal(1500 + 30 + 1 + 1 + 3);
+            expect(files["G1/Obj1_7.html"]).to.contain("<h2>Referenced By</h2>\n<ul>\n" +
+                "  <li><a href=\"../G0/Obj0_7.html\">G0::Obj0_7</a></li>\n" +
+                "  <li><a href=\"../G29/Obj29_7.html\">G29::Obj29_7</a></li>\n</ul>");
+
+            function refXml(g, i) {
+                return '<Object Name="Obj' + g + "_" + i + '" Type="Node"/>';
+            }
+        });
+    });
+
+    describe("Graph Export", function () {
+        const graph = require("../schema/generators/graph");
+
+        let objects = [
+            objectDef("Order", { MessageType: "SyncRequest" }, [ "ID" ]),
+            objectDef("OrderAck", { MessageType: "Response", ResponseRequest: "Order" }),
+            '<ObjectDef Name="OrderList" MessageType="None"><Attributes/><References>' +
+                '<Object Name="Order" Type="Node" MinCount="1"/></References>' +
+                '</ObjectDef>',
+            objectDef("LimitOrder", "Order", [ "Price" ]),
+            objectDef("Fill", {})
+        ];
+
+        it("Exports the reachable subgraph as DOT", function () {
+            let s = Schema.parse(schemaXml(objects), opts);
+
+            expect(graph.dot(s, { root: "OrderList" })).to.equal([
+                'digraph schema {',
+                '    rankdir=LR;',
+                '    node [shape=box, fontname="Helvetica"];',
+                '    edge [fontname="Helvetica", fontsize=10];',
+                '',
+                '    "Test::Order";',
+                '    "Test::OrderAck";',
+                '    "Test::OrderList";',
+                '',
+                '    "Test::Order" -> "Test::OrderAck" [style=dashed, label="response"];',
+                '    "Test::OrderList" -> "Test::Order" [label="Order [1..*]"];',
+                '}',
+                ''
+            ].join("\n"));
+        });
+
+        it("Exports Mermaid flowcharts and filters by group", function () {
+            let s = Schema.parse(schemaXml(objects), opts);
+            let mmd = graph.render(s, { format: "mermaid", messages: false });
+
+            expect(mmd["schema.mmd"]).to.contain('    n3["Test::LimitOrder"]\n');
+            expect(mmd["schema.mmd"]).to.contain('    n2 -->|"Order [1..*]"| n0\n' +
+                '    n3 ==>|"inheritance"| n0\n');
+
+            expect(graph.build(s, { group: "Test" }).nodes.length).to.equal(5);
+            expect(function () { graph.build(s, { group: "Orders" }); })
+                .to.throw("the group 'Orders' is not defined");
+        });
+    });
+
+    describe("Command Line", function () {
+        const cli = require("../schema/cli");
+
+        let types = [
+            '<Attribute Name="TSide" Type="Integer"><AllowedValues>' +
+                '<AllowedValue Value="1" Meaning="Buy"/>' +
+                '<AllowedValue Value="2" Meaning="Sell"/></AllowedValues></Attribute>'
+        ];
+        let objects = [
+            '<ObjectDef Name="Order" MessageType="None"><Intent>An order</Intent>' +
+                '<Attributes><Attribute Name="Side" Type="TSide"/>' +
+                '<Attribute Name="Qty" Type="Integer" MinValue="1"/></Attributes>' +
+                '<References><Object Name="Fill" LinkName="Fills"/></References>' +
+                '</ObjectDef>',
+            objectDef("Fill", {}, [ "Qty" ])
+        ];
+
+        function file(name, content) {
+            if (!fs.existsSync(tmp_path))
+                fs.mkdirSync(tmp_path);
+
+            let file_name = path.join(tmp_path, name);
+            fs.writeFileSync(file_name, content, "utf8");
+            return file_name;
+        }
+
+        function run(argv) {
+            let res = { out: "", err: "" };
+            res.code = cli.run(argv, {
+                out: function (str) { res.out += str; },
+                err: function (str) { res.err += str; },
+                width: 80
+            });
+
+            return res;
+        }
+
+        let schema_file = file("Cli.xml", schemaXml(objects, types));
+
+        it("Inspects groups and objects", function () {
+            let res = run([ "inspect", schema_file ]);
+            expect(res.code).to.equal(cli.ExitCode.Ok);
+            expect(res.out).to.match(/^Test +2 object\(s\)/m);
+
+            res = run([ "inspect", schema_file, "Order", "--json" ]);
+            let order = JSON.parse(res.out);
+            expect(order.name).to.equal("Test::Order");
+            expect(order.attrs.map(function (a) { return a.name; }))
+                .to.deep.equal([ "Side", "Qty" ]);
+            expect(order.refs[0]).to.include({ name: "Fills", type: "Fill" });
+
+            res = run([ "inspect", schema_file, "TSide" ]);
+            expect(res.out).to.match(/^2 +Sell/m);
+        });
+
+        it("Validates schemas and messages", function () {
+            expect(run([ "validate", schema_file ]).code).to.equal(cli.ExitCode.Ok);
+
+            let bad = file("CliBad.xml", schemaXml([ objectDef("Order", {}, []) +
+                objectDef("Order", {}, []) ]));
+            let res = run([ "validate", bad, "--json" ]);
+            expect(res.code).to.equal(cli.ExitCode.Problems);
+            expect(JSON.parse(res.out).diagnostics[0].code).to.equal("duplicate-object");
+
+            let msg = file("Order.xml",
+                '<Order Side="2" Qty="0"><Fills Qty="3"/></Order>');
+            res = run([ "validate", schema_file, msg ]);
+            expect(res.code).to.equal(cli.ExitCode.Problems);
+            expect(res.out)
+                .to.contain("Qty: The value 0 is less than the minimum value 1.");
+        });
+
+        it("Converts messages", function () {
+            let msg = file("Order.xml",
+                '<Order Side="2" Qty="5"><Fills Qty="3"/></Order>');
+            let res = run([ "convert", schema_file, msg ]);
+            expect(res.code).to.equal(cli.ExitCode.Ok);
+            expect(JSON.parse(res.out))
+                .to.deep.equal({ Side: 2, Qty: 5, Fills: [ { Qty: 3 } ] });
+
+            let json = file("Order.json", res.out);
+            res = run([ "convert", schema_file, json, "--object", "Order", "--to=xml" ]);
+            expect(res.out).to.equal('<Order Side="2" Qty="5">\n    <Fills Qty="3"/>\n' +
+                '</Order>\n');
+
+            let bin = path.join(tmp_path, "Order.bin");
+            expect(run([ "convert", schema_file, json, "--object", "Order", "--to=bin",
+                "-o", bin ]).code).to.equal(cli.ExitCode.Ok);
+            res = run([ "convert", schema_file, bin, "--object", "Order", "--to=json" ]);
+            expect(JSON.parse(res.out)).to.deep.equal(JSON.parse(fs.readFileSync(json)));
+        });
+
+        it("Runs generators with their default or given format", function () {
+            let out = path.join(tmp_path, "cli_gen");
+            let res = run([ "gen", schema_file, "docs", "graph", "-o", out, "--json" ]);
+            expect(res.code).to.equal(cli.ExitCode.Ok);
+
+            let files = JSON.parse(res.out).files;
+            expect(JSON.parse(res.out).warnings).to.deep.equal([]);
+            expect(files.docs).to.include(path.join(out, "index.html"));
+            expect(files.graph).to.deep.equal([ path.join(out, "schema.dot") ]);
+
+            res = run([ "gen", schema_file, "graph", "-o", out, "--format", "mermaid" ]);
+            expect(res.code).to.equal(cli.ExitCode.Ok);
+            expect(fs.existsSync(path.join(out, "schema.mmd"))).to.equal(true);
+
+            res = run([ "gen", schema_file, "docs", "graph", "--format", "markdown" ]);
+            expect(res.code).to.equal(cli.ExitCode.Usage);
+            expect(res.err).to.contain("Unknown format 'markdown' of generator 'graph'");
+            expect(run([ "gen", schema_file, "js", "--format", "html" ]).code)
+                .to.equal(cli.ExitCode.Usage);
+        });
+
+        it("Reports changes and failures with exit codes", function () {
+            let old_file = file("CliOld.xml", schemaXml(objects.concat(
+                objectDef("Gone", {}, [])), types));
+
+            let res = run([ "diff", old_file, schema_file ]);
+            expect(res.code).to.equal(cli.ExitCode.Problems);
+            expect(res.out).to.contain("Object 'Test::Gone' was removed.");
+            expect(run([ "diff", schema_file, schema_file ]).code)
+                .to.equal(cli.ExitCode.Ok);
+
+            expect(run([ "inspect" ]).code).to.equal(cli.ExitCode.Usage);
+            expect(run([ "inspect", schema_file, "--bogus" ]).err)
+                .to.contain("Unknown option '--bogus'.");
+            expect(run([ "frobnicate" ]).code).to.equal(cli.ExitCode.Usage);
+
+            res = run([ "inspect", path.join(tmp_path, "Missing.xml"), "--json" ]);
+            expect(res.code).to.equal(cli.ExitCode.Failure);
+            expect(JSON.parse(res.out).code).to.equal(cli.ExitCode.Failure);
+        });
+    });
+});